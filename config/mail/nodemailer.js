@@ -56,8 +56,10 @@ async function sendEmail(to, subject, emailBody) {
 
         // console.log('✅ Email sent:', info.messageId);
         // console.log('📦 SMTP response:', info.response);
+        return info;
     } catch (error) {
         console.error('❌ Error sending email:', error);
+        return null; // callers that need delivery guarantees (alert notifications) retry on null
     }
 }
 
@@ -30,5 +30,16 @@ const flushQueue     = new Queue('flush-telem', {
   },
 });
 
+// Alert notifications: retried with backoff so a flaky gateway doesn't lose one
+const alertNotifyQueue = new Queue('alert-notify', {
+  connection,
+  defaultJobOptions: {
+    attempts: parseInt(process.env.ALERT_NOTIFY_ATTEMPTS || '6', 10),
+    backoff: { type: 'exponential', delay: 30000 }, // 30s, 1m, 2m, 4m, ...
+    removeOnComplete: { age: 86400, count: 5000 },
+    removeOnFail:     { age: 7 * 86400, count: 5000 },
+  },
+});
+
 console.log('✅ Redis connection and Queue created');
-module.exports = {telemetryQueue,statusQueue, flushQueue};
+module.exports = {telemetryQueue,statusQueue, flushQueue, alertNotifyQueue};
@@ -15,7 +15,7 @@ dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
 async function sendSMS(msisdn, message) {
     const payload = {
         key: process.env.NALO_AUTH_KEY,
-        msisdn,
+        msisdn: String(msisdn).replace(/^\+/, ''), // contacts are stored in E.164; the gateway takes digits only
         message,
         sender_id: process.env.NALO_SENDER_ID
     };
@@ -57,4 +57,24 @@ function publishToSensor(sensorAUID, data) {
   }
 }
 
-module.exports = { setupSocket, publishToSensor };
+// Alert incidents (opened / resolved) for a device, in the same room as its telemetry
+function publishAlert(sensorAUID, alert) {
+  if (!io) {
+    console.error("Socket.IO server is not initialized.");
+    return false;
+  }
+  io.to(sensorAUID).emit("alert", alert);
+  console.log(sensorAUID, " Alert Published on SocketIO");
+  return true;
+}
+
+// Presence transitions (online / offline) for a device
+function publishStatus(sensorAUID, status) {
+  if (!io) {
+    console.error("Socket.IO server is not initialized.");
+    return;
+  }
+  io.to(sensorAUID).emit("status", status);
+}
+
+module.exports = { setupSocket, publishToSensor, publishAlert, publishStatus };
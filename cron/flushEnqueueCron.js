@@ -3,15 +3,8 @@ const cron = require('node-cron');
 const { client: redis } = require('../config/redis/redis');
 const { flushTelemetryToMongo } = require('../utils/flushTelemetryToMongo');
 
-// Mongoose models
-const EnvTelemetry = require('../model/telemetry/envModel');
-const GasSoloTelem = require('../model/telemetry/gasSoloModel');
-
-/** Map metadata.model -> Mongo model (lowercase keys) */
-const MODEL_MAP = {
-    'env': EnvTelemetry,
-    'gas-solo': GasSoloTelem,
-};
+/** metadata.model -> Mongo model, resolved through the telemetry family registry */
+const { getMongoModel } = require('../utils/modelRegistry');
 
 /* -------------------- helpers -------------------- */
 const safeJson = (s) => {
@@ -113,9 +106,9 @@ async function flushDirectOnce() {
 
                 if (!modelKey) { skipped++; continue; }
 
-                const mongoModel = MODEL_MAP[modelKey];
+                const mongoModel = getMongoModel(modelKey);
                 if (!mongoModel) {
-                    console.warn(`⚠️ ${auid}: model "${modelKey}" not in MODEL_MAP, skipping`);
+                    console.warn(`⚠️ ${auid}: model "${modelKey}" has no persisted telemetry family, skipping`);
                     skipped++;
                     continue;
                 }
@@ -0,0 +1,21 @@
+// cron/presenceCron.js
+const cron = require('node-cron');
+const { sweepOffline } = require('../utils/presence');
+
+/* -------------------- scheduler -------------------- */
+function startPresenceCron() {
+  const schedule = process.env.PRESENCE_SWEEP_SCHEDULE || '* * * * *';
+
+  cron.schedule(schedule, async () => {
+    try {
+      const flipped = await sweepOffline();
+      if (flipped) console.log(`📴 Presence sweep: ${flipped} devices went offline`);
+    } catch (e) {
+      console.error('❌ Presence sweep error:', e?.message || e);
+    }
+  }, { timezone: process.env.TZ || 'Africa/Accra' });
+
+  console.log('⏱️ Presence sweep cron scheduled');
+}
+
+module.exports = { startPresenceCron };
@@ -0,0 +1,168 @@
+// cron/rollupCron.js
+const cron = require('node-cron');
+const { listTelemetryFamilies, getTelemetryMetrics } = require('../utils/modelRegistry');
+const { INTERVALS, floorToInterval, buildBucketPipeline } = require('../utils/telemetryAggregation');
+const { TIERS, retentionCutoff, getRolledUntil } = require('../utils/telemetryRollup');
+const { RollupState } = require('../model/telemetry/rollupModel');
+
+// Buckets this far back are recomputed every run, so readings flushed late are picked up
+const LOOKBACK_HOURS = parseInt(process.env.ROLLUP_LOOKBACK_HOURS || '48', 10);
+// Most a single run rolls up when backfilling or catching up after missed runs
+const MAX_RANGE_DAYS = parseInt(process.env.ROLLUP_MAX_RANGE_DAYS || '7', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rollupTiers = () => TIERS.filter(t => t.rollupModel);
+
+/* -------------------- rollup -------------------- */
+
+/** Recompute one tier's complete buckets in [from, until) for every AUID of a family. */
+async function rollupFamilyTier(family, tier, from, until) {
+  const datapoints = getTelemetryMetrics(family);
+  const auids = await family.mongoModel.distinct('auid', { transport_time: { $gte: from, $lt: until } });
+
+  let buckets = 0;
+  for (const auid of auids) {
+    const rows = await family.mongoModel.aggregate(buildBucketPipeline({
+      auids: [auid],
+      timeFilter: { $gte: from, $lt: until },
+      interval: tier.interval,
+      datapoints
+    })).allowDiskUse(true);
+
+    if (rows.length === 0) continue;
+
+    const ops = rows.map(row => {
+      const values = {};
+      for (const dp of datapoints) {
+        values[dp] = {
+          min: row[`${dp}__min`] ?? null,
+          max: row[`${dp}__max`] ?? null,
+          sum: row[`${dp}__sum`] ?? 0,
+          avg: row[`${dp}__avg`] ?? null,
+          last: row[`${dp}__last`] ?? null,
+          count: row[`${dp}__count`] ?? 0,
+        };
+      }
+      return {
+        updateOne: {
+          filter: { auid, bucket: row._id },
+          update: { $set: { model: family.key, count: row.count, values } },
+          upsert: true
+        }
+      };
+    });
+
+    await tier.rollupModel.bulkWrite(ops, { ordered: false });
+    buckets += ops.length;
+  }
+
+  return { auids: auids.length, buckets };
+}
+
+/**
+ * Where a tier's next run starts: the lookback window, extended back to the previous
+ * watermark if the cron missed runs. A first run backfills from the oldest raw reading.
+ * @returns {Promise<{ from: Date|null, previous: Date|null }>} from is null when there is no raw data
+ */
+async function rollupStart(family, tier, until) {
+  const state = await RollupState.findOne({ model: family.key, tier: tier.name }).lean();
+  const previous = state?.rolledUntil || null;
+
+  if (!previous) {
+    const oldest = await family.mongoModel.findOne().sort({ transport_time: 1 }).select('transport_time').lean();
+    return { from: oldest ? floorToInterval(new Date(oldest.transport_time), tier.interval) : null, previous };
+  }
+
+  const lookbackMs = Math.max(LOOKBACK_HOURS * 60 * 60 * 1000, INTERVALS[tier.interval].ms);
+  const lookbackFrom = floorToInterval(new Date(until.getTime() - lookbackMs), tier.interval);
+  return { from: previous < lookbackFrom ? previous : lookbackFrom, previous };
+}
+
+async function rollupOnce(now = new Date()) {
+  for (const family of listTelemetryFamilies().filter(f => f.mongoModel)) {
+    for (const tier of rollupTiers()) {
+      try {
+        // only buckets that have fully elapsed
+        const until = floorToInterval(now, tier.interval);
+        const { from, previous } = await rollupStart(family, tier, until);
+
+        // catching up is spread over several runs; the watermark only moves as far as was rolled
+        let end = until;
+        if (from) {
+          const maxEnd = floorToInterval(new Date(from.getTime() + MAX_RANGE_DAYS * DAY_MS), tier.interval);
+          if (maxEnd < end) end = maxEnd;
+        }
+
+        const { auids, buckets } = from && from < end
+          ? await rollupFamilyTier(family, tier, from, end)
+          : { auids: 0, buckets: 0 };
+
+        const rolledUntil = previous && previous > end ? previous : end;
+        await RollupState.updateOne(
+          { model: family.key, tier: tier.name },
+          { $set: { rolledUntil, lastRunAt: now } },
+          { upsert: true }
+        );
+
+        console.log(`📦 Rollup ${family.key}/${tier.name}: ${buckets} buckets for ${auids} devices up to ${rolledUntil.toISOString()}`);
+      } catch (e) {
+        console.error(`❌ Rollup ${family.key}/${tier.name} error:`, e?.message || e);
+      }
+    }
+  }
+}
+
+/* -------------------- retention -------------------- */
+
+/**
+ * Delete data older than each tier's retention. A tier is never pruned past the
+ * watermark of any coarser tier, so nothing is deleted before it has been rolled up.
+ */
+async function pruneOnce(now = new Date()) {
+  for (const family of listTelemetryFamilies().filter(f => f.mongoModel)) {
+    try {
+      const rolledUntil = await getRolledUntil(family.key);
+
+      for (let i = 0; i < TIERS.length; i++) {
+        const tier = TIERS[i];
+        let cutoff = retentionCutoff(tier, now);
+        if (!cutoff) continue;
+
+        // every rollup tier is built from raw readings, so raw waits for the slowest one
+        const watermarks = TIERS.slice(i + 1).map(t => rolledUntil[t.name]);
+        if (watermarks.some(w => !w)) continue;
+        for (const watermark of watermarks) {
+          if (watermark < cutoff) cutoff = watermark;
+        }
+
+        const res = tier.rollupModel
+          ? await tier.rollupModel.deleteMany({ model: family.key, bucket: { $lt: cutoff } })
+          : await family.mongoModel.deleteMany({ transport_time: { $lt: cutoff } });
+
+        if (res.deletedCount) {
+          console.log(`🗑️ Retention ${family.key}/${tier.name}: removed ${res.deletedCount} before ${cutoff.toISOString()}`);
+        }
+      }
+    } catch (e) {
+      console.error(`❌ Retention ${family.key} error:`, e?.message || e);
+    }
+  }
+}
+
+/* -------------------- scheduler -------------------- */
+function startRollupCron() {
+  const timezone = process.env.TZ || 'Africa/Accra';
+
+  // after the hourly flush, so the previous hour is in Mongo
+  cron.schedule(process.env.ROLLUP_CRON_SCHEDULE || '15 * * * *', async () => {
+    await rollupOnce();
+  }, { timezone });
+
+  cron.schedule(process.env.RETENTION_CRON_SCHEDULE || '30 2 * * *', async () => {
+    await pruneOnce();
+  }, { timezone });
+
+  console.log('⏱️ Telemetry rollup and retention crons scheduled');
+}
+
+module.exports = { startRollupCron, rollupOnce, pruneOnce };
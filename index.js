@@ -14,16 +14,25 @@ const users = require('./routes/user/user');
 const { globalRateLimiter, swaggerRateLimiter } = require('./middleware/rateLimiter');
 const sensorModels = require('./routes/devices/sensorModel/sensorModel');
 const registerSensor = require('./routes/devices/user/userdevice');
+const deviceOwnership = require('./routes/devices/user/ownership');
 const otaUpdate = require('./routes/devices/ota/ota');
 const deployment = require('./routes/devices/deployment/deployment');
+const presence = require('./routes/devices/presence/presence');
 const telemetry = require('./routes/devices/telemetry/telemetry');
+const alerts = require('./routes/alerts/alerts');
+const organizations = require('./routes/organization/organization');
+const twoFactor = require('./routes/user/twoFactor');
+const apiKeys = require('./routes/apiKeys/apiKeys');
 
 const secureMqtt = require('./routes/telemetry/mqtt_secure_msg');
 const { setupSocket } = require("./config/socket/socketio");
 const { startTelemetryWorker } = require('./routes/telemetry/queue_worker/telemetryWorker');
 const { startStatusWorker } = require('./routes/telemetry/queue_worker/statusWorker');
 const { startFlushDirectCron } = require('./cron/flushEnqueueCron');
+const { startRollupCron } = require('./cron/rollupCron');
+const { startPresenceCron } = require('./cron/presenceCron');
 const { startFlushWorker } = require('./routes/telemetry/queue_worker/flushWorker');
+const { startAlertNotifyWorker } = require('./routes/telemetry/queue_worker/alertNotifyWorker');
 const app = express();
 
 let envFile;
@@ -64,21 +73,30 @@ secureMqtt.connectSecureMqtt();
 // API Routes
 app.use('/api', testRoutes);
 app.use('/api/devices/manufacturer', manufacturerRoutes);
+app.use('/api/auth/2fa', twoFactor);
 app.use('/api/auth', users);
 app.use('/api/user', users);
 app.use('/api/devices', sensorModels);
 app.use('/api/devices', registerSensor);
+app.use('/api/devices', deviceOwnership);
 app.use('/api/devices', otaUpdate);
 app.use('/api/devices', deployment);
+app.use('/api/devices', presence);
 app.use('/api/telemetry', telemetry);
+app.use('/api/alerts', alerts);
+app.use('/api/organizations', organizations);
+app.use('/api/api-keys', apiKeys);
 
 // ✅ Connect Redis before starting server
 connectRedis()
   .then(() => {
 
     startTelemetryWorker();
-    //startStatusWorker();
+    startAlertNotifyWorker();
+    //startStatusWorker(); // superseded by presence (utils/presence.js + cron/presenceCron.js)
     startFlushDirectCron();
+    startRollupCron();
+    startPresenceCron();
     const PORT = process.env.PORT || 3000;
 
     const server = app.listen(PORT, () => {
@@ -0,0 +1,88 @@
+// middleware/authorizeMiddleware.js
+const { resolveDeviceAccess, resolveDeploymentAccess } = require('../utils/authz');
+
+/**
+ * Require a permission on the device named by `auid` in the request (after authenticateToken).
+ * On success sets req.device (lean) and req.access = { permissions, via }; otherwise 403 naming
+ * the missing permission.
+ *
+ * @param {string} permission - 'view' | 'update' | 'delete' | 'export' | 'share'
+ * @param {'params'|'query'|'body'} [source='params'] - where to read `auid` from
+ * @returns middleware function
+ */
+const authorizeDevice = (permission, source = 'params') => {
+  return async (req, res, next) => {
+    try {
+      const auid = String(req[source]?.auid || '').trim();
+      if (!auid) return res.status(400).json({ message: 'Missing device auid' });
+
+      const access = await resolveDeviceAccess(req.user, auid);
+      if (!access) return res.status(404).json({ message: 'Device not found' });
+      if (!access.permissions.includes(permission)) {
+        return res.status(403).json({
+          message: `Missing '${permission}' permission on this device`,
+          missingPermission: permission,
+          permissions: access.permissions
+        });
+      }
+
+      req.device = access.device;
+      req.access = { permissions: access.permissions, via: access.via };
+      next();
+    } catch (error) {
+      return res.status(500).json({ message: 'Error in device authorization.', error: error.message });
+    }
+  };
+};
+
+/**
+ * Require a permission on the deployment named by `deploymentId` in the request (after authenticateToken).
+ * On success sets req.deployment (lean) and req.access = { permissions, via }.
+ *
+ * @param {string} permission - 'view' | 'manage' | 'delete'
+ * @param {'params'|'query'|'body'} [source='params'] - where to read `deploymentId` from
+ * @returns middleware function
+ */
+const authorizeDeployment = (permission, source = 'params') => {
+  return async (req, res, next) => {
+    try {
+      const deploymentId = String(req[source]?.deploymentId || '').trim();
+      if (!deploymentId) return res.status(400).json({ message: 'Missing deploymentId' });
+
+      const access = await resolveDeploymentAccess(req.user, deploymentId);
+      if (!access) return res.status(404).json({ message: 'Deployment not found' });
+      if (!access.permissions.includes(permission)) {
+        return res.status(403).json({
+          message: `Missing '${permission}' permission on this deployment`,
+          missingPermission: permission,
+          permissions: access.permissions
+        });
+      }
+
+      req.deployment = access.deployment;
+      req.access = { permissions: access.permissions, via: access.via };
+      next();
+    } catch (error) {
+      return res.status(500).json({ message: 'Error in deployment authorization.', error: error.message });
+    }
+  };
+};
+
+/**
+ * Reject requests whose `userid` (path param, or body field when given) is not the authenticated
+ * user. Handlers must act as req.user; admins act for someone else via the X-Act-As header.
+ *
+ * @param {string} [param='userid']
+ * @param {'params'|'body'} [source='params'] - body fields are optional, path params are not
+ * @returns middleware function
+ */
+const authorizeSelf = (param = 'userid', source = 'params') => {
+  return (req, res, next) => {
+    const claimed = req[source]?.[param];
+    if (claimed === undefined && source === 'body') return next();
+    if (claimed === req.user?.userid) return next();
+    return res.status(403).json({ message: `${param} does not match the authenticated user` });
+  };
+};
+
+module.exports = { authorizeDevice, authorizeDeployment, authorizeSelf };
@@ -14,9 +14,54 @@ if (process.env.NODE_ENV === 'development') {
 dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
 
 const jwt = require('jsonwebtoken');
+const User = require('../model/user/userModel');
+const { recordAudit } = require('../utils/audit');
+const { isSessionRevoked } = require('../utils/session');
 
 const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
 
+/**
+ * Admin "act as": with an `X-Act-As: <userid>` header an admin's request runs as that user
+ * (their userid, role and email), with the admin kept in req.user.impersonatedBy.
+ * Every such request is written to the audit log before it proceeds.
+ */
+async function applyImpersonation(req, res) {
+  const targetUserid = String(req.headers['x-act-as'] || '').trim();
+
+  if (req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Forbidden: only admins can act as another user' });
+    return false;
+  }
+
+  const target = await User.findOne({ userid: targetUserid }).select('userid role email').lean();
+  if (!target) {
+    res.status(404).json({ error: 'Act-as user not found' });
+    return false;
+  }
+  if (target.role === 'admin' && target.userid !== req.user.userid) {
+    res.status(403).json({ error: 'Forbidden: cannot act as another admin' });
+    return false;
+  }
+
+  const admin = req.user;
+  req.user = {
+    id: String(target._id),
+    userid: target.userid,
+    role: target.role,
+    email: target.email,
+    sid: admin.sid,
+    impersonatedBy: { id: admin.id, userid: admin.userid, email: admin.email },
+  };
+
+  await recordAudit(req, 'impersonation.request', {
+    actor: admin.userid,
+    targetUserid: target.userid,
+    reason: req.headers['x-act-as-reason'],
+  });
+  console.log(`🕵️ ${admin.userid} acting as ${target.userid}: ${req.method} ${req.originalUrl}`);
+  return true;
+}
+
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'] || req.headers['Authorization'];
   const token = authHeader && authHeader.startsWith('Bearer ')
@@ -27,19 +72,33 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Unauthorized: No token provided' });
   }
 
-  jwt.verify(token, ACCESS_TOKEN_SECRET, (err, decoded) => {
+  jwt.verify(token, ACCESS_TOKEN_SECRET, async (err, decoded) => {
     if (err) {
       return res.status(403).json({ error: 'Forbidden: Invalid or expired token' });
     }
 
-    // Attach user info (including role) to request
-    req.user = {
-      id: decoded.userId,
-      role: decoded.role,
-      email: decoded.email,
-    };
+    try {
+      // logged out / force-logged-out sessions stop working before the token expires
+      if (await isSessionRevoked(decoded.sid)) {
+        return res.status(401).json({ error: 'Unauthorized: Session has been revoked' });
+      }
 
-    next();
+      // Attach user info (including role) to request
+      req.user = {
+        id: decoded.userId,
+        userid: decoded.userid,
+        role: decoded.role,
+        email: decoded.email,
+        sid: decoded.sid,
+      };
+
+      if (!req.headers['x-act-as']) return next();
+
+      if (await applyImpersonation(req, res)) next();
+    } catch (error) {
+      console.error('❌ Authentication error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
   });
 }
 
@@ -1,5 +1,6 @@
 // middlewares/rateLimiter.js
 const rateLimit = require('express-rate-limit');
+const { isScopedApiKey, findApiKey, apiKeyStatus } = require('../utils/apiKeys');
 
 // 🔐 Global Rate Limiter – applies to all routes
 const globalRateLimiter = rateLimit({
@@ -8,6 +9,13 @@ const globalRateLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // requests with a valid scoped API key (and no bearer token) are held to the key's own limit instead
+  skip: async (req) => {
+    const key = req.headers['x-api-key'];
+    if (String(req.headers['authorization'] || '').startsWith('Bearer ') || !isScopedApiKey(key)) return false;
+    req.presentedApiKey = await findApiKey(key).catch(() => null);
+    return Boolean(req.presentedApiKey) && apiKeyStatus(req.presentedApiKey) === 'active';
+  },
 });
 
 // 📘 Swagger Rate Limiter – more strict
@@ -26,8 +34,28 @@ const otpLimiter = rateLimit({
   legacyHeaders: false,
   message: 'Too many OTP requests. Please try again later.'
 });
+// 🔢 Second login step – on top of the per-account lockout shared with wrong passwords
+const twoFactorLimiter = rateLimit({
+  windowMs: parseInt(process.env.TWO_FACTOR_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many two-factor attempts. Please try again later.'
+});
+// 🔑 Per API key – each key gets its own budget (key.rateLimitPerMinute or the default)
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey?.rateLimitPerMinute || parseInt(process.env.API_KEY_RATE_LIMIT_PER_MIN) || 60,
+  keyGenerator: (req) => req.apiKey.keyId,
+  message: 'API key rate limit exceeded. Please slow down.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   globalRateLimiter,
   swaggerRateLimiter,
-  otpLimiter
+  otpLimiter,
+  twoFactorLimiter,
+  apiKeyRateLimiter
 };
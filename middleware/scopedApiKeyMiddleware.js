@@ -0,0 +1,85 @@
+// middleware/scopedApiKeyMiddleware.js
+const User = require('../model/user/userModel');
+const Organization = require('../model/organization/organizationModel');
+const authenticateToken = require('./bearermiddleware');
+const { apiKeyRateLimiter } = require('./rateLimiter');
+const { isScopedApiKey, findApiKey, apiKeyStatus, ipAllowed, touchApiKey } = require('../utils/apiKeys');
+
+/** The identity a key acts as: its user, or the organization itself for organization keys. */
+async function keyPrincipal(apiKey) {
+  if (apiKey.ownerType === 'organization') {
+    const org = await Organization.findOne({ organizationId: apiKey.organizationId }).select('organizationId').lean();
+    if (!org) return null;
+    return { id: null, userid: `org:${org.organizationId}`, role: 'user', email: null, organizationId: org.organizationId };
+  }
+
+  const user = await User.findOne({ userid: apiKey.userid }).select('userid role email').lean();
+  if (!user) return null;
+  return { id: String(user._id), userid: user.userid, role: user.role, email: user.email };
+}
+
+/**
+ * Authenticate with a scoped key in `x-api-key`: checks expiry, revocation, IP allowlist and
+ * scope, then applies the key's own rate limit. Sets req.user (the key's principal) and req.apiKey.
+ *
+ * @param {string} scope - e.g. 'telemetry:read'
+ * @returns middleware function
+ */
+const authenticateApiKey = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.headers['x-api-key'];
+      if (!isScopedApiKey(key)) {
+        return res.status(401).json({ error: 'API key missing from headers' });
+      }
+
+      // already looked up by the global rate limiter's skip check
+      const apiKey = req.presentedApiKey !== undefined ? req.presentedApiKey : await findApiKey(key);
+      if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+
+      const status = apiKeyStatus(apiKey);
+      if (status !== 'active') return res.status(401).json({ error: `API key ${status}` });
+
+      if (!ipAllowed(req.ip, apiKey.ipAllowlist)) {
+        return res.status(403).json({ error: 'API key not allowed from this IP address' });
+      }
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+      }
+
+      const principal = await keyPrincipal(apiKey);
+      if (!principal) return res.status(401).json({ error: 'API key owner no longer exists' });
+
+      req.user = principal;
+      req.apiKey = {
+        keyId: apiKey.keyId,
+        ownerType: apiKey.ownerType,
+        scopes: apiKey.scopes,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      };
+
+      await touchApiKey(apiKey, req.ip);
+      return apiKeyRateLimiter(req, res, next);
+    } catch (error) {
+      return res.status(500).json({ error: 'Error validating API key', details: error.message });
+    }
+  };
+};
+
+/**
+ * Accept either a bearer JWT or a scoped API key carrying `scope`.
+ * A bearer token takes precedence when both are sent.
+ *
+ * @param {string} scope
+ * @returns middleware function
+ */
+const authenticateTokenOrApiKey = (scope) => {
+  const viaApiKey = authenticateApiKey(scope);
+  return (req, res, next) => {
+    const hasBearer = String(req.headers['authorization'] || '').startsWith('Bearer ');
+    if (!hasBearer && isScopedApiKey(req.headers['x-api-key'])) return viaApiKey(req, res, next);
+    return authenticateToken(req, res, next);
+  };
+};
+
+module.exports = { authenticateApiKey, authenticateTokenOrApiKey };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const alertDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  incidentId: {
+    type: String,
+    required: true
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['incident.opened', 'incident.resolved'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'socket', 'webhook'],
+    required: true
+  },
+  target: { type: String }, // email address, phone number, AUID room or webhookId
+
+  status: {
+    type: String,
+    enum: ['queued', 'retrying', 'sent', 'failed', 'suppressed'],
+    default: 'queued'
+  },
+  reason: { type: String }, // why it was suppressed
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: { type: String },
+  responseCode: { type: Number },
+  sentAt: { type: Date }
+}, { timestamps: true });
+
+alertDeliverySchema.index({ incidentId: 1 });
+alertDeliverySchema.index({ userid: 1, createdAt: -1 });
+
+const AlertDelivery = mongoose.model('AlertDelivery', alertDeliverySchema, 'alert_deliveries');
+
+module.exports = AlertDelivery;
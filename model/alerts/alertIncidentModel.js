@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const alertIncidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ruleId: {
+    type: String,
+    required: true
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  auid: {
+    type: String,
+    required: true
+  },
+  deploymentid: {
+    type: String
+  },
+
+  // Snapshot of the rule when it fired
+  name: { type: String },
+  datapoint: { type: String, required: true },
+  operator: { type: String, required: true },
+  threshold: { type: Number, required: true },
+  severity: { type: String, default: 'warning' },
+  message: { type: String },
+
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+
+  triggerValue: { type: Number },
+  peakValue: { type: Number },
+  lastValue: { type: Number },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedAt: { type: Date },
+  acknowledgedBy: { type: String },
+  resolvedAt: { type: Date },
+  resolvedBy: { type: String }, // userid, or 'system' when the value recovered
+  note: { type: String }
+}, { timestamps: true });
+
+alertIncidentSchema.index({ userid: 1, status: 1, openedAt: -1 });
+alertIncidentSchema.index({ ruleId: 1, auid: 1, status: 1 });
+
+const AlertIncident = mongoose.model('AlertIncident', alertIncidentSchema, 'alert_incidents');
+
+module.exports = AlertIncident;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const alertRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+
+  // What the rule watches: one device, or every device in a deployment
+  scope: {
+    type: String,
+    enum: ['device', 'deployment'],
+    required: true
+  },
+  auid: {
+    type: String
+  },
+  deploymentid: {
+    type: String
+  },
+
+  // Condition, e.g. pm2_5 > 55 for 600s
+  datapoint: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['>', '>=', '<', '<='],
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  durationSec: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Anti-flapping: the value must come back past threshold ∓ hysteresis to resolve,
+  // and a rule does not re-fire on the same device within cooldownSec
+  hysteresis: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cooldownSec: {
+    type: Number,
+    default: 900,
+    min: 0
+  },
+
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+alertRuleSchema.index({ scope: 1, auid: 1, enabled: 1 });
+alertRuleSchema.index({ scope: 1, deploymentid: 1, enabled: 1 });
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema, 'alert_rules');
+
+module.exports = AlertRule;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const channelSchema = (enabled) => ({
+  enabled: { type: Boolean, default: enabled },
+  minSeverity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  }
+});
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  userid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  channels: {
+    email: channelSchema(true),
+    sms: channelSchema(false),
+    socket: channelSchema(true),
+    webhook: channelSchema(true)
+  },
+
+  // Also notify when an incident resolves, not just when it opens
+  notifyOnResolve: {
+    type: Boolean,
+    default: true
+  },
+
+  // Email and SMS are held back during quiet hours (socket and webhooks are not)
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00' }, // HH:mm, local to timezone
+    end: { type: String, default: '06:00' },
+    timezone: { type: String, default: 'Africa/Accra' },
+    allowCritical: { type: Boolean, default: true }
+  }
+}, { timestamps: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema, 'notification_preferences');
+
+module.exports = NotificationPreference;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+  webhookId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // HMAC-SHA256 signing secret; only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [String],
+    enum: ['incident.opened', 'incident.resolved'],
+    default: ['incident.opened', 'incident.resolved']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: { type: Date },
+  lastStatus: { type: Number }
+}, { timestamps: true });
+
+webhookSchema.index({ userid: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema, 'alert_webhooks');
+
+module.exports = Webhook;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Scoped API keys minted by users (acting as themselves) or organization admins
+// (acting for the organization). Only a SHA-256 hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // first characters of the key, so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  ownerType: {
+    type: String,
+    enum: ['user', 'organization'],
+    required: true
+  },
+  // creator; the identity the key acts as for user keys
+  userid: {
+    type: String,
+    required: true
+  },
+  organizationId: {
+    type: String
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // CIDR ranges or single addresses; empty = any address
+  ipAllowlist: {
+    type: [String],
+    default: []
+  },
+  rateLimitPerMinute: {
+    type: Number
+  },
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  revokedAt: { type: Date },
+  revokedBy: { type: String },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+apiKeySchema.index({ userid: 1, createdAt: -1 });
+apiKeySchema.index({ organizationId: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema, 'api_keys');
+
+module.exports = ApiKey;
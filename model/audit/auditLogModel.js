@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Security-relevant actions, e.g. every request an admin makes while acting as another user
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // who actually did it (the admin, when impersonating)
+  actor: {
+    type: String,
+    required: true
+  },
+  // whose identity / resource it was done as or on
+  targetUserid: {
+    type: String
+  },
+  method: { type: String },
+  path: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+  reason: { type: String },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+auditLogSchema.index({ actor: 1, at: -1 });
+auditLogSchema.index({ targetUserid: 1, at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema, 'audit_logs');
+
+module.exports = AuditLog;
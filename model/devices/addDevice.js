@@ -51,17 +51,46 @@ const addDeviceSchema = new mongoose.Schema({
     sparse: true // allow nulls until assigned
   },
 
+  // Lifecycle (utils/manufacturingLifecycle.js); only change it through transitionDevice
   status: {
     type: String,
-    enum: ['MANUFACTURED', 'ASSIGNED', 'REGISTERED'],
+    enum: ['MANUFACTURED', 'QA_PASSED', 'SHIPPED', 'ASSIGNED', 'REGISTERED', 'RETIRED', 'RMA'],
     default: 'MANUFACTURED'
   },
+  statusChangedAt: {
+    type: Date
+  },
+  statusChangedBy: {
+    type: String
+  },
+  statusHistory: {
+    type: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String, required: true },
+        by: { type: String },
+        note: { type: String },
+        at: { type: Date, default: Date.now }
+      }
+    ],
+    default: []
+  },
 
   datapoints: {
     type: [String],
     default: []
   },
 
+  // Single-use claim code printed on the label (utils/claimCode.js); the nonce is unset once claimed
+  claim: {
+    nonce: { type: String, select: false },
+    issuedAt: { type: Date },
+    rotatedBy: { type: String },
+    claimedAt: { type: Date },
+    claimedBy: { type: String }
+  },
+
   date: {
     type: Date,
     default: Date.now
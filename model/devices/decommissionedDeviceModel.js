@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Archived registration of a decommissioned device. Its telemetry stays where it is, keyed by auid.
+const decommissionedDeviceSchema = new mongoose.Schema({
+  auid: {
+    type: String,
+    required: true
+  },
+  serial: {
+    type: String,
+    required: true
+  },
+  manufacturingId: {
+    type: String
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  organization: {
+    type: String
+  },
+  deployments: {
+    type: [String],
+    default: []
+  },
+
+  // the registration as it was, collaborators included
+  registration: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  reason: {
+    type: String
+  },
+  decommissionedBy: {
+    type: String,
+    required: true
+  },
+  decommissionedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+// a unit can be registered and decommissioned more than once
+decommissionedDeviceSchema.index({ auid: 1, decommissionedAt: -1 });
+decommissionedDeviceSchema.index({ userid: 1, decommissionedAt: -1 });
+
+const DecommissionedDevice = mongoose.model('DecommissionedDevice', decommissionedDeviceSchema, 'decommissionedDevices');
+
+module.exports = DecommissionedDevice;
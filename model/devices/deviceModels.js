@@ -3,6 +3,37 @@ const {
  generateModelId
 } = require('../../utils/idGenerator');
 
+// One telemetry field: where to read it from in the raw payload and how to validate it
+const datapointSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  aliases: {
+    type: [String],
+    default: [],
+  },
+  unit: {
+    type: String,
+    default: "",
+  },
+  type: {
+    type: String,
+    enum: ["number", "integer", "string"],
+    default: "number",
+  },
+  min: {
+    type: Number,
+  },
+  max: {
+    type: Number,
+  },
+  // Stored when the reading is missing; unset means a missing reading is stored as null
+  defaultValue: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, { _id: false });
+
 const sensorModelSchema = new mongoose.Schema({
   uuid: {
     type: String,
@@ -27,6 +58,15 @@ const sensorModelSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  datapoints: {
+    type: [datapointSchema],
+    default: [],
+  },
+  // How often a device of this model reports; presence marks it offline after a few missed intervals
+  expectedIntervalSec: {
+    type: Number,
+    min: 1,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
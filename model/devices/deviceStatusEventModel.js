@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Connectivity history per device: presence transitions (online/offline) and
+// reporting gaps detected from telem_time spacing at ingest
+const deviceStatusEventSchema = new mongoose.Schema({
+  auid: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['online', 'offline', 'gap'],
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  // telemetry = first reading after being offline, timeout = no reading within the expected interval,
+  // ingest = two consecutive readings further apart than expected
+  source: {
+    type: String,
+    enum: ['telemetry', 'timeout', 'ingest'],
+    required: true
+  },
+  lastSeen: {
+    type: Date
+  },
+
+  // gap events: telem_time of the readings either side of the gap
+  gapStart: { type: Date },
+  gapEnd: { type: Date },
+  gapSeconds: { type: Number },
+  expectedIntervalSec: { type: Number }
+}, { versionKey: false });
+
+deviceStatusEventSchema.index({ auid: 1, at: 1 });
+
+const DeviceStatusEvent = mongoose.model('DeviceStatusEvent', deviceStatusEventSchema, 'device_status_events');
+
+module.exports = DeviceStatusEvent;
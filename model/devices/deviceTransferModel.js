@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A pending hand-over of a registered device from its owner to another user or organization
+const deviceTransferSchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  auid: {
+    type: String,
+    required: true
+  },
+  fromUserid: {
+    type: String,
+    required: true
+  },
+
+  // Recipient: a user by email, or an organization (accepted by one of its ADMINs)
+  toEmail: {
+    type: String
+  },
+  toOrganizationId: {
+    type: String
+  },
+
+  keepCollaborators: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedBy: {
+    type: String
+  },
+  respondedAt: {
+    type: Date
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { versionKey: false });
+
+deviceTransferSchema.index({ auid: 1, status: 1 });
+deviceTransferSchema.index({ toEmail: 1, status: 1 });
+deviceTransferSchema.index({ toOrganizationId: 1, status: 1 });
+
+const DeviceTransfer = mongoose.model('DeviceTransfer', deviceTransferSchema, 'device_transfers');
+
+module.exports = DeviceTransfer;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Settings kept per manufacturing batch (CC-YYYY-NNNN); the units themselves live in AddDevice
+const manufacturingBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Firmware every unit of the batch should run; OTA checks offer it instead of the latest
+  firmwarePin: {
+    uuid: { type: String },
+    firmware_version: { type: String },
+    model: { type: String },
+    pinnedBy: { type: String },
+    pinnedAt: { type: Date }
+  },
+
+  recall: {
+    active: { type: Boolean, default: false },
+    reason: { type: String },
+    recalledBy: { type: String },
+    recalledAt: { type: Date },
+    liftedBy: { type: String },
+    liftedAt: { type: Date }
+  }
+}, { versionKey: false, timestamps: true });
+
+const ManufacturingBatch = mongoose.model('ManufacturingBatch', manufacturingBatchSchema, 'manufacturing_batches');
+
+module.exports = ManufacturingBatch;
@@ -73,6 +73,21 @@ const registerNewDeviceSchema = new mongoose.Schema({
     default: 'offline'
   },
 
+  // Presence (utils/presence.js)
+  lastSeen: {
+    type: Date
+  },
+  statusChangedAt: {
+    type: Date
+  },
+  presenceExpiresAt: {
+    type: Date
+  },
+  // Newest telem_time ingested, for gap detection
+  lastTelemTime: {
+    type: Date
+  },
+
   availability: {
     type: String,
     default: 'private'
@@ -93,6 +108,13 @@ const registerNewDeviceSchema = new mongoose.Schema({
     required: true
   },
 
+  // Set while the unit's manufacturing batch is recalled
+  recall: {
+    batchNumber: { type: String },
+    reason: { type: String },
+    recalledAt: { type: Date }
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -125,6 +147,8 @@ const registerNewDeviceSchema = new mongoose.Schema({
 
 }, { versionKey: false });
 
+registerNewDeviceSchema.index({ status: 1, presenceExpiresAt: 1 });
+
 const registerNewDevice = mongoose.model('registerDevices', registerNewDeviceSchema, 'registeredDevices');
 
 module.exports = registerNewDevice;
@@ -27,6 +27,19 @@ const invitationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  acceptedAt: {
+    type: Date
+  },
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date
+  },
+  invitedBy: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -39,6 +52,8 @@ const invitationSchema = new mongoose.Schema({
 });
 
 
+invitationSchema.index({ organizationId: 1, email: 1 });
+
 const Invitation = mongoose.model('Invitation', invitationSchema);
 
 module.exports = Invitation;
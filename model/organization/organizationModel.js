@@ -21,6 +21,16 @@ const organizationSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // ISO 3166-1 alpha-2 country for members' phone numbers written without a country code
+  defaultPhoneCountry: {
+    type: String,
+    uppercase: true
+  },
+  // Members must have two-factor authentication enabled to log in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
   collaborators: [{
     userId: {
       type: String,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * One pre-aggregated bucket of a device's telemetry.
+ * `values` is keyed by datapoint: { pm2_5: { min, max, sum, avg, last, count }, ... }
+ * `count` is the number of readings; a datapoint's own `count` leaves out readings where it was
+ * null (missing or invalid), and with `sum` lets coarser buckets be re-averaged without bias.
+ */
+const rollupSchema = new mongoose.Schema({
+  auid: {
+    type: String,
+    required: true,
+  },
+  model: {
+    type: String,
+    required: true,
+  },
+  // Bucket start (UTC)
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  count: { type: Number, default: 0 },
+  values: {
+    type: Object,
+    default: {}
+  }
+}, { timestamps: true, minimize: false });
+
+rollupSchema.index({ auid: 1, bucket: 1 }, { unique: true });
+
+/** How far each (model, tier) has been rolled up: buckets before `rolledUntil` are complete. */
+const rollupStateSchema = new mongoose.Schema({
+  model: { type: String, required: true },
+  tier: { type: String, required: true },
+  rolledUntil: { type: Date },
+  lastRunAt: { type: Date }
+}, { timestamps: true });
+
+rollupStateSchema.index({ model: 1, tier: 1 }, { unique: true });
+
+const HourlyRollup = mongoose.model('TelemetryRollupHourly', rollupSchema, 'telemetry_rollups_hourly');
+const DailyRollup = mongoose.model('TelemetryRollupDaily', rollupSchema, 'telemetry_rollups_daily');
+const RollupState = mongoose.model('TelemetryRollupState', rollupStateSchema, 'telemetry_rollup_state');
+
+module.exports = { HourlyRollup, DailyRollup, RollupState };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const OUTCOMES = [
+  'success',
+  'invalid_credentials',
+  'locked',
+  'unverified',
+  'two_factor_challenge',
+  'two_factor_failed'
+];
+
+// One entry per login attempt against an existing account
+const loginEventSchema = new mongoose.Schema({
+  userid: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    required: true
+  },
+  ip: { type: String },
+  userAgent: { type: String },
+  // first login from this IP
+  newIp: {
+    type: Boolean,
+    default: false
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+loginEventSchema.index({ userid: 1, at: -1 });
+loginEventSchema.index(
+  { at: 1 },
+  { expireAfterSeconds: parseInt(process.env.LOGIN_HISTORY_TTL_DAYS || '180', 10) * 24 * 60 * 60 }
+);
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema, 'login_history');
+
+module.exports = LoginEvent;
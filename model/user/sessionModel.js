@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One login = one session = one refresh-token family. Only the hash of the
+// current refresh token is kept; presenting an older token of the family is reuse.
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userid: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // jti of the current refresh token
+  tokenId: {
+    type: String,
+    required: true
+  },
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  deviceName: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: { type: Date },
+  // logout | user | admin | reuse | password_reset
+  revokedReason: { type: String },
+  revokedBy: { type: String }
+}, { versionKey: false });
+
+sessionSchema.index({ userid: 1, revokedAt: 1 });
+// expired sessions are removed by Mongo
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema, 'user_sessions');
+
+module.exports = Session;
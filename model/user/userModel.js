@@ -19,14 +19,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  refreshToken: {
-    type: String,
-    default: ""
-  },
+  // E.164, e.g. +233241234567
   contact: {
     type: String,
     default: ""
   },
+  // ISO 3166-1 alpha-2 country detected from the contact
+  contactCountry: {
+    type: String
+  },
   firstName: {
     type: String,
     default: ""
@@ -47,22 +48,93 @@ const userSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
-  otp: {
-    type: Number,
-    default: 0
-  },
-  otpExpiresAt: {
-    type: Date,
-    default: 0
+  // ✅ Pending one-time password (signup verification or password reset); only its hash is kept
+  oneTimePassword: {
+    hash: {
+      type: String,
+      select: false
+    },
+    purpose: {
+      type: String,
+      enum: ['verify', 'reset_password']
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'email']
+    },
+    expiresAt: {
+      type: Date
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: {
+      type: Date
+    }
   },
-  lastOtpSentAt: {
-    type: Date
+  // preferred OTP delivery channel
+  otpChannel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
   },
   verified: {
     type: Boolean,
     default: false
   },
 
+  // ✅ Failed-login tracking and progressive lockout
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date
+    },
+    // consecutive lockouts; each one lasts twice as long as the previous
+    lockouts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    knownIps: {
+      type: [String],
+      default: []
+    }
+  },
+
+  // ✅ TOTP two-factor authentication (secrets are stored encrypted)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: []
+    },
+    lastUsedStep: {
+      type: Number,
+      default: 0
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+
   // ✅ Role-Based Access Control
   role: {
     type: String,
@@ -0,0 +1,774 @@
+const express = require('express');
+const router = express.Router();
+const AlertRule = require('../../model/alerts/alertRuleModel');
+const AlertIncident = require('../../model/alerts/alertIncidentModel');
+const AlertDelivery = require('../../model/alerts/alertDeliveryModel');
+const NotificationPreference = require('../../model/alerts/notificationPreferenceModel');
+const Webhook = require('../../model/alerts/webhookModel');
+const registerNewDevice = require('../../model/devices/registerDevice');
+const authenticateToken = require('../../middleware/bearermiddleware');
+const crypto = require('crypto');
+const { generateAlertRuleId, generateWebhookId } = require('../../utils/idGenerator');
+const { getTelemetryFamily, getTelemetryMetrics } = require('../../utils/modelRegistry');
+const { parseRuleExpression, invalidateAlertRules, clearFiring } = require('../../utils/alertEngine');
+const { notifyIncident, checkWebhookUrl } = require('../../utils/alertNotifier');
+const { resolveDeviceAccess, resolveDeploymentAccess } = require('../../utils/authz');
+
+const OPERATORS = ['>', '>=', '<', '<='];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNELS = ['email', 'sms', 'socket', 'webhook'];
+const WEBHOOK_EVENTS = ['incident.opened', 'incident.resolved'];
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** Anyone who can view a device / deployment may attach rules to it. */
+async function checkTargetAccess(user, { scope, auid, deploymentid }) {
+  if (scope === 'device') {
+    const access = await resolveDeviceAccess(user, auid);
+    if (!access) return { status: 404, message: 'Device not found' };
+    return access.permissions.includes('view')
+      ? { device: access.device }
+      : { status: 403, message: "Missing 'view' permission on this device", missingPermission: 'view' };
+  }
+
+  const access = await resolveDeploymentAccess(user, deploymentid);
+  if (!access) return { status: 404, message: 'Deployment not found' };
+  return access.permissions.includes('view')
+    ? { deployment: access.deployment }
+    : { status: 403, message: "Missing 'view' permission on this deployment", missingPermission: 'view' };
+}
+
+/**
+ * Validate and normalize rule fields from a request body. `expression` (e.g. "pm2_5 > 55 for 10 min")
+ * may stand in for datapoint/operator/threshold/durationSec.
+ * @returns {{ fields?: object, error?: string }}
+ */
+function parseRuleBody(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.expression !== undefined) {
+    const parsed = parseRuleExpression(body.expression);
+    if (!parsed) return { error: `Invalid expression '${body.expression}'. Example: "pm2_5 > 55 for 10 min"` };
+    Object.assign(fields, parsed);
+  }
+
+  for (const key of ['name', 'datapoint', 'operator', 'severity']) {
+    if (body[key] !== undefined) fields[key] = String(body[key]).trim();
+  }
+  for (const key of ['threshold', 'durationSec', 'hysteresis', 'cooldownSec']) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isFinite(n)) return { error: `${key} must be a number` };
+    if (key !== 'threshold' && n < 0) return { error: `${key} cannot be negative` };
+    fields[key] = n;
+  }
+  if (body.enabled !== undefined) fields.enabled = body.enabled === true || body.enabled === 'true';
+
+  if (fields.operator !== undefined && !OPERATORS.includes(fields.operator)) {
+    return { error: `operator must be one of ${OPERATORS.join(', ')}` };
+  }
+  if (fields.severity !== undefined && !SEVERITIES.includes(fields.severity)) {
+    return { error: `severity must be one of ${SEVERITIES.join(', ')}` };
+  }
+  if (!partial) {
+    const missing = ['name', 'datapoint', 'operator', 'threshold'].filter(k => fields[k] === undefined || fields[k] === '');
+    if (missing.length) return { error: `Missing required fields: ${missing.join(', ')}` };
+  }
+
+  return { fields };
+}
+
+/** Reject datapoints the device's telemetry model does not record. */
+function checkDatapoint(device, datapoint) {
+  const metrics = getTelemetryMetrics(getTelemetryFamily(device?.model));
+  if (!device || metrics.length === 0 || metrics.includes(datapoint)) return null;
+  return `Datapoint '${datapoint}' is not recorded by ${device.model} devices. Valid: ${metrics.join(', ')}`;
+}
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   post:
+ *     tags:
+ *       - Alerts
+ *     summary: Create an alert rule
+ *     description: >
+ *       Creates a threshold rule on one device (`scope: device`) or every device of a deployment
+ *       (`scope: deployment`). Rules are evaluated on each telemetry record as it is processed.
+ *       The condition can be given as fields or as an `expression` such as `pm2_5 > 55 for 10 min`.
+ *       A firing rule resolves once the value recovers past `threshold ∓ hysteresis`, and will not
+ *       re-fire on the same device within `cooldownSec`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scope]
+ *             properties:
+ *               name: { type: string, example: "High PM2.5" }
+ *               scope: { type: string, enum: [device, deployment] }
+ *               auid: { type: string, description: "Required for device scope" }
+ *               deploymentid: { type: string, description: "Required for deployment scope" }
+ *               expression: { type: string, example: "pm2_5 > 55 for 10 min" }
+ *               datapoint: { type: string, example: "pm2_5" }
+ *               operator: { type: string, enum: [">", ">=", "<", "<="] }
+ *               threshold: { type: number, example: 55 }
+ *               durationSec: { type: number, example: 600, description: "How long the condition must hold" }
+ *               hysteresis: { type: number, example: 5 }
+ *               cooldownSec: { type: number, example: 900 }
+ *               severity: { type: string, enum: [info, warning, critical] }
+ *               enabled: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ *       403:
+ *         description: No access to the device or deployment
+ *       404:
+ *         description: Device or deployment not found
+ */
+router.post('/rules', authenticateToken, async (req, res) => {
+  const { scope, auid, deploymentid } = req.body;
+
+  if (!['device', 'deployment'].includes(scope)) {
+    return res.status(400).json({ message: "scope must be 'device' or 'deployment'" });
+  }
+  if (scope === 'device' && !auid) return res.status(400).json({ message: 'auid is required for device rules' });
+  if (scope === 'deployment' && !deploymentid) {
+    return res.status(400).json({ message: 'deploymentid is required for deployment rules' });
+  }
+
+  const { fields, error } = parseRuleBody(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const access = await checkTargetAccess(req.user, { scope, auid, deploymentid });
+    if (access.status) return res.status(access.status).json({ message: access.message, missingPermission: access.missingPermission });
+
+    const datapointError = checkDatapoint(access.device, fields.datapoint);
+    if (datapointError) return res.status(400).json({ message: datapointError });
+
+    const rule = await AlertRule.create({
+      ...fields,
+      ruleId: generateAlertRuleId(),
+      userid: req.user.userid,
+      scope,
+      ...(scope === 'device' ? { auid } : { deploymentid })
+    });
+
+    invalidateAlertRules();
+    return res.status(201).json({ message: 'Alert rule created', rule });
+  } catch (err) {
+    console.error('❌ Create alert rule error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: List my alert rules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: auid
+ *         schema: { type: string }
+ *       - in: query
+ *         name: deploymentid
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Rules owned by the caller
+ */
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userid: req.user.userid };
+    if (req.query.auid) filter.auid = String(req.query.auid);
+    if (req.query.deploymentid) filter.deploymentid = String(req.query.deploymentid);
+
+    const rules = await AlertRule.find(filter).sort({ createdAt: -1 }).lean();
+    return res.status(200).json({ count: rules.length, rules });
+  } catch (err) {
+    console.error('❌ List alert rules error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{ruleId}:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: Get an alert rule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The rule
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({ ruleId: req.params.ruleId, userid: req.user.userid }).lean();
+    if (!rule) return res.status(404).json({ message: 'Alert rule not found' });
+    return res.status(200).json(rule);
+  } catch (err) {
+    console.error('❌ Get alert rule error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{ruleId}:
+ *   put:
+ *     tags:
+ *       - Alerts
+ *     summary: Update an alert rule
+ *     description: Accepts the same condition fields as create. The scope and target cannot be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               expression: { type: string }
+ *               threshold: { type: number }
+ *               durationSec: { type: number }
+ *               hysteresis: { type: number }
+ *               cooldownSec: { type: number }
+ *               severity: { type: string, enum: [info, warning, critical] }
+ *               enabled: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid update
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/rules/:ruleId', authenticateToken, async (req, res) => {
+  const { fields, error } = parseRuleBody(req.body, { partial: true });
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const rule = await AlertRule.findOne({ ruleId: req.params.ruleId, userid: req.user.userid });
+    if (!rule) return res.status(404).json({ message: 'Alert rule not found' });
+
+    if (fields.datapoint && rule.scope === 'device') {
+      const device = await registerNewDevice.findOne({ auid: rule.auid }).select('model').lean();
+      const datapointError = checkDatapoint(device, fields.datapoint);
+      if (datapointError) return res.status(400).json({ message: datapointError });
+    }
+
+    Object.assign(rule, fields);
+    await rule.save();
+
+    invalidateAlertRules();
+    return res.status(200).json({ message: 'Alert rule updated', rule });
+  } catch (err) {
+    console.error('❌ Update alert rule error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{ruleId}:
+ *   delete:
+ *     tags:
+ *       - Alerts
+ *     summary: Delete an alert rule
+ *     description: Open incidents raised by the rule are resolved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const rule = await AlertRule.findOneAndDelete({ ruleId: req.params.ruleId, userid: req.user.userid });
+    if (!rule) return res.status(404).json({ message: 'Alert rule not found' });
+
+    await AlertIncident.updateMany(
+      { ruleId: rule.ruleId, status: { $ne: 'resolved' } },
+      { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: req.user.userid, note: 'Rule deleted' } }
+    );
+
+    invalidateAlertRules();
+    return res.status(200).json({ message: 'Alert rule deleted' });
+  } catch (err) {
+    console.error('❌ Delete alert rule error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/incidents:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: List my alert incidents
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [open, acknowledged, resolved] }
+ *       - in: query
+ *         name: auid
+ *         schema: { type: string }
+ *       - in: query
+ *         name: ruleId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Incidents, newest first
+ */
+router.get('/incidents', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userid: req.user.userid };
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.auid) filter.auid = String(req.query.auid);
+    if (req.query.ruleId) filter.ruleId = String(req.query.ruleId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const incidents = await AlertIncident.find(filter).sort({ openedAt: -1 }).limit(limit).lean();
+    return res.status(200).json({ count: incidents.length, incidents });
+  } catch (err) {
+    console.error('❌ List alert incidents error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/incidents/{incidentId}:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: Get an alert incident
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The incident
+ *       404:
+ *         description: Incident not found
+ */
+router.get('/incidents/:incidentId', authenticateToken, async (req, res) => {
+  try {
+    const incident = await AlertIncident.findOne({ incidentId: req.params.incidentId, userid: req.user.userid }).lean();
+    if (!incident) return res.status(404).json({ message: 'Incident not found' });
+    return res.status(200).json(incident);
+  } catch (err) {
+    console.error('❌ Get alert incident error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/incidents/{incidentId}/acknowledge:
+ *   post:
+ *     tags:
+ *       - Alerts
+ *     summary: Acknowledge an open incident
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Incident acknowledged
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: Incident is not open
+ */
+router.post('/incidents/:incidentId/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const incident = await AlertIncident.findOne({ incidentId: req.params.incidentId, userid: req.user.userid });
+    if (!incident) return res.status(404).json({ message: 'Incident not found' });
+    if (incident.status !== 'open') {
+      return res.status(409).json({ message: `Incident is already ${incident.status}` });
+    }
+
+    incident.status = 'acknowledged';
+    incident.acknowledgedAt = new Date();
+    incident.acknowledgedBy = req.user.userid;
+    if (req.body?.note) incident.note = String(req.body.note);
+    await incident.save();
+
+    return res.status(200).json({ message: 'Incident acknowledged', incident });
+  } catch (err) {
+    console.error('❌ Acknowledge incident error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/incidents/{incidentId}/resolve:
+ *   post:
+ *     tags:
+ *       - Alerts
+ *     summary: Resolve an incident manually
+ *     description: >
+ *       Closes the incident. If the condition still holds, the rule fires again once its
+ *       cooldown has passed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: incidentId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200:
+ *         description: Incident resolved
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: Incident already resolved
+ */
+router.post('/incidents/:incidentId/resolve', authenticateToken, async (req, res) => {
+  try {
+    const incident = await AlertIncident.findOne({ incidentId: req.params.incidentId, userid: req.user.userid });
+    if (!incident) return res.status(404).json({ message: 'Incident not found' });
+    if (incident.status === 'resolved') {
+      return res.status(409).json({ message: 'Incident is already resolved' });
+    }
+
+    incident.status = 'resolved';
+    incident.resolvedAt = new Date();
+    incident.resolvedBy = req.user.userid;
+    if (req.body?.note) incident.note = String(req.body.note);
+    await incident.save();
+
+    await clearFiring(incident.ruleId, incident.auid);
+    await notifyIncident(incident, 'incident.resolved');
+
+    return res.status(200).json({ message: 'Incident resolved', incident });
+  } catch (err) {
+    console.error('❌ Resolve incident error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/preferences:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: Get my alert notification preferences
+ *     description: Returns the stored preferences, or the defaults (email + Socket.IO + webhooks on, SMS off).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ */
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const prefs = await NotificationPreference.findOne({ userid: req.user.userid }).lean();
+    return res.status(200).json(prefs || new NotificationPreference({ userid: req.user.userid }).toObject());
+  } catch (err) {
+    console.error('❌ Get alert preferences error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/preferences:
+ *   put:
+ *     tags:
+ *       - Alerts
+ *     summary: Update my alert notification preferences
+ *     description: >
+ *       Per-channel on/off and minimum severity, whether to notify on resolve, and quiet hours.
+ *       During quiet hours email and SMS are suppressed (logged as `suppressed`) unless the incident
+ *       is critical and `allowCritical` is set; Socket.IO and webhooks are always delivered.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             channels:
+ *               email: { enabled: true, minSeverity: warning }
+ *               sms: { enabled: true, minSeverity: critical }
+ *             notifyOnResolve: false
+ *             quietHours: { enabled: true, start: "22:00", end: "06:00", timezone: "Africa/Accra", allowCritical: true }
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Invalid preferences
+ */
+router.put('/preferences', authenticateToken, async (req, res) => {
+  const { channels, notifyOnResolve, quietHours } = req.body || {};
+  const $set = {};
+
+  for (const [channel, value] of Object.entries(channels || {})) {
+    if (!CHANNELS.includes(channel)) return res.status(400).json({ message: `Unknown channel '${channel}'` });
+    if (value?.enabled !== undefined) $set[`channels.${channel}.enabled`] = value.enabled === true;
+    if (value?.minSeverity !== undefined) {
+      if (!SEVERITIES.includes(value.minSeverity)) {
+        return res.status(400).json({ message: `minSeverity must be one of ${SEVERITIES.join(', ')}` });
+      }
+      $set[`channels.${channel}.minSeverity`] = value.minSeverity;
+    }
+  }
+
+  if (notifyOnResolve !== undefined) $set.notifyOnResolve = notifyOnResolve === true;
+
+  if (quietHours) {
+    for (const key of ['start', 'end']) {
+      if (quietHours[key] === undefined) continue;
+      if (!HHMM.test(quietHours[key])) return res.status(400).json({ message: `quietHours.${key} must be HH:mm` });
+      $set[`quietHours.${key}`] = quietHours[key];
+    }
+    if (quietHours.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone });
+      } catch {
+        return res.status(400).json({ message: `Unknown timezone '${quietHours.timezone}'` });
+      }
+      $set['quietHours.timezone'] = quietHours.timezone;
+    }
+    if (quietHours.enabled !== undefined) $set['quietHours.enabled'] = quietHours.enabled === true;
+    if (quietHours.allowCritical !== undefined) $set['quietHours.allowCritical'] = quietHours.allowCritical === true;
+  }
+
+  try {
+    const prefs = await NotificationPreference.findOneAndUpdate(
+      { userid: req.user.userid },
+      { $set },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    return res.status(200).json({ message: 'Preferences updated', preferences: prefs });
+  } catch (err) {
+    console.error('❌ Update alert preferences error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/webhooks:
+ *   post:
+ *     tags:
+ *       - Alerts
+ *     summary: Register an alert webhook
+ *     description: >
+ *       Incident events are POSTed as JSON to the HTTPS `url`, which must resolve to a public
+ *       address (loopback, private and link-local targets are rejected). Each request carries
+ *       `X-CraftedClimate-Timestamp` and `X-CraftedClimate-Signature: sha256=<hex>`, the HMAC-SHA256
+ *       of `<timestamp>.<raw body>` keyed with the secret returned here (shown only once).
+ *       Failed deliveries are retried with exponential backoff.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url: { type: string, example: "https://example.com/hooks/crafted-climate" }
+ *               events:
+ *                 type: array
+ *                 items: { type: string, enum: [incident.opened, incident.resolved] }
+ *     responses:
+ *       201:
+ *         description: Webhook registered; response includes the signing secret
+ *       400:
+ *         description: Invalid URL or events
+ */
+router.post('/webhooks', authenticateToken, async (req, res) => {
+  const { url, events } = req.body || {};
+
+  const problem = await checkWebhookUrl(url);
+  if (problem) return res.status(400).json({ message: problem });
+
+  if (events !== undefined && (!Array.isArray(events) || events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+    return res.status(400).json({ message: `events must be a subset of ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  try {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const hook = await Webhook.create({
+      webhookId: generateWebhookId(),
+      userid: req.user.userid,
+      url: new URL(String(url)).toString(),
+      secret,
+      ...(events && { events })
+    });
+
+    return res.status(201).json({
+      message: 'Webhook registered. Store the secret now; it will not be shown again.',
+      webhook: { webhookId: hook.webhookId, url: hook.url, events: hook.events, enabled: hook.enabled },
+      secret
+    });
+  } catch (err) {
+    console.error('❌ Create webhook error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/webhooks:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: List my alert webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks (secrets omitted)
+ */
+router.get('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userid: req.user.userid }).sort({ createdAt: -1 }).lean();
+    return res.status(200).json({ count: webhooks.length, webhooks });
+  } catch (err) {
+    console.error('❌ List webhooks error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/webhooks/{webhookId}:
+ *   delete:
+ *     tags:
+ *       - Alerts
+ *     summary: Delete an alert webhook
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/webhooks/:webhookId', authenticateToken, async (req, res) => {
+  try {
+    const hook = await Webhook.findOneAndDelete({ webhookId: req.params.webhookId, userid: req.user.userid });
+    if (!hook) return res.status(404).json({ message: 'Webhook not found' });
+    return res.status(200).json({ message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('❌ Delete webhook error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/deliveries:
+ *   get:
+ *     tags:
+ *       - Alerts
+ *     summary: Alert delivery log
+ *     description: One entry per incident event and channel, with status (queued, retrying, sent, failed, suppressed), attempts and last error.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: incidentId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [queued, retrying, sent, failed, suppressed] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ */
+router.get('/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userid: req.user.userid };
+    if (req.query.incidentId) filter.incidentId = String(req.query.incidentId);
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const deliveries = await AlertDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.status(200).json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    console.error('❌ List alert deliveries error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
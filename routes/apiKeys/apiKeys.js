@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../../model/apiKey/apiKeyModel');
+const Organization = require('../../model/organization/organizationModel');
+const authenticateToken = require('../../middleware/bearermiddleware');
+const { generateApiKeyId } = require('../../utils/idGenerator');
+const { isOrganizationAdmin } = require('../../utils/organization');
+const { SCOPES, generateApiKey, isValidAllowlistEntry, apiKeyView } = require('../../utils/apiKeys');
+
+const MAX_RATE_LIMIT_PER_MIN = parseInt(process.env.API_KEY_MAX_RATE_LIMIT_PER_MIN || '600', 10);
+
+/**
+ * Validate ipAllowlist / rateLimitPerMinute / expiry fields shared by create and update.
+ * @returns {{ fields?: object, error?: string }}
+ */
+function parseKeySettings(body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name).trim();
+    if (!name) return { error: 'name cannot be empty' };
+    fields.name = name;
+  }
+
+  if (body.ipAllowlist !== undefined) {
+    if (!Array.isArray(body.ipAllowlist)) return { error: 'ipAllowlist must be an array of addresses or CIDR ranges' };
+    const entries = body.ipAllowlist.map(e => String(e).trim()).filter(Boolean);
+    const invalid = entries.filter(e => !isValidAllowlistEntry(e));
+    if (invalid.length) return { error: `Invalid ipAllowlist entries: ${invalid.join(', ')}` };
+    fields.ipAllowlist = entries;
+  }
+
+  if (body.rateLimitPerMinute !== undefined && body.rateLimitPerMinute !== null) {
+    const n = Number(body.rateLimitPerMinute);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_RATE_LIMIT_PER_MIN) {
+      return { error: `rateLimitPerMinute must be an integer between 1 and ${MAX_RATE_LIMIT_PER_MIN}` };
+    }
+    fields.rateLimitPerMinute = n;
+  }
+
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const at = new Date(body.expiresAt);
+    if (isNaN(at) || at <= new Date()) return { error: 'expiresAt must be a date in the future' };
+    fields.expiresAt = at;
+  } else if (body.expiresInDays !== undefined) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: 'expiresInDays must be a positive number' };
+    fields.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { fields };
+}
+
+/** Owner of a user key, an admin of the key's organization, or a platform admin. */
+async function canManageKey(user, apiKey) {
+  if (user.role === 'admin' || apiKey.userid === user.userid) return true;
+  if (apiKey.ownerType !== 'organization') return false;
+  const org = await Organization.findOne({ organizationId: apiKey.organizationId }).select('organizationId collaborators').lean();
+  return Boolean(org && isOrganizationAdmin(org, user));
+}
+
+/**
+ * @swagger
+ * /api/api-keys/scopes:
+ *   get:
+ *     tags:
+ *       - API Keys
+ *     summary: Scopes an API key can carry
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scope names
+ */
+router.get('/scopes', authenticateToken, (req, res) => {
+  res.status(200).json({ scopes: SCOPES });
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     tags:
+ *       - API Keys
+ *     summary: Create an API key
+ *     description: >
+ *       Mints a key for programmatic access, sent in the `x-api-key` header. The key is returned
+ *       only in this response; only its hash is stored. User keys act as their creator; organization
+ *       keys (creator must be an organization ADMIN) act for the organization and reach its
+ *       deployments and devices. Scopes limit which routes the key can call.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name: { type: string, example: "Grafana telemetry pull" }
+ *               scopes:
+ *                 type: array
+ *                 items: { type: string, enum: [telemetry:read, devices:read, devices:write, deployments:read, ota:read] }
+ *               organizationId: { type: string, description: Create an organization key }
+ *               expiresAt: { type: string, format: date-time }
+ *               expiresInDays: { type: number, example: 90 }
+ *               ipAllowlist:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["203.0.113.10", "10.0.0.0/24"]
+ *               rateLimitPerMinute: { type: integer, example: 120 }
+ *     responses:
+ *       201:
+ *         description: Key created; `key` is shown once
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Not an admin of the organization
+ *       404:
+ *         description: Organization not found
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  const body = req.body || {};
+  if (!body.name) return res.status(400).json({ message: 'name is required' });
+
+  const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes.map(String))] : [];
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (scopes.length === 0 || unknown.length) {
+    return res.status(400).json({ message: `Unknown or missing scopes: ${unknown.join(', ') || '(none given)'}`, valid: SCOPES });
+  }
+
+  const { fields, error } = parseKeySettings(body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    let ownerType = 'user';
+    if (body.organizationId) {
+      const org = await Organization.findOne({ organizationId: body.organizationId }).select('organizationId collaborators').lean();
+      if (!org) return res.status(404).json({ message: 'Organization not found' });
+      if (!isOrganizationAdmin(org, req.user)) {
+        return res.status(403).json({ message: 'Only organization admins can create organization keys' });
+      }
+      ownerType = 'organization';
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      keyId: generateApiKeyId(),
+      keyHash,
+      prefix,
+      ownerType,
+      userid: req.user.userid,
+      organizationId: ownerType === 'organization' ? body.organizationId : undefined,
+      scopes,
+      ...fields
+    });
+
+    console.log(`🔑 API key ${apiKey.keyId} created by ${req.user.userid} (${ownerType})`);
+    return res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: apiKeyView(apiKey)
+    });
+  } catch (err) {
+    console.error('❌ Create API key error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     tags:
+ *       - API Keys
+ *     summary: List API keys
+ *     description: My user keys, or an organization's keys when `organizationId` is given (organization ADMINs).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organizationId
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Keys (never the key itself)
+ *       403:
+ *         description: Not an admin of the organization
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    let filter = { ownerType: 'user', userid: req.user.userid };
+
+    if (req.query.organizationId) {
+      const org = await Organization.findOne({ organizationId: req.query.organizationId }).select('organizationId collaborators').lean();
+      if (!org) return res.status(404).json({ message: 'Organization not found' });
+      if (!isOrganizationAdmin(org, req.user)) {
+        return res.status(403).json({ message: 'Only organization admins can list organization keys' });
+      }
+      filter = { ownerType: 'organization', organizationId: org.organizationId };
+    }
+
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+    return res.status(200).json({ count: keys.length, keys: keys.map(apiKeyView) });
+  } catch (err) {
+    console.error('❌ List API keys error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{keyId}:
+ *   patch:
+ *     tags:
+ *       - API Keys
+ *     summary: Update an API key's name, IP allowlist, rate limit or expiry
+ *     description: Scopes cannot be changed; create a new key instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               ipAllowlist:
+ *                 type: array
+ *                 items: { type: string }
+ *               rateLimitPerMinute: { type: integer }
+ *               expiresAt: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Updated key
+ *       400:
+ *         description: Invalid fields, or the key is revoked
+ *       403:
+ *         description: Not allowed to manage this key
+ *       404:
+ *         description: Key not found
+ */
+router.patch('/:keyId', authenticateToken, async (req, res) => {
+  if (req.body?.scopes !== undefined) {
+    return res.status(400).json({ message: 'Scopes cannot be changed; create a new key instead' });
+  }
+
+  const { fields, error } = parseKeySettings(req.body || {});
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const apiKey = await ApiKey.findOne({ keyId: req.params.keyId });
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+    if (!(await canManageKey(req.user, apiKey))) {
+      return res.status(403).json({ message: 'You cannot manage this API key' });
+    }
+    if (apiKey.revokedAt) return res.status(400).json({ message: 'API key is revoked' });
+
+    Object.assign(apiKey, fields);
+    await apiKey.save();
+
+    return res.status(200).json({ message: 'API key updated', apiKey: apiKeyView(apiKey) });
+  } catch (err) {
+    console.error('❌ Update API key error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{keyId}:
+ *   delete:
+ *     tags:
+ *       - API Keys
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. Revoked keys stay listed for reference.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       403:
+ *         description: Not allowed to manage this key
+ *       404:
+ *         description: Key not found
+ */
+router.delete('/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyId: req.params.keyId });
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+    if (!(await canManageKey(req.user, apiKey))) {
+      return res.status(403).json({ message: 'You cannot manage this API key' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user.userid;
+      await apiKey.save();
+      console.log(`🔑 API key ${apiKey.keyId} revoked by ${req.user.userid}`);
+    }
+
+    return res.status(200).json({ message: 'API key revoked', apiKey: apiKeyView(apiKey) });
+  } catch (err) {
+    console.error('❌ Revoke API key error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
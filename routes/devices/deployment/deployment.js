@@ -3,8 +3,13 @@ const router = express.Router();
 const Deployment = require('../../../model/deployment/deploymentModel');
 const RegisteredDevice = require('../../../model/devices/registerDevice');
 const authenticateToken = require('../../../middleware/bearermiddleware');
+const { authenticateTokenOrApiKey } = require('../../../middleware/scopedApiKeyMiddleware');
 const nanoid = require('nanoid')
 const User = require('../../../model/user/userModel');
+const Organization = require('../../../model/organization/organizationModel');
+const { authorizeDeployment, authorizeSelf } = require('../../../middleware/authorizeMiddleware');
+const { resolveDeviceAccess, accessibleDeploymentIds } = require('../../../utils/authz');
+const { isOrganizationAdmin } = require('../../../utils/organization');
 
 
  
@@ -29,7 +34,7 @@ const User = require('../../../model/user/userModel');
  *         properties:
  *           userid:
  *             type: string
- *             description: The user ID associated with the new deployment.
+ *             description: Optional. The deployment is always owned by the authenticated user; a different value is rejected.
  *             example: "user123"
  *           name:
  *             type: string
@@ -39,6 +44,10 @@ const User = require('../../../model/user/userModel');
  *             type: string
  *             description: A brief description of the deployment.
  *             example: "This deployment is intended for monitoring environmental data."
+ *           organizationId:
+ *             type: string
+ *             description: Optional organization to create the deployment in (caller must be an organization ADMIN).
+ *             example: "ORG-8F3K2L9QX1"
  *     responses:
  *       201:
  *         description: Deployment created successfully.
@@ -52,13 +61,28 @@ const User = require('../../../model/user/userModel');
  *               description: "This deployment is intended for monitoring environmental data."
  *       400:
  *         description: Bad request - deployment with the same name already exists or other validation error.
+ *       403:
+ *         description: Not an admin of the given organization.
+ *       404:
+ *         description: Organization not found.
  *       500:
  *         description: Internal server error.
  */
 
-router.post('/create-deployments', async (req, res) => {
+router.post('/create-deployments', authenticateToken, authorizeSelf('userid', 'body'), async (req, res) => {
     try {
-      const { userid, name, description } = req.body;
+      const { userid } = req.user;
+      const { name, description, organizationId } = req.body;
+
+      // Deployments created under an organization are managed by all of its ADMINs
+      let organization = null;
+      if (organizationId) {
+        organization = await Organization.findOne({ organizationId });
+        if (!organization) return res.status(404).send({ message: 'Organization not found' });
+        if (!isOrganizationAdmin(organization, req.user)) {
+          return res.status(403).send({ message: 'Only organization admins can create deployments in it' });
+        }
+      }
   
        const existingDeployment = await Deployment.findOne({ userid, name });
       if (existingDeployment) {
@@ -72,6 +96,14 @@ router.post('/create-deployments', async (req, res) => {
       await User.findOneAndUpdate({ userid: userid }, {
         $push: { deployments: deploymentid}
       }, { new: true });
+
+      if (organization) {
+        await Organization.updateOne({ organizationId }, { $addToSet: { deployments: deploymentid } });
+        await User.updateMany(
+          { userid: { $in: organization.collaborators.map(c => c.userId) } },
+          { $addToSet: { deployments: deploymentid } }
+        );
+      }
   
       res.status(201).send({ deployment: newDeployment ,message:"Deployment created successfuly"});
     } catch (error) {
@@ -104,14 +136,9 @@ router.post('/create-deployments', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.get('/deployments/:deploymentId', async (req, res) => {
+router.get('/deployments/:deploymentId', authenticateTokenOrApiKey('deployments:read'), authorizeDeployment('view'), async (req, res) => {
   try {
-    const { deploymentId } = req.params;
-    const deployment = await Deployment.findOne({ deploymentid: deploymentId });
-    if (!deployment) {
-      return res.status(404).send({ message: 'Deployment not found' });
-    }
-    res.status(200).send({ deployment });
+    res.status(200).send({ deployment: req.deployment, permissions: req.access.permissions });
   } catch (error) {
     res.status(400).send(error);
   }
@@ -141,7 +168,7 @@ router.get('/deployments/:deploymentId', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.get('/deployments/:deploymentId/devices', async (req, res) => {
+router.get('/deployments/:deploymentId/devices', authenticateTokenOrApiKey('deployments:read'), authorizeDeployment('view'), async (req, res) => {
     try {
       const { deploymentId } = req.params;
   
@@ -198,7 +225,7 @@ router.get('/deployments/:deploymentId/devices', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.put('/deployments/:deploymentId', async (req, res) => {
+router.put('/deployments/:deploymentId', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
     try {
       const { deploymentId } = req.params;
       const { name, description } = req.body;
@@ -243,42 +270,21 @@ router.put('/deployments/:deploymentId', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The unique ID of the deployment to delete.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userid
- *             properties:
- *               userid:
- *                 type: string
- *                 description: The ID of the user making the request (must be the deployment creator).
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Deployment deleted successfully.
  *       403:
- *         description: Only the creator of the deployment can delete it.
+ *         description: Only the deployment owner or an admin of its organization can delete it.
  *       404:
  *         description: Deployment not found.
  *       500:
  *         description: Internal server error.
  */
-router.delete('/deployments/:deploymentId', async (req, res) => {
+router.delete('/deployments/:deploymentId', authenticateToken, authorizeDeployment('delete'), async (req, res) => {
   try {
     const { deploymentId } = req.params;
-    const { userid } = req.body; // Owner making the request
-
-    const deployment = await Deployment.findOne({ deploymentid: deploymentId });
-    if (!deployment) {
-      return res.status(404).json({ message: 'Deployment not found' });
-    }
-
-    // Ensure only the owner can delete
-    if (deployment.userid !== userid) {
-      return res.status(403).json({ message: 'Only the creator of the deployment can delete it.' });
-    }
 
     // Remove the deployment from all users' deployments array
     await User.updateMany(
@@ -286,6 +292,12 @@ router.delete('/deployments/:deploymentId', async (req, res) => {
       { $pull: { deployments: deploymentId } }
     );
 
+    // ...and from any organization holding it
+    await Organization.updateMany(
+      { deployments: deploymentId },
+      { $pull: { deployments: deploymentId } }
+    );
+
     // Delete all associated devices
     await RegisteredDevice.deleteMany({ deployment: deploymentId });
 
@@ -335,7 +347,7 @@ router.delete('/deployments/:deploymentId', async (req, res) => {
  *       500:
  *         description: Internal server error.
  */
-router.post('/deployments/:deploymentId/devices', async (req, res) => {
+router.post('/deployments/:deploymentId/devices', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
     const { deploymentId } = req.params;
     const { auid } = req.body;
@@ -352,6 +364,12 @@ console.log(auid)
       return res.status(404).send({ message: 'Device not found' });
     }
 
+    // Everyone on the deployment will inherit access to the device, so it must be shareable by the caller
+    const deviceAccess = await resolveDeviceAccess(req.user, registeredDevice.toObject());
+    if (!deviceAccess.permissions.includes('share')) {
+      return res.status(403).send({ message: "Missing 'share' permission on this device", missingPermission: 'share' });
+    }
+
     // Ensure the device is not already associated with any deployment
     if (registeredDevice.deployment) {
       return res.status(400).send({ message: 'Device already belongs to a deployment' });
@@ -407,7 +425,7 @@ console.log(auid)
  *         description: Internal server error.
  */
 
-router.delete('/deployments/:deploymentId/devices/:auid', async (req, res) => {
+router.delete('/deployments/:deploymentId/devices/:auid', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
     const { deploymentId, auid } = req.params;
 
@@ -464,9 +482,9 @@ router.delete('/deployments/:deploymentId/devices/:auid', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.get('/users/:userid/deployments', async (req, res) => {
+router.get('/users/:userid/deployments', authenticateTokenOrApiKey('deployments:read'), authorizeSelf(), async (req, res) => {
   try {
-    const { userid } = req.params;
+    const { userid } = req.user;
 
     // Find the user and retrieve their deployments array
     const user = await User.findOne({ userid }).select('deployments');
@@ -514,10 +532,12 @@ router.get('/users/:userid/deployments', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.get('/deployments/search', async (req, res) => {
+router.get('/deployments/search', authenticateToken, async (req, res) => {
   try {
     const { query } = req.query;
-    const deployments = await Deployment.find({ $text: { $search: query } });
+    const filter = { $text: { $search: query } };
+    if (req.user.role !== 'admin') filter.deploymentid = { $in: await accessibleDeploymentIds(req.user) };
+    const deployments = await Deployment.find(filter);
     res.status(200).send({ deployments });
   } catch (error) {
     res.status(400).send(error);
@@ -551,7 +571,7 @@ router.get('/deployments/search', async (req, res) => {
  *         description: Internal server error.
  */
 
-router.delete('/deployments/:deploymentId/devices/:auid', async (req, res) => {
+router.delete('/deployments/:deploymentId/devices/:auid', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
     const { deploymentId, auid } = req.params;
 
@@ -587,8 +607,10 @@ router.delete('/deployments/:deploymentId/devices/:auid', async (req, res) => {
  *   get:
  *     tags:
  *       - Deployments
- *     summary: List all deployments
- *     description: Retrieves a list of all deployments available in the system.
+ *     summary: List deployments
+ *     description: Platform admins get every deployment; other users get the deployments they own, collaborate on, or that belong to one of their organizations.
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: A list of deployments.
@@ -606,9 +628,11 @@ router.delete('/deployments/:deploymentId/devices/:auid', async (req, res) => {
  */
 
 // List all deployments
-router.get('/deployments', async (req, res) => {
+router.get('/deployments', authenticateTokenOrApiKey('deployments:read'), async (req, res) => {
   try {
-    const deployments = await Deployment.find({});
+    // admins see everything, everyone else what they own, collaborate on or reach through an organization
+    const filter = req.user.role === 'admin' ? {} : { deploymentid: { $in: await accessibleDeploymentIds(req.user) } };
+    const deployments = await Deployment.find(filter);
     res.status(200).send({ deployments });
   } catch (error) {
     res.status(500).send({ message: 'Internal server error', error: error.message });
@@ -704,7 +728,7 @@ router.get('/deployments', async (req, res) => {
  *                   type: string
  */
 
-router.delete('/users/:userid/organization/:organizationId/deployments', async (req, res) => {
+router.delete('/users/:userid/organization/:organizationId/deployments', authenticateToken, async (req, res) => {
   const { userid, organizationId } = req.params;
   const { deployments } = req.body; // Array of deployment IDs to remove the user from
 
@@ -720,6 +744,16 @@ router.delete('/users/:userid/organization/:organizationId/deployments', async (
       return res.status(404).json({ message: 'Organization not found.' });
     }
 
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can remove users from its deployments.' });
+    }
+
+    // only deployments that belong to this organization
+    const orgDeployments = deployments.filter(id => (organization.deployments || []).includes(id));
+    if (orgDeployments.length === 0) {
+      return res.status(400).json({ message: 'None of the given deployments belong to this organization.' });
+    }
+
     const userCollaborator = organization.collaborators.find(collaborator => collaborator.userId === userid);
 
     if (userCollaborator && userCollaborator.accessLevel === 'ADMIN') {
@@ -727,7 +761,7 @@ router.delete('/users/:userid/organization/:organizationId/deployments', async (
     }
 
     // Iterate over each deployment ID and remove the user from the deployment's collaborators
-    for (const deploymentId of deployments) {
+    for (const deploymentId of orgDeployments) {
       // Remove the user from the deployment's collaborators
       await Deployment.updateOne(
         { deploymentid: deploymentId },
@@ -738,7 +772,7 @@ router.delete('/users/:userid/organization/:organizationId/deployments', async (
     // Remove the deployments from the user's deployments array
     await User.updateOne(
       { userid },
-      { $pull: { deployments: { $in: deployments } } }
+      { $pull: { deployments: { $in: orgDeployments } } }
     );
 
     res.status(200).json({ message: 'User removed from deployments successfully.' });
@@ -756,7 +790,9 @@ router.delete('/users/:userid/organization/:organizationId/deployments', async (
  *     tags:
  *       - Deployments
  *     summary: Invite a user to a deployment (by email)
- *     description: Allows the deployment creator to add an existing user to the deployment by their email. The requesting user ID must be provided to validate ownership.
+ *     description: Allows the deployment owner (or an admin of its organization) to add an existing user to the deployment by their email.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: deploymentId
  *         in: path
@@ -772,41 +808,32 @@ router.delete('/users/:userid/organization/:organizationId/deployments', async (
  *             type: object
  *             required:
  *               - email
- *               - userid
  *             properties:
  *               email:
  *                 type: string
  *                 example: "collab@example.com"
  *                 description: Email of the user to be invited.
- *               userid:
- *                 type: string
- *                 example: "user123"
- *                 description: User ID of the requester (must be the creator of the deployment).
  *     responses:
  *       200:
  *         description: User added to deployment successfully.
  *       400:
  *         description: User already added to this deployment.
  *       403:
- *         description: Only the creator of the deployment can invite users.
+ *         description: No 'manage' permission on the deployment.
  *       404:
  *         description: Deployment or user not found.
  *       500:
  *         description: Internal server error.
  */
 
-router.post('/deployments/:deploymentId/invite', async (req, res) => {
+router.post('/deployments/:deploymentId/invite', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
     const { deploymentId } = req.params;
-    const { email, userid } = req.body; // userid = requesting user (deployment owner)
+    const { email } = req.body;
 
     const deployment = await Deployment.findOne({ deploymentid: deploymentId });
     if (!deployment) return res.status(404).json({ message: 'Deployment not found' });
 
-    if (deployment.userid !== userid) {
-      return res.status(403).json({ message: 'Only the creator of the deployment can invite users.' });
-    }
-
     const userToInvite = await User.findOne({ email });
     if (!userToInvite) return res.status(404).json({ message: 'User not found' });
 
@@ -840,7 +867,9 @@ router.post('/deployments/:deploymentId/invite', async (req, res) => {
  *     tags:
  *       - Deployments
  *     summary: Remove a user from a deployment
- *     description: Allows the deployment creator to remove a user from the deployment using their user ID. Requesting user ID must be submitted in the body.
+ *     description: Allows the deployment owner (or an admin of its organization) to remove a user from the deployment using their user ID.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: deploymentId
  *         in: path
@@ -854,44 +883,26 @@ router.post('/deployments/:deploymentId/invite', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The user ID of the collaborator to be removed.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userid
- *             properties:
- *               userid:
- *                 type: string
- *                 description: The ID of the user making the request (must be the deployment creator).
- *                 example: "user123"
  *     responses:
  *       200:
  *         description: User removed from deployment successfully.
  *       403:
- *         description: Only the creator of the deployment can remove users.
+ *         description: No 'manage' permission on the deployment.
  *       404:
  *         description: Deployment or user not found.
  *       500:
  *         description: Internal server error.
  */
 
-router.delete('/deployments/:deploymentId/collaborators/:targetUserid', async (req, res) => {
+router.delete('/deployments/:deploymentId/collaborators/:targetUserid', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
     const { deploymentId, targetUserid } = req.params;
-    const { userid } = req.body; // the one making the request
 
     const deployment = await Deployment.findOne({ deploymentid: deploymentId });
     const targetUser = await User.findOne({ userid: targetUserid });
 
     if (!deployment || !targetUser) return res.status(404).json({ message: 'Deployment or user not found' });
 
-    if (deployment.userid !== userid) {
-      return res.status(403).json({ message: 'Only the creator of the deployment can remove collaborators.' });
-    }
-
     deployment.collaborators = deployment.collaborators.filter(id => id !== targetUserid);
     targetUser.deployments = targetUser.deployments.filter(id => id !== deploymentId);
 
@@ -912,7 +923,9 @@ router.delete('/deployments/:deploymentId/collaborators/:targetUserid', async (r
  *     tags:
  *       - Deployments
  *     summary: List collaborators in a deployment
- *     description: Lists all users' emails and names associated with a given deployment. Only the deployment creator can access this list.
+ *     description: Lists all users' emails and names associated with a given deployment. Only the deployment owner or an admin of its organization can access this list.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: deploymentId
  *         in: path
@@ -920,41 +933,20 @@ router.delete('/deployments/:deploymentId/collaborators/:targetUserid', async (r
  *         schema:
  *           type: string
  *         description: The ID of the deployment to fetch collaborators from.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userid
- *             properties:
- *               userid:
- *                 type: string
- *                 description: The ID of the user making the request (must be the deployment creator).
- *                 example: "user123"
  *     responses:
  *       200:
  *         description: List of collaborators returned successfully.
  *       403:
- *         description: Only the creator of the deployment can view collaborators.
+ *         description: No 'manage' permission on the deployment.
  *       404:
  *         description: Deployment not found.
  *       500:
  *         description: Internal server error.
  */
 
- router.post('/deployments/:deploymentId/collaborators', async (req, res) => {
+ router.post('/deployments/:deploymentId/collaborators', authenticateToken, authorizeDeployment('manage'), async (req, res) => {
   try {
-    const { deploymentId } = req.params;
-    const { userid } = req.body; // the one making the request
-
-    const deployment = await Deployment.findOne({ deploymentid: deploymentId });
-    if (!deployment) return res.status(404).json({ message: 'Deployment not found' });
-
-    if (deployment.userid !== userid) {
-      return res.status(403).json({ message: 'Only the creator of the deployment can view collaborators.' });
-    }
+    const deployment = req.deployment;
 
     const users = await User.find({ userid: { $in: deployment.collaborators } }).select('email firstName lastName');
 
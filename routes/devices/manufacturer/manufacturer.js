@@ -1,4 +1,6 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
 const AddDevice = require('../../../model/devices/addDevice');
 const {
@@ -12,6 +14,39 @@ const authorizeRoles = require('../../../middleware/rbacMiddleware');
 const verifyApiKey = require('../../../middleware/apiKeymiddleware');
 const authenticateToken = require('../../../middleware/bearermiddleware');
 const SensorModel = require('../../../model/devices/deviceModels');
+const { LIFECYCLE_STATES, transitionDevice } = require('../../../utils/manufacturingLifecycle');
+const { newClaimNonce, claimCodeFor, rotateClaimCode } = require('../../../utils/claimCode');
+const { recordAudit } = require('../../../utils/audit');
+const { batchSummaries, recallBatch, liftRecall } = require('../../../utils/batchManagement');
+const ManufacturingBatch = require('../../../model/devices/manufacturingBatchModel');
+const OTAUpdate = require('../../../model/ota/otaModel');
+const {
+  MAX_BULK_ROWS,
+  parseDeviceCsv,
+  validateBulkRows,
+  buildLabels,
+  renderLabelSheet,
+  batchCsv,
+} = require('../../../utils/manufacturingBatch');
+
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Fields PUT may change; status only moves through /:id/transition
+const EDITABLE_FIELDS = ['model', 'type', 'mac', 'datapoints'];
+
+// /bulk creates a batch in one transaction, which MongoDB only supports on a replica set or sharded
+// cluster (Cosmos DB's MongoDB API qualifies; a standalone mongod does not). Checked once per process.
+let transactionSupport;
+const supportsTransactions = () => {
+  transactionSupport ??= mongoose.connection.db.admin().command({ hello: 1 })
+    .then(hello => Boolean(hello.setName || hello.msg === 'isdbgrid'))
+    .catch(() => {
+      transactionSupport = undefined;
+      return false;
+    });
+  return transactionSupport;
+};
 
 /**
  * @swagger
@@ -99,14 +134,22 @@ router.post('/', verifyApiKey, authenticateToken, authorizeRoles('admin', 'super
       sku,
       batchNumber,
       status: 'MANUFACTURED',
-      datapoints,
+      statusChangedAt: new Date(),
+      statusChangedBy: req.user.userid,
+      statusHistory: [{ to: 'MANUFACTURED', by: req.user.userid }],
+      // default to the keys of the model's datapoint schema
+      datapoints: datapoints?.length ? datapoints : sensorModel.datapoints.map(dp => dp.key),
       auid,
-      serial
+      serial,
+      claim: { nonce: newClaimNonce(), issuedAt: new Date() }
     });
 
     await newDevice.save();
 
-    res.status(201).json({ message: 'Device manufactured successfully', device: newDevice });
+    const claimCode = claimCodeFor(newDevice);
+    const device = newDevice.toObject();
+    delete device.claim.nonce;
+    res.status(201).json({ message: 'Device manufactured successfully', device, claimCode });
 
   } catch (err) {
     console.error(err);
@@ -133,6 +176,493 @@ router.post('/', verifyApiKey, authenticateToken, authorizeRoles('admin', 'super
 
 
 
+/**
+ * @swagger
+ * /api/devices/manufacturer/bulk:
+ *   post:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Manufacture many devices in one batch
+ *     description: >
+ *       Takes a CSV (header devid,mac,model,type and optionally datapoints as a ';'-separated list) as a
+ *       `file` upload or a text/csv body, or a JSON array of the same fields (bare or as `devices`).
+ *       Every row is checked against the device models and existing devids/MACs first; if any row fails,
+ *       nothing is created. Otherwise all rows get one batch number and are created in a single transaction,
+ *       so MongoDB must run as a replica set or sharded cluster (Cosmos DB's MongoDB API works; a standalone
+ *       mongod gets 503). The response has one report entry per row.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without creating anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               devices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     devid: { type: string, example: "sensor001" }
+ *                     mac: { type: string, example: "C8:3A:35:AA:12:44" }
+ *                     model: { type: string, example: "ENV" }
+ *                     type: { type: string, example: "Cellular" }
+ *                     datapoints: { type: array, items: { type: string } }
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "devid,mac,model,type\nsensor001,C8:3A:35:AA:12:44,ENV,Cellular"
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Devices created; batchNumber and per-row report
+ *       200:
+ *         description: Dry run passed; per-row report
+ *       400:
+ *         description: Unreadable input, too many rows, or rows failing validation (per-row report)
+ *       503:
+ *         description: The database does not support transactions (standalone MongoDB)
+ */
+router.post('/bulk', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), csvUpload.single('file'), csvBody, async (req, res) => {
+  let rows;
+  if (req.file || typeof req.body === 'string') {
+    const parsed = parseDeviceCsv(req.file ? req.file.buffer.toString('utf8') : req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    rows = parsed.rows;
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body?.devices;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'Provide a CSV file or body, or a JSON array of devices' });
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_ROWS} devices per batch` });
+  }
+
+  let session;
+  try {
+    const { report, valid, models } = await validateBulkRows(rows);
+    const summary = (r, status) => ({ row: r.row, devid: r.devid, mac: r.mac || r.rawMac, model: r.model, status, errors: r.errors });
+
+    if (!valid) {
+      return res.status(400).json({
+        error: `${report.filter(r => r.errors.length).length} of ${report.length} rows failed validation; nothing was created`,
+        report: report.map(r => summary(r, r.errors.length ? 'invalid' : 'valid'))
+      });
+    }
+    if (String(req.query.dryRun) === 'true') {
+      return res.status(200).json({ message: `All ${report.length} rows are valid`, report: report.map(r => summary(r, 'valid')) });
+    }
+
+    if (!(await supportsTransactions())) {
+      return res.status(503).json({ error: 'Bulk manufacturing needs MongoDB running as a replica set (transactions are not available)' });
+    }
+
+    const now = new Date();
+    const docs = report.map(r => ({
+      devid: r.devid,
+      model: r.model,
+      type: r.type,
+      mac: r.mac,
+      manufacturingId: generateManufacturerId(),
+      sku: generateSku(r.model),
+      status: 'MANUFACTURED',
+      statusChangedAt: now,
+      statusChangedBy: req.user.userid,
+      statusHistory: [{ to: 'MANUFACTURED', by: req.user.userid, note: 'bulk', at: now }],
+      datapoints: r.datapoints?.length ? r.datapoints : models.get(r.model).datapoints.map(dp => dp.key),
+      auid: generateAUID(),
+      serial: generateSerialNumber(),
+      claim: { nonce: newClaimNonce(), issuedAt: now }
+    }));
+
+    // the batch number is allocated in the transaction too, so a failed batch doesn't use one up
+    let batchNumber;
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      batchNumber = await generateBatchNumber(session);
+      docs.forEach(d => (d.batchNumber = batchNumber));
+      await AddDevice.insertMany(docs, { session });
+    });
+
+    console.log(`🏭 Batch ${batchNumber}: ${docs.length} devices manufactured by ${req.user.userid}`);
+    res.status(201).json({
+      message: `${docs.length} devices manufactured`,
+      batchNumber,
+      report: report.map((r, i) => ({
+        ...summary(r, 'created'),
+        manufacturingId: docs[i].manufacturingId,
+        serial: docs[i].serial,
+        auid: docs[i].auid,
+        claimCode: claimCodeFor(docs[i])
+      }))
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `Duplicate value for ${Object.keys(err.keyValue || {})[0] || 'a unique field'}; nothing was created` });
+    }
+    return res.status(500).json({ error: err.message });
+  } finally {
+    await session?.endSession();
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches:
+ *   get:
+ *     tags:
+ *       - Manufacturer
+ *     summary: List manufacturing batches
+ *     description: Each batch with its unit count by lifecycle state and by model, firmware pin and active recall.
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         example: 2025
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Only count units of this model
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ */
+router.get('/batches', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), async (req, res) => {
+  const match = {};
+  if (req.query.year !== undefined) {
+    if (!/^\d{4}$/.test(String(req.query.year))) return res.status(400).json({ error: 'year must be a 4-digit year' });
+    match.batchNumber = new RegExp(`^CC-${req.query.year}-`);
+  }
+  if (req.query.model) match.model = String(req.query.model).toLowerCase();
+
+  try {
+    res.json(await batchSummaries(match));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches/{batchNumber}:
+ *   get:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Get a manufacturing batch and its units
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "CC-2025-0001"
+ *     responses:
+ *       200:
+ *         description: Counts by state and model, settings, and the units
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:batchNumber', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), async (req, res) => {
+  try {
+    const [summary] = await batchSummaries({ batchNumber: req.params.batchNumber });
+    if (!summary) return res.status(404).json({ error: 'Batch not found' });
+
+    const units = await AddDevice.find({ batchNumber: req.params.batchNumber })
+      .select('manufacturingId devid mac model serial auid status statusChangedAt')
+      .sort({ devid: 1 })
+      .lean();
+    res.json({ ...summary, units });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches/{batchNumber}/recall:
+ *   post:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Recall a batch
+ *     description: Flags every registered unit of the batch (its registration gets a `recall` field) and emails their owners.
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Faulty PM sensor"
+ *     responses:
+ *       200:
+ *         description: Batch recalled; number of units flagged and owners notified
+ *       400:
+ *         description: Reason missing
+ *       404:
+ *         description: Batch not found
+ *   delete:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Lift a batch recall
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recall lifted and unit flags cleared
+ *       404:
+ *         description: Batch is not recalled
+ */
+router.post('/batches/:batchNumber/recall', verifyApiKey, authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { batchNumber } = req.params;
+  const reason = String(req.body?.reason || '').trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+  try {
+    if (!(await AddDevice.exists({ batchNumber }))) return res.status(404).json({ error: 'Batch not found' });
+
+    const result = await recallBatch(batchNumber, { by: req.user.userid, reason });
+    await recordAudit(req, 'batch.recalled', { reason, metadata: { batchNumber, ...result } });
+
+    res.json({ message: `Batch ${batchNumber} recalled`, ...result });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/batches/:batchNumber/recall', verifyApiKey, authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { batchNumber } = req.params;
+
+  try {
+    if (!(await ManufacturingBatch.exists({ batchNumber, 'recall.active': true }))) {
+      return res.status(404).json({ error: 'Batch is not recalled' });
+    }
+
+    const cleared = await liftRecall(batchNumber, req.user.userid);
+    await recordAudit(req, 'batch.recall_lifted', { metadata: { batchNumber, cleared } });
+
+    res.json({ message: `Recall of ${batchNumber} lifted`, cleared });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches/{batchNumber}/firmware:
+ *   put:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Pin a batch to a firmware
+ *     description: >
+ *       OTA checks that pass a unit's `auid` get the pinned firmware instead of the latest one, for units of
+ *       the firmware's model. Pinning to an older version rolls the batch back.
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uuid
+ *             properties:
+ *               uuid:
+ *                 type: string
+ *                 description: UUID of an uploaded firmware (see /api/devices/list-firmware)
+ *     responses:
+ *       200:
+ *         description: Batch pinned
+ *       400:
+ *         description: The firmware's model is not in the batch
+ *       404:
+ *         description: Batch or firmware not found
+ *   delete:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Remove a batch's firmware pin
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pin removed; the batch follows the latest firmware again
+ */
+router.put('/batches/:batchNumber/firmware', verifyApiKey, authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  const { batchNumber } = req.params;
+
+  try {
+    const firmware = await OTAUpdate.findOne({ uuid: String(req.body?.uuid || '') }).lean();
+    if (!firmware) return res.status(404).json({ error: 'Firmware not found' });
+
+    const models = await AddDevice.distinct('model', { batchNumber });
+    if (models.length === 0) return res.status(404).json({ error: 'Batch not found' });
+    if (!models.includes(firmware.model.toLowerCase())) {
+      return res.status(400).json({ error: `Firmware is for model "${firmware.model}", batch has ${models.join(', ')}` });
+    }
+
+    const firmwarePin = {
+      uuid: firmware.uuid,
+      firmware_version: firmware.firmware_version,
+      model: firmware.model,
+      pinnedBy: req.user.userid,
+      pinnedAt: new Date()
+    };
+    await ManufacturingBatch.updateOne({ batchNumber }, { $set: { firmwarePin } }, { upsert: true });
+    await recordAudit(req, 'batch.firmware_pinned', { metadata: { batchNumber, uuid: firmware.uuid, firmware_version: firmware.firmware_version } });
+
+    res.json({ message: `Batch ${batchNumber} pinned to ${firmware.model} ${firmware.firmware_version}`, firmwarePin });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/batches/:batchNumber/firmware', verifyApiKey, authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    await ManufacturingBatch.updateOne({ batchNumber: req.params.batchNumber }, { $unset: { firmwarePin: '' } });
+    await recordAudit(req, 'batch.firmware_unpinned', { metadata: { batchNumber: req.params.batchNumber } });
+    res.json({ message: 'Firmware pin removed' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches/{batchNumber}/export.csv:
+ *   get:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Export a batch's serials, AUIDs and claim codes as CSV
+ *     description: >
+ *       claimCode is empty and claimStatus is `claimed` once a unit's code is spent; serial and AUID can't
+ *       register a unit on their own, so rotate the claim code before relabelling it.
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "CC-2025-0001"
+ *     responses:
+ *       200:
+ *         description: One line per unit
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:batchNumber/export.csv', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), async (req, res) => {
+  try {
+    const devices = await AddDevice.find({ batchNumber: req.params.batchNumber }).select('+claim.nonce').sort({ devid: 1 }).lean();
+    if (devices.length === 0) return res.status(404).json({ error: 'Batch not found' });
+
+    const safeBatch = req.params.batchNumber.replace(/[^A-Za-z0-9._-]/g, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="batch_${safeBatch}.csv"`);
+    res.status(200).send(batchCsv(devices));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/batches/{batchNumber}/labels:
+ *   get:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Printable label sheet for a batch
+ *     description: >
+ *       An A4 HTML sheet with one label per unit: SKU, serial, MAC and a QR code. The QR payload is the
+ *       console claim link carrying the unit's claim code; units whose code is spent get no QR code (rotate
+ *       the code to relabel one). `format=json` returns the labels with their payloads and QR PNG data URLs instead.
+ *     parameters:
+ *       - in: path
+ *         name: batchNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, json]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Label sheet
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/batches/:batchNumber/labels', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), async (req, res) => {
+  try {
+    const devices = await AddDevice.find({ batchNumber: req.params.batchNumber }).select('+claim.nonce').sort({ devid: 1 }).lean();
+    if (devices.length === 0) return res.status(404).json({ error: 'Batch not found' });
+
+    const labels = await buildLabels(devices);
+    if (String(req.query.format || '').toLowerCase() === 'json') {
+      return res.status(200).json({ batchNumber: req.params.batchNumber, labels });
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(renderLabelSheet(req.params.batchNumber, labels));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/devices/manufacturer:
@@ -195,7 +725,9 @@ router.get('/:id', verifyApiKey , authenticateToken,authorizeRoles('admin','supe
  *         application/json:
  *           schema:
  *             type: object
- *             description: Fields allowed for manufacturer to update
+ *             description: >
+ *               Fields allowed for manufacturer to update. The status cannot be set here;
+ *               use POST /api/devices/manufacturer/{id}/transition.
  *             properties:
  *               model:
  *                 type: string
@@ -206,10 +738,6 @@ router.get('/:id', verifyApiKey , authenticateToken,authorizeRoles('admin','supe
  *               mac:
  *                 type: string
  *                 example: "C8:3A:35:AA:12:44"
- *               status:
- *                 type: string
- *                 enum: [MANUFACTURED, ASSIGNED, REGISTERED]
- *                 example: "ASSIGNED"
  *               datapoints:
  *                 type: array
  *                 items:
@@ -218,18 +746,155 @@ router.get('/:id', verifyApiKey , authenticateToken,authorizeRoles('admin','supe
  *     responses:
  *       200:
  *         description: Updated device successfully
+ *       400:
+ *         description: Field that cannot be changed here
  *       404:
  *         description: Device not found
  */
 
 router.put('/:id',verifyApiKey,authenticateToken,authorizeRoles('admin','supervisor'), async (req, res) => {
-  const updated = await AddDevice.findOneAndUpdate(
-    { manufacturingId: req.params.id },
-    req.body,
-    { new: true }
-  );
-  if (!updated) return res.status(404).json({ error: 'Device not found' });
-  res.json({ message: 'Device updated', device: updated });
+  if (req.body.status !== undefined) {
+    return res.status(400).json({ error: 'Use POST /api/devices/manufacturer/:id/transition to change the status' });
+  }
+  const rejected = Object.keys(req.body).filter(k => !EDITABLE_FIELDS.includes(k));
+  if (rejected.length) {
+    return res.status(400).json({ error: `Cannot update: ${rejected.join(', ')}. Allowed: ${EDITABLE_FIELDS.join(', ')}` });
+  }
+
+  const update = { ...req.body };
+  if (update.model) update.model = String(update.model).toLowerCase();
+
+  try {
+    const updated = await AddDevice.findOneAndUpdate(
+      { manufacturingId: req.params.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Device not found' });
+    res.json({ message: 'Device updated', device: updated });
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'Device with same mac already exists' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/{id}/transition:
+ *   post:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Move a manufactured device to its next lifecycle state
+ *     description: >
+ *       MANUFACTURED → QA_PASSED → SHIPPED → ASSIGNED → REGISTERED → RETIRED | RMA.
+ *       Units can also be retired before shipping, returned (RMA) once shipped, and sent back to
+ *       QA_PASSED after repair. Each move is recorded in statusHistory with who made it and when.
+ *       REGISTERED is normally reached by the owner registering the device, and left back to
+ *       ASSIGNED only by the device being decommissioned.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manufacturing ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [MANUFACTURED, QA_PASSED, SHIPPED, ASSIGNED, REGISTERED, RETIRED, RMA]
+ *                 example: "QA_PASSED"
+ *               note:
+ *                 type: string
+ *                 example: "Passed burn-in test"
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Unknown status
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: Transition not allowed from the current state
+ */
+router.post('/:id/transition', verifyApiKey, authenticateToken, authorizeRoles('admin', 'supervisor'), async (req, res) => {
+  const to = String(req.body?.status || '').toUpperCase();
+  if (!LIFECYCLE_STATES.includes(to)) {
+    return res.status(400).json({ error: `status must be one of ${LIFECYCLE_STATES.join(', ')}` });
+  }
+
+  try {
+    const result = await transitionDevice(req.params.id, to, {
+      by: req.user.userid,
+      note: req.body.note ? String(req.body.note).slice(0, 500) : undefined
+    });
+    if (result.status) return res.status(result.status).json({ error: result.message, allowed: result.allowed });
+
+    res.json({ message: `Device is now ${to}`, device: result.device });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/manufacturer/{id}/claim-code/rotate:
+ *   post:
+ *     tags:
+ *       - Manufacturer
+ *     summary: Issue a new claim code for a unit
+ *     description: The old code stops working at once, e.g. when a label has leaked. Reprint the label afterwards.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Manufacturing ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Label photographed at trade show"
+ *     responses:
+ *       200:
+ *         description: New claim code
+ *       404:
+ *         description: Device not found
+ */
+router.post('/:id/claim-code/rotate', verifyApiKey, authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const device = await rotateClaimCode(req.params.id, req.user.userid);
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+
+    await recordAudit(req, 'device.claim_code_rotated', {
+      reason: req.body?.reason,
+      metadata: { manufacturingId: device.manufacturingId, serial: device.serial }
+    });
+
+    res.json({
+      message: 'Claim code rotated',
+      manufacturingId: device.manufacturingId,
+      serial: device.serial,
+      claimCode: claimCodeFor(device),
+      issuedAt: device.claim.issuedAt
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /**
@@ -6,6 +6,9 @@ const authenticateToken = require('../../../middleware/bearermiddleware');
 const SensorModel = require("../../../model/devices/deviceModels");
 const authorizeRoles = require('../../../middleware/rbacMiddleware');
 const verifyApiKey = require('../../../middleware/apiKeymiddleware');
+const { authenticateApiKey } = require('../../../middleware/scopedApiKeyMiddleware');
+const { isScopedApiKey } = require('../../../utils/apiKeys');
+const { pinnedFirmwareFor } = require('../../../utils/batchManagement');
 
 const router = express.Router();
 
@@ -133,7 +136,7 @@ router.post("/upload-firmware", verifyApiKey,authenticateToken,authorizeRoles('a
  *     tags:
  *       - Firmware
  *     summary: Check for the latest firmware update for a device
- *     description: This endpoint allows you to check if there is a firmware update for a specific device by firmware version, hardware version, and model.
+ *     description: This endpoint allows you to check if there is a firmware update for a specific device by firmware version, hardware version, and model. Accepts the master key with an admin/supervisor JWT, or a scoped API key with the `ota:read` scope.
  *     parameters:
  *       - in: query
  *         name: firmware_version
@@ -150,6 +153,14 @@ router.post("/upload-firmware", verifyApiKey,authenticateToken,authorizeRoles('a
  *         type: string
  *         description: Model of the device
  *         required: true
+ *       - in: query
+ *         name: auid
+ *         type: string
+ *         description: >
+ *           The asking unit. When its manufacturing batch is pinned to a firmware, that firmware is offered
+ *           (with `pinned: true`) instead of the latest, even if it is older, as long as it was built for the
+ *           reported `hardware_version`; otherwise the usual latest-update lookup applies.
+ *         required: false
  *     responses:
  *       200:
  *         description: Latest firmware details
@@ -174,14 +185,39 @@ router.post("/upload-firmware", verifyApiKey,authenticateToken,authorizeRoles('a
  *       404:
  *         description: No update found for the specified device
  */
-router.get("/latest-update", verifyApiKey,authenticateToken,authorizeRoles('admin','supervisor'),async (req, res) => {
+// A scoped key with ota:read may check for updates on its own; otherwise master key + admin/supervisor JWT
+const latestUpdateAccess = (req, res, next) => {
+  if (isScopedApiKey(req.headers['x-api-key'])) return authenticateApiKey('ota:read')(req, res, next);
+  verifyApiKey(req, res, () =>
+    authenticateToken(req, res, () =>
+      authorizeRoles('admin', 'supervisor')(req, res, next)));
+};
+
+router.get("/latest-update", latestUpdateAccess, async (req, res) => {
   try {
-    const { firmware_version, hardware_version, model } = req.query;
+    const { firmware_version, hardware_version, model, auid } = req.query;
 
     if (!firmware_version || !hardware_version || !model) {
       return res.status(400).json({ message: "Please provide firmware_version, hardware_version, and model." });
     }
 
+    // A batch pin overrides "latest" for the batch's units
+    const pin = auid ? await pinnedFirmwareFor(String(auid), { hardwareVersion: String(hardware_version) }) : null;
+    if (pin) {
+      if (pin.firmware.firmware_version === firmware_version) {
+        return res.status(404).json({ message: "Device is on its batch's pinned firmware.", batchNumber: pin.batchNumber });
+      }
+      return res.status(200).json({
+        firmware_url: pin.firmware.firmware_url,
+        firmware_version: pin.firmware.firmware_version,
+        hardware_version: pin.firmware.hardware_version,
+        model: pin.firmware.model,
+        createdAt: pin.firmware.createdAt,
+        pinned: true,
+        batchNumber: pin.batchNumber
+      });
+    }
+
     const candidates = await OTAUpdate.find({
       model,
       firmware_version: { $gt: firmware_version },
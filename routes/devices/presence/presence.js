@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const registerNewDevice = require('../../../model/devices/registerDevice');
+const { authenticateTokenOrApiKey } = require('../../../middleware/scopedApiKeyMiddleware');
+const { authorizeDevice, authorizeDeployment } = require('../../../middleware/authorizeMiddleware');
+const { computeUptime, buildConnectivityReport } = require('../../../utils/presence');
+const { getTelemetryFamily } = require('../../../utils/modelRegistry');
+const { buildTimeRange } = require('../../../utils/telemetryQuery');
+
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** start/end query params → { from, to } (default: last 7 days) or { error } */
+function uptimeRange(query) {
+  const range = buildTimeRange(query);
+  if (range.error) return range;
+  const to = range.to || new Date();
+  const from = range.from || new Date(to.getTime() - DEFAULT_RANGE_MS);
+  return { from, to };
+}
+
+const presenceOf = (device) => ({
+  auid: device.auid,
+  nickname: device.nickname,
+  model: device.model,
+  status: device.status,
+  lastSeen: device.lastSeen || null,
+  statusChangedAt: device.statusChangedAt || null,
+});
+
+/**
+ * @swagger
+ * /api/devices/presence/{auid}:
+ *   get:
+ *     tags:
+ *       - Presence
+ *     summary: Current presence and uptime of a device
+ *     description: >
+ *       A device goes online when telemetry arrives and offline after missing several expected
+ *       reports (per-model `expectedIntervalSec`). Uptime is computed from the online/offline
+ *       transitions in `device_status_events` over the requested range (default last 7 days).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auid
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: start
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: end
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Presence and uptime
+ *         content:
+ *           application/json:
+ *             example:
+ *               auid: "GH-XXXX"
+ *               status: online
+ *               lastSeen: "2025-09-23T18:04:00.000Z"
+ *               statusChangedAt: "2025-09-23T07:10:00.000Z"
+ *               uptime: { start: "2025-09-16T18:05:00.000Z", end: "2025-09-23T18:05:00.000Z", onlineSeconds: 580320, rangeSeconds: 604800, uptimePct: 95.95 }
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: No access to the device
+ *       404:
+ *         description: Device not found
+ */
+router.get('/presence/:auid', authenticateTokenOrApiKey('devices:read'), authorizeDevice('view'), async (req, res) => {
+  const range = uptimeRange(req.query);
+  if (range.error) return res.status(400).json({ message: range.error });
+
+  try {
+    const device = req.device;
+    const uptime = await computeUptime(device.auid, range.from, range.to);
+
+    return res.status(200).json({
+      ...presenceOf(device),
+      uptime: { start: range.from, end: range.to, ...uptime }
+    });
+  } catch (err) {
+    console.error('❌ Device presence error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/deployments/{deploymentId}/presence:
+ *   get:
+ *     tags:
+ *       - Presence
+ *     summary: Presence and uptime of every device in a deployment
+ *     description: >
+ *       Per-device presence and uptime, plus deployment totals. The deployment's `uptimePct`
+ *       is total online time over total device time in the range.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deploymentId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: start
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: end
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Deployment presence summary
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: No access to the deployment
+ *       404:
+ *         description: Deployment not found
+ */
+router.get('/deployments/:deploymentId/presence', authenticateTokenOrApiKey('devices:read'), authorizeDeployment('view'), async (req, res) => {
+  const range = uptimeRange(req.query);
+  if (range.error) return res.status(400).json({ message: range.error });
+
+  try {
+    const deployment = req.deployment;
+
+    const devices = await registerNewDevice
+      .find({ auid: { $in: deployment.devices || [] } })
+      .select('auid nickname model status lastSeen statusChangedAt')
+      .lean();
+
+    const results = [];
+    let onlineSeconds = 0;
+    let rangeSeconds = 0;
+    for (const device of devices) {
+      const uptime = await computeUptime(device.auid, range.from, range.to);
+      onlineSeconds += uptime.onlineSeconds;
+      rangeSeconds += uptime.rangeSeconds;
+      results.push({ ...presenceOf(device), uptime });
+    }
+
+    return res.status(200).json({
+      deploymentId: deployment.deploymentid,
+      name: deployment.name,
+      start: range.from,
+      end: range.to,
+      total: devices.length,
+      online: devices.filter(d => d.status === 'online').length,
+      offline: devices.filter(d => d.status !== 'online').length,
+      uptimePct: rangeSeconds > 0 ? Math.round((onlineSeconds / rangeSeconds) * 10000) / 100 : null,
+      devices: results
+    });
+  } catch (err) {
+    console.error('❌ Deployment presence error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/connectivity/{auid}:
+ *   get:
+ *     tags:
+ *       - Presence
+ *     summary: Connectivity history and uptime report for a device
+ *     description: >
+ *       Outage windows over the range (offline periods from presence transitions merged with
+ *       reporting gaps detected from `telem_time` spacing at ingest), total downtime, the longest
+ *       gap and data completeness (readings stored vs. readings expected at the model's
+ *       `expectedIntervalSec`; counted from rollups for the part of the range older than raw
+ *       retention). `format=csv` returns one row per outage window, with the summary figures in
+ *       X-Range-Seconds, X-Total-Downtime-Seconds, X-Longest-Gap-Seconds, X-Uptime-Pct and
+ *       X-Completeness-Pct response headers, and like other downloads requires 'export' permission
+ *       on the device.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auid
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: start
+ *         schema: { type: string, format: date-time }
+ *         description: Default 7 days before end.
+ *       - in: query
+ *         name: end
+ *         schema: { type: string, format: date-time }
+ *         description: Default now.
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv], default: json }
+ *     responses:
+ *       200:
+ *         description: Connectivity report
+ *         content:
+ *           application/json:
+ *             example:
+ *               auid: "GH-XXXX"
+ *               start: "2025-09-16T18:05:00.000Z"
+ *               end: "2025-09-23T18:05:00.000Z"
+ *               expectedIntervalSec: 600
+ *               rangeSeconds: 604800
+ *               outageCount: 1
+ *               totalDowntimeSeconds: 5400
+ *               uptimePct: 99.11
+ *               longestGapSeconds: 5400
+ *               readings: 1000
+ *               expectedReadings: 1008
+ *               completenessPct: 99.21
+ *               outages:
+ *                 - { start: "2025-09-20T02:00:00.000Z", end: "2025-09-20T03:30:00.000Z", ongoing: false, durationSeconds: 5400 }
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: No access to the device, or no 'export' permission for format=csv
+ *       404:
+ *         description: Device not found
+ */
+router.get('/connectivity/:auid', authenticateTokenOrApiKey('devices:read'), authorizeDevice('view'), async (req, res) => {
+  const range = uptimeRange(req.query);
+  if (range.error) return res.status(400).json({ message: range.error });
+
+  const csv = String(req.query.format || '').toLowerCase() === 'csv';
+  if (csv && !req.access.permissions.includes('export')) {
+    return res.status(403).json({
+      message: "Missing 'export' permission on this device",
+      missingPermission: 'export',
+      permissions: req.access.permissions
+    });
+  }
+
+  try {
+    const device = req.device;
+
+    const report = await buildConnectivityReport(getTelemetryFamily(device.model), device.auid, range.from, range.to);
+
+    if (!csv) {
+      return res.status(200).json(report);
+    }
+
+    const safeAuid = device.auid.replace(/[^A-Za-z0-9._-]/g, '_');
+    const rows = [
+      'auid,start,end,duration_seconds,ongoing',
+      ...report.outages.map(w =>
+        [device.auid, w.start.toISOString(), w.end.toISOString(), w.durationSeconds, w.ongoing].join(',')
+      )
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="connectivity_${safeAuid}.csv"`);
+    // summary in headers so every line of the body is an outage row
+    res.setHeader('X-Range-Seconds', report.rangeSeconds);
+    res.setHeader('X-Total-Downtime-Seconds', report.totalDowntimeSeconds);
+    res.setHeader('X-Longest-Gap-Seconds', report.longestGapSeconds);
+    res.setHeader('X-Uptime-Pct', report.uptimePct ?? '');
+    res.setHeader('X-Completeness-Pct', report.completenessPct ?? '');
+    return res.status(200).send(rows.join('\n') + '\n');
+  } catch (err) {
+    console.error('❌ Connectivity report error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,38 @@ const authenticateToken = require("../../../middleware/bearermiddleware");
 const router = express.Router();
 const authorizeRoles = require('../../../middleware/rbacMiddleware');
 const verifyApiKey = require('../../../middleware/apiKeymiddleware');
+const { invalidateDatapointSchema } = require("../../../utils/telemetryNormalizers");
+
+const DATAPOINT_TYPES = ["number", "integer", "string"];
+
+// Returns an error message for the first invalid datapoint definition, or null
+function validateDatapoints(datapoints) {
+  if (!Array.isArray(datapoints)) return "datapoints must be an array.";
+
+  const seen = new Set();
+  for (const dp of datapoints) {
+    if (!dp || typeof dp.key !== "string" || !dp.key.trim()) return "Every datapoint needs a key.";
+    if (seen.has(dp.key)) return `Duplicate datapoint key "${dp.key}".`;
+    seen.add(dp.key);
+
+    if (dp.aliases !== undefined && (!Array.isArray(dp.aliases) || dp.aliases.some(a => typeof a !== "string"))) {
+      return `Aliases for "${dp.key}" must be an array of strings.`;
+    }
+    if (dp.type !== undefined && !DATAPOINT_TYPES.includes(dp.type)) {
+      return `Type for "${dp.key}" must be one of: ${DATAPOINT_TYPES.join(", ")}.`;
+    }
+    for (const bound of ["min", "max"]) {
+      if (dp[bound] !== undefined && typeof dp[bound] !== "number") return `${bound} for "${dp.key}" must be a number.`;
+    }
+    if (typeof dp.min === "number" && typeof dp.max === "number" && dp.min > dp.max) {
+      return `min for "${dp.key}" is greater than max.`;
+    }
+    if (dp.defaultValue !== undefined && dp.defaultValue !== null && dp.type !== "string" && typeof dp.defaultValue !== "number") {
+      return `defaultValue for "${dp.key}" must be a number.`;
+    }
+  }
+  return null;
+}
 
 /**
  * @swagger
@@ -164,11 +196,18 @@ router.get("/models/:model", verifyApiKey,authenticateToken,authorizeRoles('admi
  *   put:
  *     tags:
  *       - Sensor Models
- *     summary: Update a model's image or description
+ *     summary: Update a model's image, description or expected reporting interval
+ *     description: >
+ *       `expectedIntervalSec` is how often devices of this model report; the presence service
+ *       marks a device offline after several missed intervals.
  */
 router.put("/models/:model", verifyApiKey,authenticateToken,authorizeRoles('admin'), upload.single("image"), async (req, res) => {
   const { model } = req.params;
-  const { description } = req.body;
+  const { description, expectedIntervalSec } = req.body;
+
+  if (expectedIntervalSec !== undefined && !(Number(expectedIntervalSec) >= 1)) {
+    return res.status(400).send({ message: "expectedIntervalSec must be a positive number of seconds" });
+  }
 
   try {
     const existing = await SensorModel.findOne({ model: model.toLowerCase() });
@@ -188,15 +227,108 @@ router.put("/models/:model", verifyApiKey,authenticateToken,authorizeRoles('admi
 
     existing.description = description || existing.description;
     existing.imageUrl = signedUrl;
+    if (expectedIntervalSec !== undefined) existing.expectedIntervalSec = Number(expectedIntervalSec);
     existing.updatedAt = Date.now();
     await existing.save();
 
+    invalidateDatapointSchema(existing.model);
+
     res.status(200).send({ message: "Model updated successfully", data: existing });
   } catch (err) {
     res.status(500).send({ message: "Update failed", error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/devices/models/{model}/datapoints:
+ *   put:
+ *     tags:
+ *       - Sensor Models
+ *     summary: Replace a model's datapoint schema
+ *     description: >
+ *       Defines how raw telemetry for this model is normalized: payload key aliases, unit,
+ *       numeric type, valid range and the default used when a value is missing. Invalid values
+ *       are stored as null.
+ *     parameters:
+ *       - in: path
+ *         name: model
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - datapoints
+ *             properties:
+ *               datapoints:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [key]
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: "temperature"
+ *                     aliases:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["temp"]
+ *                     unit:
+ *                       type: string
+ *                       example: "°C"
+ *                     type:
+ *                       type: string
+ *                       enum: [number, integer, string]
+ *                     min:
+ *                       type: number
+ *                       example: -40
+ *                     max:
+ *                       type: number
+ *                       example: 85
+ *                     defaultValue:
+ *                       description: Stored when the reading is missing. Without one, missing readings are stored as null; invalid readings always are.
+ *                       example: "unknown"
+ *     responses:
+ *       200:
+ *         description: Datapoint schema updated.
+ *       400:
+ *         description: Invalid datapoint definition.
+ *       404:
+ *         description: Model not found.
+ */
+router.put("/models/:model/datapoints", verifyApiKey,authenticateToken,authorizeRoles('admin'), async (req, res) => {
+  const { model } = req.params;
+  const { datapoints } = req.body;
+
+  const validationError = validateDatapoints(datapoints);
+  if (validationError) {
+    return res.status(400).send({ message: validationError });
+  }
+
+  try {
+    const existing = await SensorModel.findOne({ model: model.toLowerCase() });
+    if (!existing) {
+      return res.status(404).send({ message: `Model "${model}" not found.` });
+    }
+
+    existing.datapoints = datapoints;
+    existing.updatedAt = Date.now();
+    await existing.save();
+
+    invalidateDatapointSchema(existing.model);
+
+    res.status(200).send({ message: "Datapoint schema updated successfully", data: existing });
+  } catch (err) {
+    res.status(500).send({ message: "Update failed", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /api/devices/models/{model}:
@@ -2,13 +2,43 @@
 const express = require('express');
 const router = express.Router();
 const registerNewDevice = require('../../../model/devices/registerDevice');
-const EnvTelemetry = require('../../../model/telemetry/envModel');
+const Deployment = require('../../../model/deployment/deploymentModel');
 const { mapTelemetryData } = require('../../../utils/telemetryMapper');
 const SensorModel = require('../../../model/devices/deviceModels');
 const { cacheTelemetryToRedis } = require('../../../utils/redisTelemetry');
 const { client: redisClient } = require('../../../config/redis/redis');
-const modelRegistry = require('../../../utils/modelRegistry');
+const {
+  getTelemetryFamily,
+  listPersistedModels,
+  getTelemetryColumns,
+  getTelemetryMetrics,
+} = require('../../../utils/modelRegistry');
+const { buildTimeRange, encodeCursor, decodeCursor, cursorFilter } = require('../../../utils/telemetryQuery');
+const {
+  INTERVALS,
+  MAX_BUCKETS,
+  floorToInterval,
+  buildBucketPipeline,
+  buildRollupBucketPipeline,
+  mergeBucketRows,
+  formatBuckets,
+  countBuckets,
+} = require('../../../utils/telemetryAggregation');
+const { selectTier, getRolledUntil } = require('../../../utils/telemetryRollup');
 const {calculateAQI} = require('../../../utils/aqiFunction')
+const authenticateToken = require('../../../middleware/bearermiddleware');
+const { authenticateTokenOrApiKey } = require('../../../middleware/scopedApiKeyMiddleware');
+const { authorizeDevice, authorizeDeployment, authorizeSelf } = require('../../../middleware/authorizeMiddleware');
+
+// aggregate accepts either ?auid= or ?deploymentId=, never both: only the one given is authorized
+const authorizeAggregateTarget = (req, res, next) => {
+  if (req.query.auid && req.query.deploymentId) {
+    return res.status(400).json({ message: 'Provide either auid or deploymentId, not both' });
+  }
+  return (req.query.auid
+    ? authorizeDevice('view', 'query')
+    : authorizeDeployment('view', 'query'))(req, res, next);
+};
 /**
  * @swagger
  * /api/telemetry/{model}:
@@ -140,14 +170,17 @@ router.post('/:model', async (req, res) => {
  *     tags:
  *       - Telemetry
  *     summary: Get telemetry and metadata for a device owned by a user
- *     description: Fetches telemetry entries and device metadata from Redis. Validates that the user has access to the device.
+ *     description: Fetches telemetry entries and device metadata from Redis. Requires 'view' permission on the device (owner, collaborator, or through a deployment or organization).
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - name: userid
  *         in: path
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID requesting telemetry
+ *         description: Must match the authenticated user (admins use the X-Act-As header)
  *       - name: auid
  *         in: path
  *         required: true
@@ -173,25 +206,14 @@ router.post('/:model', async (req, res) => {
  *         description: Server error
  */
 
-router.get('/:userid/device/:auid', async (req, res) => {
-  const { userid, auid } = req.params;
+router.get('/:userid/device/:auid', authenticateTokenOrApiKey('telemetry:read'), authorizeSelf(), authorizeDevice('view'), async (req, res) => {
+  const { auid } = req.params;
   let limit = parseInt(req.query.limit, 10);
 
   if (isNaN(limit) || limit <= 0) limit = 50;
   if (limit > 50) limit = 50;
 
   try {
-    // ✅ Check ownership or access
-    const device = await registerNewDevice.findOne({ auid });
-    if (!device) return res.status(404).json({ message: 'Device not found' });
-
-    const isOwner = device.userid === userid;
-    const isCollaborator = device.collaborators?.some(c => c.userid === userid);
-
-    if (!isOwner && !isCollaborator) {
-      return res.status(403).json({ message: 'Unauthorized access to device' });
-    }
-
     // ✅ Fetch telemetry and metadata
     const entries = await redisClient.hGetAll(auid);
     if (!entries || Object.keys(entries).length === 0) {
@@ -323,9 +345,6 @@ router.get('/public/telemetry', async (req, res) => {
   }
 });
 
-// const GasTelemetry = require('../../../model/telemetry/gasModel'); // future
-// const TerraTelemetry = require('../../../model/telemetry/terraModel'); // future
-
 /**
  * @swagger
  * /api/telemetry/db/{model}/{auid}:
@@ -333,17 +352,23 @@ router.get('/public/telemetry', async (req, res) => {
  *     summary: Fetch telemetry data for a device
  *     description: >
  *       Retrieve telemetry data from the database for a given device `auid` and telemetry `model`.
- *       Currently only the **env** model is supported.
+ *       The model is resolved through the telemetry family registry (key or alias, e.g. `gassolo`),
+ *       so every persisted model (env, gas-solo, aqua, ...) is supported.
+ *       Rows are sorted by `transport_time`; pass the returned `nextCursor` as `cursor` to read the next page.
+ *       Historical data counts as an export: requires 'export' permission on the device.
  *     tags:
  *       - Telemetry
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: model
  *         schema:
  *           type: string
- *           enum: [env]
+ *           enum: [env, gas-solo, aqua]
  *         required: true
- *         description: Telemetry model (e.g. "env").
+ *         description: Telemetry model (e.g. "env", "gas-solo", "aqua").
  *       - in: path
  *         name: auid
  *         schema:
@@ -354,9 +379,22 @@ router.get('/public/telemetry', async (req, res) => {
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 2
+ *           default: 10
  *           maximum: 200
- *         description: Maximum number of records to return.
+ *         description: Maximum number of records per page.
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *           default: desc
+ *         description: Sort by `transport_time`, newest first (desc) or oldest first (asc).
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Opaque cursor from a previous page's `nextCursor`.
  *       - in: query
  *         name: start
  *         schema:
@@ -385,16 +423,23 @@ router.get('/public/telemetry', async (req, res) => {
  *                   type: string
  *                 count:
  *                   type: integer
+ *                 order:
+ *                   type: string
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
  *                 telemetry:
  *                   type: array
  *                   items:
  *                     type: object
+ *       400:
+ *         description: Invalid date range or cursor.
  *       404:
  *         description: No telemetry data found for the given device or model.
  *       500:
  *         description: Server error.
  */
-router.get('/db/:model/:auid', async (req, res) => {
+router.get('/db/:model/:auid', authenticateTokenOrApiKey('telemetry:read'), authorizeDevice('export'), async (req, res) => {
   const model = String(req.params.model || '').toLowerCase();
   const auid  = String(req.params.auid || '').trim();
 
@@ -404,40 +449,52 @@ router.get('/db/:model/:auid', async (req, res) => {
 
   try {
     // pick the mongoose model
-    let dataNew = null;
-    if (model === 'env') {
-      dataNew = EnvTelemetry;
-    } else {
+    const family = getTelemetryFamily(model);
+    const dataNew = family?.mongoModel;
+    if (!dataNew) {
       return res.status(404).json({
         message: `Unknown telemetry model '${model}'`,
-        valid: ['env']
+        valid: listPersistedModels()
       });
     }
 
+    const direction = String(req.query.order || 'desc').toLowerCase() === 'asc' ? 1 : -1;
+
     // build query
-    const query = { auid };
-    const { start, end } = req.query;
-    if (start || end) {
-      query.transport_time = {};
-      if (start) query.transport_time.$gte = new Date(start);
-      if (end)   query.transport_time.$lte = new Date(end);
+    const range = buildTimeRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    const conditions = [{ auid }];
+    if (range.filter) conditions.push({ transport_time: range.filter });
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: 'Invalid cursor' });
+      conditions.push(cursorFilter(cursor, direction));
     }
 
-    // fetch
-    const telemetryData = await dataNew
+    const query = conditions.length === 1 ? conditions[0] : { $and: conditions };
+
+    // fetch one extra row to know whether another page exists
+    const rows = await dataNew
       .find(query)
-      //.sort({ transport_time: -1 })
-      .limit(limit)
+      .sort({ transport_time: direction, _id: direction })
+      .limit(limit + 1)
       .lean();
 
-    if (!telemetryData.length) {
+    const telemetryData = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(telemetryData[telemetryData.length - 1]) : null;
+
+    if (!telemetryData.length && !req.query.cursor) {
       return res.status(404).json({ message: 'No telemetry data found for this device.' });
     }
 
     return res.status(200).json({
-      model,
+      model: family.key,
       auid,
       count: telemetryData.length,
+      order: direction === 1 ? 'asc' : 'desc',
+      nextCursor,
       telemetry: telemetryData
     });
   } catch (err) {
@@ -455,16 +512,21 @@ router.get('/db/:model/:auid', async (req, res) => {
  *     summary: Download telemetry as CSV by AUID (descending order)
  *     description: >
  *       Streams telemetry rows for the given device AUID as CSV, sorted by `transport_time` **descending** (newest → oldest).
- *       Includes `transport_time`, `telem_time`, and all sensor fields.
+ *       Columns come from the model's telemetry schema: `auid`, `transport_time`, `telem_time`, the sensor
+ *       fields (limited to the device's registered datapoints when it lists any) and derived metrics.
  *       Optionally filter by a date range using `start` and/or `end` (applies to `transport_time`).
+ *       Requires 'export' permission on the device.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - name: model
  *         in: path
  *         required: true
  *         schema:
  *           type: string
- *           enum: [env]
- *         description: Telemetry model (currently only "env").
+ *           enum: [env, gas-solo, aqua]
+ *         description: Telemetry model (e.g. "env", "aqua").
  *       - name: auid
  *         in: path
  *         required: true
@@ -477,14 +539,14 @@ router.get('/db/:model/:auid', async (req, res) => {
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Start of time range (inclusive). ISO 8601 or epoch milliseconds.
+ *         description: Start of time range (inclusive). ISO 8601 or epoch (seconds or milliseconds).
  *       - name: end
  *         in: query
  *         required: false
  *         schema:
  *           type: string
  *           format: date-time
- *         description: End of time range (inclusive). ISO 8601 or epoch milliseconds.
+ *         description: End of time range (inclusive). ISO 8601 or epoch (seconds or milliseconds).
  *     responses:
  *       200:
  *         description: CSV stream (newest → oldest)
@@ -499,29 +561,34 @@ router.get('/db/:model/:auid', async (req, res) => {
  *                 value: |
  *                   auid,transport_time,telem_time,temperature,humidity,pressure,altitude,pm1,pm2_5,pm10,pm1s,pm2_5s,pm10s,lux,uv,sound,aqi,battery,error
  *                   GH-XXXX,2025-09-23T18:00:00.000Z,2025-09-23T18:00:00.000Z,28.7,65.9,1009.43,0,0,0,0,0,0,0,15.67,38,0,0,27.5,00001
+ *       400:
+ *         description: Invalid date range.
  *       404:
  *         description: Unknown model.
  *       500:
  *         description: Server error.
  */
 
-router.get('/db/:model/:auid/csv', async (req, res) => {
+router.get('/db/:model/:auid/csv', authenticateTokenOrApiKey('telemetry:read'), authorizeDevice('export'), async (req, res) => {
   const model = String(req.params.model || '').toLowerCase();
   const auid  = String(req.params.auid || '').trim();
 
   try {
-    if (model !== 'env') {
-      return res.status(404).json({ message: `Unknown telemetry model '${model}'`, valid: ['env'] });
+    const family = getTelemetryFamily(model);
+    if (!family?.mongoModel) {
+      return res.status(404).json({ message: `Unknown telemetry model '${model}'`, valid: listPersistedModels() });
     }
 
-    const columns = [
-      'auid','transport_time','telem_time','temperature','humidity','pressure','altitude',
-      'pm1','pm2_5','pm10','pm1s','pm2_5s','pm10s','lux','uv','sound','aqi','battery','error'
-    ];
+    const range = buildTimeRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+
+    // columns follow the model's telemetry schema, narrowed to the device's datapoints if it lists any
+    const device = await registerNewDevice.findOne({ auid }).select('datapoints').lean();
+    const columns = getTelemetryColumns(family, device?.datapoints || []);
 
     const safeAuid = auid.replace(/[^A-Za-z0-9._-]/g, '_');
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${model}_${safeAuid}.csv"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${family.key}_${safeAuid}.csv"`);
 
     const escapeCsv = (v) => {
       if (v === null || v === undefined) return '';
@@ -534,15 +601,10 @@ router.get('/db/:model/:auid/csv', async (req, res) => {
 
     // Build query with optional start/end
     const query = { auid };
-    const { start, end } = req.query;
-    if (start || end) {
-      query.transport_time = {};
-      if (start) query.transport_time.$gte = new Date(isNaN(start) ? start : Number(start));
-      if (end)   query.transport_time.$lte = new Date(isNaN(end) ? end : Number(end));
-    }
+    if (range.filter) query.transport_time = range.filter;
 
     // DESCENDING sort
-    const cursor = EnvTelemetry.find(query)
+    const cursor = family.mongoModel.find(query)
       .sort({ transport_time: -1 }) // ✅ newest → oldest
       .select(columns.join(' '))
       .lean()
@@ -577,5 +639,192 @@ router.get('/db/:model/:auid/csv', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/telemetry/aggregate/{model}:
+ *   get:
+ *     tags:
+ *       - Telemetry
+ *     summary: Time-bucketed telemetry statistics
+ *     description: >
+ *       Returns min/max/avg/count/last per datapoint, bucketed by `interval`, for one device (`auid`)
+ *       or every device in a deployment (`deploymentId`). Defaults to the last 24 hours.
+ *       Served from the coarsest storage tier that fits the interval and range (`daily` for 1d/1w,
+ *       `hourly` for 1h, `raw` otherwise or when raw retention still covers a finer request);
+ *       readings newer than the tier's last rollup are read from raw telemetry. The tier used is
+ *       returned as `tier`.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: model
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [env, gas-solo, aqua]
+ *       - name: auid
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Device AUID (required unless deploymentId is given; not both).
+ *       - name: deploymentId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Aggregate across every device in this deployment.
+ *       - name: interval
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 1h, 1d, 1w]
+ *           default: 1h
+ *       - name: datapoints
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Comma-separated datapoints to summarize (default all numeric fields).
+ *         example: "pm2_5,temperature"
+ *       - name: start
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: >
+ *           Range start (ISO 8601 or epoch). Default 24 hours before `end`. Snapped back to the
+ *           start of its bucket, so the first bucket is always whole; the response `start` is the
+ *           snapped value.
+ *       - name: end
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range end (ISO 8601 or epoch). Default now.
+ *     responses:
+ *       200:
+ *         description: Buckets ordered oldest → newest
+ *         content:
+ *           application/json:
+ *             example:
+ *               model: env
+ *               interval: 1h
+ *               tier: hourly
+ *               auids: ["GH-XXXX"]
+ *               datapoints: ["pm2_5"]
+ *               count: 1
+ *               buckets:
+ *                 - time: "2025-09-23T18:00:00.000Z"
+ *                   count: 12
+ *                   values:
+ *                     pm2_5: { min: 8.1, max: 19.4, avg: 12.733, last: 10.2 }
+ *       400:
+ *         description: Invalid interval, datapoints or range, too many buckets, or both auid and deploymentId given.
+ *       404:
+ *         description: Unknown model, deployment or no devices.
+ *       500:
+ *         description: Server error.
+ */
+router.get('/aggregate/:model', authenticateTokenOrApiKey('telemetry:read'), authorizeAggregateTarget, async (req, res) => {
+  const family = getTelemetryFamily(req.params.model);
+  if (!family?.mongoModel) {
+    return res.status(404).json({ message: `Unknown telemetry model '${req.params.model}'`, valid: listPersistedModels() });
+  }
+
+  const interval = String(req.query.interval || '1h');
+  if (!INTERVALS[interval]) {
+    return res.status(400).json({ message: `Invalid interval '${interval}'`, valid: Object.keys(INTERVALS) });
+  }
+
+  const { auid, deploymentId } = req.query;
+  if (!auid && !deploymentId) {
+    return res.status(400).json({ message: 'Provide either auid or deploymentId' });
+  }
+
+  const metrics = getTelemetryMetrics(family);
+  const datapoints = req.query.datapoints
+    ? String(req.query.datapoints).split(',').map(s => s.trim()).filter(Boolean)
+    : metrics;
+  const unknown = datapoints.filter(dp => !metrics.includes(dp));
+  if (unknown.length > 0 || datapoints.length === 0) {
+    return res.status(400).json({ message: `Unknown datapoints: ${unknown.join(', ') || '(none given)'}`, valid: metrics });
+  }
+
+  const range = buildTimeRange(req.query);
+  if (range.error) return res.status(400).json({ message: range.error });
+  const to = range.to || new Date();
+  const requestedFrom = range.from || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if (requestedFrom > to) return res.status(400).json({ message: 'start must be before end' });
+  // the first bucket is always whole: rollups hold whole buckets, so raw readings start there too
+  const from = floorToInterval(requestedFrom, interval);
+
+  const buckets = countBuckets(from, to, interval);
+  if (buckets > MAX_BUCKETS) {
+    return res.status(400).json({
+      message: `Range spans ${buckets} ${interval} buckets (max ${MAX_BUCKETS}). Use a coarser interval or a shorter range.`
+    });
+  }
+
+  try {
+    let auids = auid ? [String(auid).trim()] : [];
+    if (deploymentId) {
+      const deployment = await Deployment.findOne({ deploymentid: deploymentId }).select('devices').lean();
+      if (!deployment) return res.status(404).json({ message: 'Deployment not found' });
+
+      // keep only the deployment's devices that belong to this model
+      const devices = await registerNewDevice
+        .find({ auid: { $in: deployment.devices || [] } })
+        .select('auid model')
+        .lean();
+      auids = devices.filter(d => getTelemetryFamily(d.model) === family).map(d => d.auid);
+
+      if (auids.length === 0) {
+        return res.status(404).json({ message: `No ${family.key} devices in this deployment` });
+      }
+    }
+
+    // Read complete buckets from the coarsest rollup tier that fits, raw readings for the rest
+    const tier = selectTier({ interval, from });
+    const rolledUntil = tier.rollupModel ? (await getRolledUntil(family.key))[tier.name] : null;
+
+    let rows = [];
+    let rawFrom = from;
+    if (rolledUntil && rolledUntil > from) {
+      rows = await tier.rollupModel.aggregate(buildRollupBucketPipeline({
+        auids,
+        bucketFilter: { $gte: from, $lt: rolledUntil, $lte: to },
+        interval,
+        datapoints
+      }));
+      rawFrom = rolledUntil;
+    }
+
+    if (rawFrom <= to) {
+      const rawRows = await family.mongoModel.aggregate(buildBucketPipeline({
+        auids,
+        timeFilter: { $gte: rawFrom, $lte: to },
+        interval,
+        datapoints
+      })).allowDiskUse(true);
+      rows = rows.length ? mergeBucketRows(rows, rawRows, datapoints) : rawRows;
+    }
+
+    return res.status(200).json({
+      model: family.key,
+      interval,
+      tier: rawFrom > from ? tier.name : 'raw',
+      start: from,
+      end: to,
+      auids,
+      ...(deploymentId && { deploymentId }),
+      datapoints,
+      count: rows.length,
+      buckets: formatBuckets(rows, datapoints)
+    });
+  } catch (err) {
+    console.error('❌ Telemetry aggregation error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 
 module.exports = router;
@@ -0,0 +1,466 @@
+const express = require('express');
+const router = express.Router();
+const DeviceTransfer = require('../../../model/devices/deviceTransferModel');
+const DecommissionedDevice = require('../../../model/devices/decommissionedDeviceModel');
+const Organization = require('../../../model/organization/organizationModel');
+const User = require('../../../model/user/userModel');
+const authenticateToken = require('../../../middleware/bearermiddleware');
+const { authorizeDevice } = require('../../../middleware/authorizeMiddleware');
+const { sendEmail } = require('../../../config/mail/nodemailer');
+const { generateTransferId } = require('../../../utils/idGenerator');
+const { resolveDeploymentAccess } = require('../../../utils/authz');
+const { findMember } = require('../../../utils/organization');
+const { recordAudit } = require('../../../utils/audit');
+const {
+  TRANSFER_TTL_HOURS,
+  transferStatus,
+  pendingTransferFilter,
+  completeTransfer,
+  decommissionDevice,
+} = require('../../../utils/deviceOwnership');
+
+const CONSOLE_URL = process.env.CONSOLE_URL || 'https://console.craftedclimate.co';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const normalizeEmail = (email) => String(email || '').trim().replace(/\s+/g, '').toLowerCase();
+
+const transferView = (transfer) => ({
+  transferId: transfer.transferId,
+  auid: transfer.auid,
+  fromUserid: transfer.fromUserid,
+  toEmail: transfer.toEmail,
+  toOrganizationId: transfer.toOrganizationId,
+  keepCollaborators: transfer.keepCollaborators,
+  note: transfer.note,
+  createdAt: transfer.createdAt,
+  expiresAt: transfer.expiresAt,
+  respondedAt: transfer.respondedAt,
+  status: transferStatus(transfer)
+});
+
+/** The caller is the recipient: the addressed email, or an ADMIN of the addressed organization. */
+async function isRecipient(transfer, user) {
+  if (transfer.toOrganizationId) {
+    const organization = await Organization.findOne({ organizationId: transfer.toOrganizationId }).lean();
+    return Boolean(organization) && findMember(organization, user.userid)?.accessLevel === 'ADMIN';
+  }
+  return normalizeEmail(transfer.toEmail) === normalizeEmail(user.email);
+}
+
+/**
+ * @swagger
+ * /api/devices/transfers:
+ *   post:
+ *     tags:
+ *       - Devices
+ *     summary: Offer a device to another user or organization
+ *     description: >
+ *       Only the owner can transfer a device. The recipient gets an email and must accept; an
+ *       organization transfer can be accepted by any of its ADMINs, who becomes the owner on its behalf.
+ *       On acceptance the device leaves the current owner's deployments and, unless keepCollaborators
+ *       is set, loses its collaborators.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [auid]
+ *             properties:
+ *               auid: { type: string }
+ *               email: { type: string, description: Recipient user (required unless organizationId is given) }
+ *               organizationId: { type: string, description: Recipient organization }
+ *               keepCollaborators: { type: boolean, default: false }
+ *               note: { type: string }
+ *     responses:
+ *       201:
+ *         description: Transfer offered
+ *       400:
+ *         description: No or invalid recipient
+ *       403:
+ *         description: Not the device owner
+ *       404:
+ *         description: Device or organization not found
+ *       409:
+ *         description: A transfer for this device is already pending
+ */
+router.post('/transfers', authenticateToken, authorizeDevice('view', 'body'), async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const organizationId = req.body?.organizationId ? String(req.body.organizationId).trim() : undefined;
+  const device = req.device;
+
+  if (!req.access.via.includes('owner') && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only the device owner can transfer it' });
+  }
+  if (!email && !organizationId) return res.status(400).json({ message: 'email or organizationId is required' });
+  if (email && organizationId) return res.status(400).json({ message: 'Give either email or organizationId, not both' });
+  if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return res.status(400).json({ message: 'A valid email is required' });
+
+  try {
+    let recipients;
+    let recipientName;
+    if (organizationId) {
+      const organization = await Organization.findOne({ organizationId }).lean();
+      if (!organization) return res.status(404).json({ message: 'Organization not found' });
+
+      const adminIds = organization.collaborators.filter(c => c.accessLevel === 'ADMIN').map(c => c.userId);
+      recipients = await User.find({ userid: { $in: adminIds } }).select('userid email').lean();
+      if (recipients.length === 0) return res.status(400).json({ message: 'This organization has no admins to accept the transfer' });
+      recipientName = organization.name;
+    } else {
+      const recipient = await User.findOne({ email }).select('userid email').lean();
+      if (!recipient) return res.status(404).json({ message: 'No user with this email' });
+      if (recipient.userid === device.userid) return res.status(400).json({ message: 'You already own this device' });
+      recipients = [recipient];
+      recipientName = email;
+    }
+
+    const pending = await DeviceTransfer.findOne({ auid: device.auid, ...pendingTransferFilter() }).lean();
+    if (pending) {
+      return res.status(409).json({ message: 'A transfer for this device is already pending', transferId: pending.transferId });
+    }
+
+    const transfer = await DeviceTransfer.create({
+      transferId: generateTransferId(),
+      auid: device.auid,
+      fromUserid: device.userid,
+      toEmail: email || undefined,
+      toOrganizationId: organizationId,
+      keepCollaborators: Boolean(req.body.keepCollaborators),
+      note: req.body.note ? String(req.body.note).slice(0, 500) : undefined,
+      expiresAt: new Date(Date.now() + TRANSFER_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const emailContent = `
+      <p>Hi there,</p>
+      <p>${escapeHtml(req.user.email)} wants to transfer the device <strong>${escapeHtml(device.nickname)}</strong> (${escapeHtml(device.serial)}) to ${organizationId ? `<strong>${escapeHtml(recipientName)}</strong>` : 'you'} on CraftedClimate.</p>
+      <p><a href="${CONSOLE_URL}/device-transfers/${transfer.transferId}" target="_blank">Review the transfer</a></p>
+      <p>This offer expires on ${transfer.expiresAt.toUTCString()}.</p>
+      <p>CraftedClimate Team</p>
+    `;
+    await Promise.all(recipients.map(r => sendEmail(r.email, `A device is being transferred to ${organizationId ? recipientName : 'you'}`, emailContent)));
+
+    await recordAudit(req, 'device.transfer_offered', {
+      targetUserid: device.userid,
+      metadata: { auid: device.auid, transferId: transfer.transferId, toEmail: email || undefined, toOrganizationId: organizationId }
+    });
+
+    return res.status(201).json({ message: 'Transfer offered', transfer: transferView(transfer) });
+  } catch (err) {
+    console.error('❌ Offer device transfer error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/transfers:
+ *   get:
+ *     tags:
+ *       - Devices
+ *     summary: Device transfers sent by me or waiting for me
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ incoming, outgoing }, newest first"
+ */
+router.get('/transfers', authenticateToken, async (req, res) => {
+  try {
+    const adminOf = (await Organization.find({ collaborators: { $elemMatch: { userId: req.user.userid, accessLevel: 'ADMIN' } } })
+      .select('organizationId').lean()).map(o => o.organizationId);
+
+    const [incoming, outgoing] = await Promise.all([
+      DeviceTransfer.find({
+        ...pendingTransferFilter(),
+        $or: [{ toEmail: normalizeEmail(req.user.email) }, { toOrganizationId: { $in: adminOf } }]
+      }).sort({ createdAt: -1 }).lean(),
+      DeviceTransfer.find({ fromUserid: req.user.userid }).sort({ createdAt: -1 }).limit(100).lean()
+    ]);
+
+    return res.status(200).json({ incoming: incoming.map(transferView), outgoing: outgoing.map(transferView) });
+  } catch (err) {
+    console.error('❌ List device transfers error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/transfers/{transferId}/accept:
+ *   post:
+ *     tags:
+ *       - Devices
+ *     summary: Accept a device transfer
+ *     description: >
+ *       The caller becomes the owner. Optionally adds the device to one of the caller's deployments. A transfer
+ *       to an organization must name one of the organization's deployments: that is how its other members get
+ *       access to the device.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deploymentId: { type: string }
+ *     responses:
+ *       200:
+ *         description: Device transferred
+ *       400:
+ *         description: Organization transfer without one of the organization's deployments
+ *       403:
+ *         description: Not the recipient, or no 'manage' permission on the deployment
+ *       404:
+ *         description: Transfer not found
+ *       410:
+ *         description: Transfer expired, cancelled, declined or already accepted
+ */
+router.post('/transfers/:transferId/accept', authenticateToken, async (req, res) => {
+  const deploymentId = req.body?.deploymentId ? String(req.body.deploymentId).trim() : undefined;
+
+  try {
+    const transfer = await DeviceTransfer.findOne({ transferId: req.params.transferId });
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' });
+    if (!(await isRecipient(transfer, req.user))) {
+      return res.status(403).json({ message: 'This transfer is addressed to someone else' });
+    }
+
+    const status = transferStatus(transfer);
+    if (status !== 'pending') return res.status(410).json({ message: `Transfer is ${status}` });
+
+    // organization access to a device comes through the organization's deployments
+    if (transfer.toOrganizationId) {
+      const organization = deploymentId
+        ? await Organization.findOne({ organizationId: transfer.toOrganizationId, deployments: deploymentId }).select('organizationId').lean()
+        : null;
+      if (!organization) {
+        return res.status(400).json({ message: "deploymentId must name one of the organization's deployments" });
+      }
+    }
+
+    if (deploymentId) {
+      const access = await resolveDeploymentAccess(req.user, deploymentId);
+      if (!access) return res.status(404).json({ message: 'Deployment not found' });
+      if (!access.permissions.includes('manage')) {
+        return res.status(403).json({ message: "Missing 'manage' permission on this deployment", missingPermission: 'manage' });
+      }
+    }
+
+    const result = await completeTransfer(transfer, req.user.userid, { deploymentId });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+
+    const previousOwner = await User.findOne({ userid: transfer.fromUserid }).select('email').lean();
+    if (previousOwner) {
+      await sendEmail(previousOwner.email, `Your device ${result.device.nickname} has been transferred`, `
+        <p>Hi there,</p>
+        <p>The transfer of <strong>${escapeHtml(result.device.nickname)}</strong> (${escapeHtml(result.device.serial)}) was accepted. It no longer belongs to your account.</p>
+        <p>CraftedClimate Team</p>
+      `);
+    }
+
+    await recordAudit(req, 'device.transfer_accepted', {
+      targetUserid: transfer.fromUserid,
+      metadata: { auid: transfer.auid, transferId: transfer.transferId, toOrganizationId: transfer.toOrganizationId, deploymentId }
+    });
+
+    return res.status(200).json({ message: 'Device transferred', device: result.device });
+  } catch (err) {
+    console.error('❌ Accept device transfer error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/transfers/{transferId}/decline:
+ *   post:
+ *     tags:
+ *       - Devices
+ *     summary: Decline a device transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Transfer declined
+ *       403:
+ *         description: Not the recipient
+ *       404:
+ *         description: Transfer not found
+ *       410:
+ *         description: Transfer is no longer pending
+ */
+router.post('/transfers/:transferId/decline', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await DeviceTransfer.findOne({ transferId: req.params.transferId });
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' });
+    if (!(await isRecipient(transfer, req.user))) {
+      return res.status(403).json({ message: 'This transfer is addressed to someone else' });
+    }
+
+    const declined = await DeviceTransfer.findOneAndUpdate(
+      { transferId: transfer.transferId, ...pendingTransferFilter() },
+      { $set: { status: 'declined', respondedBy: req.user.userid, respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!declined) return res.status(410).json({ message: `Transfer is ${transferStatus(transfer)}` });
+
+    return res.status(200).json({ message: 'Transfer declined', transfer: transferView(declined) });
+  } catch (err) {
+    console.error('❌ Decline device transfer error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/transfers/{transferId}:
+ *   delete:
+ *     tags:
+ *       - Devices
+ *     summary: Cancel a device transfer I offered
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: Transfer not found
+ *       410:
+ *         description: Transfer is no longer pending
+ */
+router.delete('/transfers/:transferId', authenticateToken, async (req, res) => {
+  try {
+    const filter = { transferId: req.params.transferId };
+    if (req.user.role !== 'admin') filter.fromUserid = req.user.userid;
+
+    const transfer = await DeviceTransfer.findOne(filter);
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' });
+
+    const cancelled = await DeviceTransfer.findOneAndUpdate(
+      { transferId: transfer.transferId, status: 'pending' },
+      { $set: { status: 'cancelled', respondedBy: req.user.userid, respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) return res.status(410).json({ message: `Transfer is ${transferStatus(transfer)}` });
+
+    return res.status(200).json({ message: 'Transfer cancelled', transfer: transferView(cancelled) });
+  } catch (err) {
+    console.error('❌ Cancel device transfer error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/decommission/{auid}:
+ *   post:
+ *     tags:
+ *       - Devices
+ *     summary: Decommission a device
+ *     description: >
+ *       Owner (or platform admin) only. Archives the registration, removes the device from its deployments and deletes the registration.
+ *       Telemetry is kept. The manufacturing record goes back to ASSIGNED with a new claim code, returned here
+ *       as `claimCode`, so whoever gets the unit next can claim it (the old label's code was spent).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: auid
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, example: "Sensor damaged" }
+ *     responses:
+ *       200:
+ *         description: Device decommissioned
+ *       403:
+ *         description: Not the device owner (collaborators can't decommission, whatever their permissions)
+ *       404:
+ *         description: Device not found
+ */
+router.post('/decommission/:auid', authenticateToken, authorizeDevice('delete'), async (req, res) => {
+  // decommissioning hands out a new claim code, so it is the owner's call alone
+  if (!req.access.via.includes('owner') && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only the device owner can decommission it' });
+  }
+  const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : undefined;
+
+  try {
+    const { archived, claimCode } = await decommissionDevice(req.device, { by: req.user.userid, reason });
+
+    await recordAudit(req, 'device.decommissioned', {
+      targetUserid: req.device.userid,
+      reason,
+      metadata: { auid: req.device.auid, serial: req.device.serial }
+    });
+
+    return res.status(200).json({
+      message: 'Device decommissioned',
+      auid: archived.auid,
+      decommissionedAt: archived.decommissionedAt,
+      removedFromDeployments: archived.deployments,
+      claimCode
+    });
+  } catch (err) {
+    console.error('❌ Decommission device error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/decommissioned:
+ *   get:
+ *     tags:
+ *       - Devices
+ *     summary: Devices I have decommissioned
+ *     description: Admins see every archived registration, optionally filtered by auid.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: auid
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Archived registrations, newest first
+ */
+router.get('/decommissioned', authenticateToken, async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { userid: req.user.userid };
+    if (req.query.auid) filter.auid = String(req.query.auid);
+
+    const archived = await DecommissionedDevice.find(filter).sort({ decommissionedAt: -1 }).limit(200).lean();
+    return res.status(200).json(archived);
+  } catch (err) {
+    console.error('❌ List decommissioned devices error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,20 @@ const SensorModel= require('../../../model/devices/deviceModels')
 const User = require('../../../model/user/userModel');
 const Deployment = require('../../../model/deployment/deploymentModel');
 const { sendEmail } = require('../../../config/mail/nodemailer');
+const authenticateToken = require('../../../middleware/bearermiddleware');
+const { authenticateTokenOrApiKey } = require('../../../middleware/scopedApiKeyMiddleware');
+const authorizeRoles = require('../../../middleware/rbacMiddleware');
+const { authorizeDevice, authorizeSelf } = require('../../../middleware/authorizeMiddleware');
+const {
+  COLLABORATOR_ROLE_PERMISSIONS,
+  collaboratorPermissions,
+  resolveDeviceAccess,
+  accessibleDeploymentIds
+} = require('../../../utils/authz');
+const { decommissionDevice } = require('../../../utils/deviceOwnership');
+const { REGISTRABLE_STATES, markRegistered } = require('../../../utils/manufacturingLifecycle');
+const { findByClaimCode, consumeClaimCode } = require('../../../utils/claimCode');
+const { recordAudit } = require('../../../utils/audit');
 
 // const CardSubscription = require("../../model/subscriptions/cardSubscription");
 // const authenticateToken = require('../../middleware/apiKeymiddleware');
@@ -29,19 +43,145 @@ dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
 
 const AZURE_KEY = process.env.AZURE_MAPS_SUBSCRIPTION_KEY;
 
+const COLLABORATOR_ROLES = Object.keys(COLLABORATOR_ROLE_PERMISSIONS);
+const GRANTABLE_PERMISSIONS = ['update', 'delete', 'export', 'share'];
+
+/**
+ * Validate a collaborator's role and permissions. Nobody can hand out a permission they don't
+ * hold themselves (owners and admins hold them all).
+ * @returns {{ role?: string, permissions?: string[], status?: number, message?: string, missingPermission?: string }}
+ */
+function parseCollaboratorGrant({ role = 'viewer', permissions = [] } = {}, granterPermissions) {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return { status: 400, message: `role must be one of ${COLLABORATOR_ROLES.join(', ')}` };
+  }
+  if (!Array.isArray(permissions)) return { status: 400, message: 'permissions must be an array' };
+
+  const unknown = permissions.filter(p => !GRANTABLE_PERMISSIONS.includes(p));
+  if (unknown.length) return { status: 400, message: `Unknown permissions: ${unknown.join(', ')}` };
+
+  const missing = collaboratorPermissions({ role, permissions }).find(p => !granterPermissions.includes(p));
+  if (missing) {
+    return { status: 403, message: `Missing '${missing}' permission on this device, so it cannot be granted`, missingPermission: missing };
+  }
+  return { role, permissions: [...new Set(permissions)] };
+}
+
+/**
+ * Register a manufacturing record to a user: reverse-geocode the location, create the
+ * registration with the record's identifiers, move the record to REGISTERED and spend its claim code.
+ *
+ * @param {object} manufactured  addDevice record, loaded with '+claim.nonce'
+ * @param {{ userid: string, nickname?: string, location: number[] }} details
+ * @returns {Promise<{ device?: object, status?: number, body?: object }>}
+ */
+async function registerManufacturedDevice(manufactured, { userid, nickname, location }) {
+  if (!Array.isArray(location) || location.length !== 2) {
+    return { status: 400, body: { message: 'location must be [latitude, longitude].' } };
+  }
+
+  // Check if already registered
+  const existing = await registerNewDevice.findOne({ serial: manufactured.serial });
+  if (existing) {
+    const message = existing.userid === userid
+      ? 'Device is already registered to this user.'
+      : 'Device is already registered.';
+    return { status: 409, body: { message } };
+  }
+  if (!REGISTRABLE_STATES.includes(manufactured.status)) {
+    return { status: 409, body: { message: `Device cannot be registered while ${manufactured.status}.`, status: manufactured.status } };
+  }
+
+  const [latitude, longitude] = location;
+
+  // Get reverse geolocation
+  const geoRes = await axios.get(`https://atlas.microsoft.com/search/address/reverse/json`, {
+    params: {
+      'api-version': '1.0',
+      'subscription-key': AZURE_KEY,
+      query: `${latitude},${longitude}`
+    }
+  });
+
+  const address = geoRes?.data?.addresses?.[0]?.address || {};
+  const locationInfo = {
+    country: address.country,
+    region: address.countrySubdivision,
+    city: address.municipality,
+    postalCode: address.postalCode,
+    street: address.street,
+    municipality: address.municipality,
+    municipalitySubdivision: address.municipalitySubdivision,
+    latitude,
+    longitude
+  };
+
+  // Get image from SensorModel
+  const modelEntry = await SensorModel.findOne({ model: manufactured.model.toLowerCase() });
+  const imageUrl = modelEntry?.imageUrl || process.env.DEFAULT_IMAGE_URL;
+
+  // Construct registration object
+  const newDevice = new registerNewDevice({
+    auid: manufactured.auid,
+    serial: manufactured.serial,
+    devid: manufactured.devid,
+    mac: manufactured.mac,
+    model: manufactured.model,
+    type: manufactured.type,
+    datapoints: manufactured.datapoints,
+    userid,
+    nickname,
+    location: JSON.stringify(locationInfo),
+    battery: 100,
+    subscription: [], // can be added later
+    image: imageUrl,
+    status: 'offline',
+    availability: 'private',
+    manufacturingId: manufactured.manufacturingId
+  });
+
+  try {
+    await newDevice.save();
+  } catch (err) {
+    // lost a race with another registration of the same unit
+    if (err.code === 11000) return { status: 409, body: { message: 'Device is already registered.' } };
+    throw err;
+  }
+
+  const lifecycle = await markRegistered(manufactured.manufacturingId, userid);
+  if (lifecycle.status) {
+    await registerNewDevice.deleteOne({ auid: newDevice.auid });
+    return { status: lifecycle.status, body: { message: lifecycle.message } };
+  }
+
+  // the label's code is spent whichever way the device was registered
+  if (manufactured.claim?.nonce) {
+    await consumeClaimCode(manufactured.manufacturingId, manufactured.claim.nonce, userid);
+  }
+
+  console.log('Device registered:', newDevice);
+  return { device: newDevice };
+}
+
 /**
  * @swagger
  * /api/devices/register-device:
  *   post:
  *     summary: Register a new device
  *     tags: [Devices]
+ *     description: >
+ *       Registers the device to the authenticated user. Serial and AUID alone are not proof of possession, so
+ *       the label's `claimCode` is required unless the caller is an admin (admins register on someone's behalf
+ *       with the `X-Act-As` header). Registering here spends the claim code; prefer POST /api/devices/claim.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [auid, serial, location, userid, nickname]
+ *             required: [auid, serial, location, nickname]
  *             properties:
  *               auid:
  *                 type: string
@@ -57,90 +197,117 @@ const AZURE_KEY = process.env.AZURE_MAPS_SUBSCRIPTION_KEY;
  *               userid:
  *                 type: string
  *                 example: "user-123"
+ *                 description: Optional; must match the authenticated user.
  *               nickname:
  *                 type: string
  *                 example: "Lab Sensor"
+ *               claimCode:
+ *                 type: string
+ *                 example: "GH-7K2M9Q4XZP.q1w2e3r4t5y6u7i8"
+ *                 description: Required unless the caller is an admin.
  *     responses:
  *       201:
  *         description: Device registered successfully
  *       400:
- *         description: Bad request
+ *         description: auid does not match the serial's manufacturing record, invalid claim code, or bad location
+ *       403:
+ *         description: No claim code given and the caller is not an admin
  *       404:
  *         description: Device not found
+ *       409:
+ *         description: Already registered, or the unit is not SHIPPED or ASSIGNED
  */
-router.post('/register-device', async (req, res) => {
-  const { auid, serial, location, userid, nickname } = req.body;
+router.post('/register-device', authenticateToken, authorizeSelf('userid', 'body'), async (req, res) => {
+  const { auid, serial, location, nickname, claimCode } = req.body;
+  const { userid } = req.user;
+
+  // serial and auid are printed and exported, so only admins may register without the claim code
+  const isAdmin = req.user.role === 'admin' || Boolean(req.user.impersonatedBy);
+  if (!claimCode && !isAdmin) {
+    return res.status(403).json({ message: 'claimCode is required. Scan the QR code on the device label.' });
+  }
 
   try {
-    // Check if already registered
-    const existing = await registerNewDevice.findOne({ serial });
-    if (existing) {
-      const message = existing.userid === userid
-        ? 'Device is already registered to this user.'
-        : 'Device is already registered.';
-      return res.status(409).json({ message });
-    }
-
     // Find in manufacturing database
-    const manufactured = await addDevice.findOne({ serial });
+    const manufactured = await addDevice.findOne({ serial }).select('+claim.nonce');
     if (!manufactured) {
       return res.status(404).json({ message: 'Device not found in manufacturing records.' });
     }
+    // the auid comes from the manufacturing record; the client's must match it
+    if (auid !== manufactured.auid) {
+      return res.status(400).json({ message: 'auid does not match this serial.' });
+    }
+    if (claimCode) {
+      const claimed = await findByClaimCode(claimCode);
+      if (!claimed || claimed.manufacturingId !== manufactured.manufacturingId) {
+        return res.status(400).json({ message: 'Invalid or already used claim code.' });
+      }
+    }
 
-    const [latitude, longitude] = location;
+    const result = await registerManufacturedDevice(manufactured, { userid, nickname, location });
+    if (result.status) return res.status(result.status).json(result.body);
 
-    // Get reverse geolocation
-    const geoRes = await axios.get(`https://atlas.microsoft.com/search/address/reverse/json`, {
-      params: {
-        'api-version': '1.0',
-        'subscription-key': AZURE_KEY,
-        query: `${latitude},${longitude}`
-      }
-    });
+    res.status(201).json(result.device);
 
-    const address = geoRes?.data?.addresses?.[0]?.address || {};
-    const locationInfo = {
-      country: address.country,
-      region: address.countrySubdivision,
-      city: address.municipality,
-      postalCode: address.postalCode,
-      street: address.street,
-      municipality: address.municipality,
-      municipalitySubdivision: address.municipalitySubdivision,
-      latitude,
-      longitude
-    };
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get image from SensorModel
-    const modelEntry = await SensorModel.findOne({ model: manufactured.model.toLowerCase() });
-    const imageUrl = modelEntry?.imageUrl || process.env.DEFAULT_IMAGE_URL;
-
-    // Construct registration object
-    const newDevice = new registerNewDevice({
-      auid,
-      serial,
-      devid: manufactured.devid,
-      mac: manufactured.mac,
-      model: manufactured.model,
-      type: manufactured.type,
-      datapoints: manufactured.datapoints,
-      userid,
-      nickname,
-      location: JSON.stringify(locationInfo),
-      battery: 100,
-      subscription: [], // can be added later
-      image: imageUrl,
-      status: 'offline',
-      availability: 'private',
-      manufacturingId: manufactured.manufacturingId
-    });
+/**
+ * @swagger
+ * /api/devices/claim:
+ *   post:
+ *     summary: Register a device by its claim code
+ *     tags: [Devices]
+ *     description: >
+ *       The claim code is printed as a QR code on the unit's label. It is checked against the manufacturing
+ *       record, the device is registered to the authenticated user with the AUID from that record, and the
+ *       code stops working. Admins can issue a new code with POST /api/devices/manufacturer/{id}/claim-code/rotate.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [claimCode, location]
+ *             properties:
+ *               claimCode:
+ *                 type: string
+ *                 example: "GH-7K2M9Q4XZP.q1w2e3r4t5y6u7i8"
+ *               location:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [5.5605, -0.2057]
+ *               nickname:
+ *                 type: string
+ *                 example: "Lab Sensor"
+ *     responses:
+ *       201:
+ *         description: Device registered successfully
+ *       400:
+ *         description: Invalid or already used claim code
+ *       409:
+ *         description: Already registered, or the unit is not SHIPPED or ASSIGNED
+ */
+router.post('/claim', authenticateToken, async (req, res) => {
+  const { claimCode, location, nickname } = req.body;
+  const { userid } = req.user;
 
-    await newDevice.save();
-    console.log('Device registered:', newDevice);
-    res.status(201).json(newDevice);
+  try {
+    const manufactured = await findByClaimCode(claimCode);
+    if (!manufactured) return res.status(400).json({ message: 'Invalid or already used claim code.' });
+
+    const result = await registerManufacturedDevice(manufactured, { userid, nickname, location });
+    if (result.status) return res.status(result.status).json(result.body);
 
+    res.status(201).json(result.device);
   } catch (error) {
-    console.error('Error registering device:', error);
+    console.error('Error claiming device:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -164,7 +331,7 @@ router.post('/register-device', async (req, res) => {
  */
 
 
-router.get('/all-registered-devices', async (req, res) => {
+router.get('/all-registered-devices', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
     const devices = await registerNewDevice.find();
 
@@ -186,7 +353,9 @@ router.get('/all-registered-devices', async (req, res) => {
  *     tags:
  *       - Devices
  *     summary: Get all registered and shared devices of a user
- *     description: Retrieve all devices registered by a user and devices shared with them as a collaborator.
+ *     description: Retrieve all devices registered by a user and devices shared with them, either as a device collaborator or through a deployment or organization they belong to.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - name: userid
  *         in: path
@@ -199,14 +368,21 @@ router.get('/all-registered-devices', async (req, res) => {
  *       500:
  *         description: Error retrieving devices.
  */
-router.get('/user/:userid/registered-devices', async (req, res) => {
-  const { userid } = req.params;
+router.get('/user/:userid/registered-devices', authenticateTokenOrApiKey('devices:read'), authorizeSelf(), async (req, res) => {
+  const { userid } = req.user;
 
   try {
     const ownedDevices = await registerNewDevice.find({ userid });
     const ownedDeviceDevids = new Set(ownedDevices.map(d => d.devid));
 
-    const collaboratorDevices = await registerNewDevice.find({ 'collaborators.userid': userid });
+    // shared directly, or through a deployment (or an organization's deployment) the user can see
+    const deploymentIds = await accessibleDeploymentIds(req.user);
+    const deploymentAuids = (await Deployment.find({ deploymentid: { $in: deploymentIds } }).select('devices').lean())
+      .flatMap(d => d.devices || []);
+
+    const collaboratorDevices = await registerNewDevice.find({
+      $or: [{ 'collaborators.userid': userid }, { auid: { $in: deploymentAuids } }]
+    });
     const filteredSharedDevices = collaboratorDevices.filter(d => !ownedDeviceDevids.has(d.devid));
 
     const sharedDevicesWithFlag = filteredSharedDevices.map(device => {
@@ -247,7 +423,7 @@ router.get('/user/:userid/registered-devices', async (req, res) => {
  */
 
 
-router.get('/find-registered-device/:auid', async (req, res) => {
+router.get('/find-registered-device/:auid', authenticateTokenOrApiKey('devices:read'), authorizeDevice('view'), async (req, res) => {
   const auid = req.params.auid;
 
   try {
@@ -271,7 +447,10 @@ router.get('/find-registered-device/:auid', async (req, res) => {
  *     tags:
  *       - Devices
  *     summary: Delete a device
- *     description: Deletes a device from the system using its AUID. Also removes the device from any deployments and clears its collaborators before deletion.
+ *     description: >
+ *       Owner (or platform admin) only. Decommissions the device: the registration is archived, removed from its deployments and
+ *       deleted, and the unit gets a new claim code (returned as `claimCode`) so it can be registered again.
+ *       Telemetry is kept. Same as POST /api/devices/decommission/{auid}.
  *     parameters:
  *       - name: auid
  *         in: path
@@ -279,42 +458,27 @@ router.get('/find-registered-device/:auid', async (req, res) => {
  *         type: string
  *     responses:
  *       200:
- *         description: Device successfully deleted from all records.
+ *         description: Device decommissioned.
+ *       403:
+ *         description: Not the device owner
  *       404:
  *         description: Device not found in registration records.
  *       500:
  *         description: Error deleting device.
  */
-router.delete('/delete-device/:auid', async (req, res) => {
-  const { auid } = req.params;
+router.delete('/delete-device/:auid', authenticateToken, authorizeDevice('delete'), async (req, res) => {
+  if (!req.access.via.includes('owner') && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only the device owner can decommission it' });
+  }
 
   try {
-    // Get the registered device
-    const device = await registerNewDevice.findOne({ auid });
-    if (!device) {
-      return res.status(404).json({ message: 'Device not found in registration records' });
-    }
-
-    const { devid } = device;
-
-    // Remove this device from all deployments it's part of
-    await Deployment.updateMany(
-      { devices: devid },
-      { $pull: { devices: devid } }
-    );
-
-    // Clear collaborators from the device
-    device.collaborators = [];
-    await device.save();
-
-    // Delete from addDevice collection (if applicable)
-    // await addDevice.findOneAndDelete({ devid });
-
-    // Delete from registerNewDevice collection
-    await registerNewDevice.findOneAndDelete({ auid });
+    const { claimCode } = await decommissionDevice(req.device, { by: req.user.userid, reason: req.body?.reason });
+    await recordAudit(req, 'device.decommissioned', {
+      targetUserid: req.device.userid,
+      metadata: { auid: req.device.auid, serial: req.device.serial }
+    });
 
-    console.log("Device and its associated data removed from deployments and database.");
-    return res.status(200).json({ message: 'Device successfully deleted from all records' });
+    return res.status(200).json({ message: 'Device decommissioned', claimCode });
   } catch (error) {
     console.error("Error during device deletion:", error);
     return res.status(500).json({ error: error.message });
@@ -364,8 +528,8 @@ router.delete('/delete-device/:auid', async (req, res) => {
  *       500:
  *         description: Error retrieving device information.
  */
-router.get('/user/:userid/device-locations', async (req, res) => {
-  const userid = req.params.userid;
+router.get('/user/:userid/device-locations', authenticateTokenOrApiKey('devices:read'), authorizeSelf(), async (req, res) => {
+  const { userid } = req.user;
 
   try {
     // Find all devices for the given userid and select specific fields
@@ -435,12 +599,12 @@ router.get('/user/:userid/device-locations', async (req, res) => {
  *       500:
  *         description: Error retrieving the device information.
  */
-router.get('/user/:userid/device/:auid/location', async (req, res) => {
-  const { userid, auid } = req.params;
+router.get('/user/:userid/device/:auid/location', authenticateTokenOrApiKey('devices:read'), authorizeSelf(), authorizeDevice('view'), async (req, res) => {
+  const { auid } = req.params;
 
   try {
-    // Find the specific device by userid and auid
-    const device = await registerNewDevice.findOne({ userid: userid, auid: auid }, 'auid location status battery');
+    // Find the specific device by auid (access already checked)
+    const device = await registerNewDevice.findOne({ auid: auid }, 'auid location status battery');
 
     if (!device) {
       return res.status(404).json({ message: 'Device not found' });
@@ -505,8 +669,8 @@ router.get('/user/:userid/device/:auid/location', async (req, res) => {
  *       500:
  *         description: Server error while updating device.
  */
-router.put('/user/:userid/device/:auid/update', async (req, res) => {
-  const { userid, auid } = req.params;
+router.put('/user/:userid/device/:auid/update', authenticateTokenOrApiKey('devices:write'), authorizeSelf(), authorizeDevice('update'), async (req, res) => {
+  const { auid } = req.params;
   const { nickname, location } = req.body;
 
   if (!nickname && !location) {
@@ -516,7 +680,7 @@ router.put('/user/:userid/device/:auid/update', async (req, res) => {
   }
 
   try {
-    const device = await registerNewDevice.findOne({ userid, auid });
+    const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
 
     if (nickname) device.nickname = nickname;
@@ -599,29 +763,39 @@ router.put('/user/:userid/device/:auid/update', async (req, res) => {
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *                 description: viewer = view; editor adds update and export; admin adds delete and share.
  *               permissions:
  *                 type: array
+ *                 description: Extra permissions on top of the role's.
  *                 items:
  *                   type: string
+ *                   enum: [update, delete, export, share]
  *     responses:
  *       200:
  *         description: Collaborator added.
+ *       400:
+ *         description: Unknown role or permission.
  *       403:
- *         description: Unauthorized.
+ *         description: Caller lacks 'share', or a permission they are trying to grant.
  *       404:
  *         description: Device or user not found.
  */
-router.post('/:userid/device/:auid/collaborators', async (req, res) => {
-  const { userid, auid } = req.params;
-  const { email, role, permissions = [] } = req.body;
+router.post('/:userid/device/:auid/collaborators', authenticateToken, authorizeSelf(), authorizeDevice('share'), async (req, res) => {
+  const { auid } = req.params;
+  const { email } = req.body;
+
+  const grant = parseCollaboratorGrant(req.body, req.access.permissions);
+  if (grant.status) return res.status(grant.status).json({ message: grant.message, missingPermission: grant.missingPermission });
+  const { role, permissions } = grant;
 
   try {
     const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
-    if (device.userid !== userid) return res.status(403).json({ message: 'Only the owner can add collaborators.' });
 
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: 'Target user not found.' });
+    if (user.userid === device.userid) return res.status(400).json({ message: 'The owner cannot be added as a collaborator.' });
 
     const exists = device.collaborators.find(c => c.userid === user.userid.toString());
     if (exists) return res.status(409).json({ message: 'Collaborator already exists.' });
@@ -683,14 +857,13 @@ router.post('/:userid/device/:auid/collaborators', async (req, res) => {
  *       404:
  *         description: Device or user not found.
  */
-router.delete('/:userid/device/:auid/collaborators', async (req, res) => {
-  const { userid, auid } = req.params;
+router.delete('/:userid/device/:auid/collaborators', authenticateToken, authorizeSelf(), authorizeDevice('share'), async (req, res) => {
+  const { auid } = req.params;
   const { email } = req.body;
 
   try {
     const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
-    if (device.userid !== userid) return res.status(403).json({ message: 'Only the owner can remove collaborators.' });
 
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: 'Target user not found.' });
@@ -729,14 +902,13 @@ router.delete('/:userid/device/:auid/collaborators', async (req, res) => {
  *       404:
  *         description: Device or user not found.
  */
-router.delete('/:userid/device/:auid/collaborators', async (req, res) => {
-  const { userid, auid } = req.params;
+router.delete('/:userid/device/:auid/collaborators', authenticateToken, authorizeSelf(), authorizeDevice('share'), async (req, res) => {
+  const { auid } = req.params;
   const { email } = req.body;
 
   try {
     const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
-    if (device.userid !== userid) return res.status(403).json({ message: 'Only the owner can remove collaborators.' });
 
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: 'Target user not found.' });
@@ -781,31 +953,123 @@ router.delete('/:userid/device/:auid/collaborators', async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Role and permissions returned.
+ *         description: >
+ *           Role, explicitly granted permissions and the effective permissions they add up to
+ *           (view + the role's permissions + explicit ones).
  *       404:
  *         description: Device or user not found.
  */
-router.post('/:userid/device/:auid/collaborators/permissions', async (req, res) => {
-  const { userid, auid } = req.params;
+router.post('/:userid/device/:auid/collaborators/permissions', authenticateToken, authorizeSelf(), authorizeDevice('view'), async (req, res) => {
+  const { auid } = req.params;
   const { email } = req.body;
 
   try {
     const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
 
-    const ownerUser = await User.findById(device.userid);
     const targetUser = await User.findOne({ email });
-
     if (!targetUser) return res.status(404).json({ message: 'Target user not found.' });
 
-    if (ownerUser.email === email) {
+    if (device.userid === targetUser.userid) {
       return res.status(200).json({ role: 'owner', permissions: ['*'] });
     }
 
-    const collab = device.collaborators.find(c => c.userid === targetUser._id.toString());
+    const collab = device.collaborators.find(c => c.userid === targetUser.userid);
+    if (!collab) return res.status(404).json({ message: 'Collaborator not found on this device.' });
+
+    return res.status(200).json({
+      role: collab.role,
+      permissions: collab.permissions,
+      effectivePermissions: collaboratorPermissions(collab)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/devices/{userid}/device/{auid}/collaborators/permissions:
+ *   put:
+ *     tags: [Devices]
+ *     summary: Change a collaborator's role and permissions on a device
+ *     description: The caller needs 'share' on the device and can only grant permissions they hold themselves.
+ *     parameters:
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: auid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [update, delete, export, share]
+ *     responses:
+ *       200:
+ *         description: Collaborator updated.
+ *       400:
+ *         description: Unknown role or permission.
+ *       403:
+ *         description: Caller lacks 'share', or a permission they are trying to grant.
+ *       404:
+ *         description: Device, user or collaborator not found.
+ */
+router.put('/:userid/device/:auid/collaborators/permissions', authenticateToken, authorizeSelf(), authorizeDevice('share'), async (req, res) => {
+  const { auid } = req.params;
+  const { email } = req.body;
+
+  try {
+    const device = await registerNewDevice.findOne({ auid });
+    if (!device) return res.status(404).json({ message: 'Device not found.' });
+
+    const targetUser = await User.findOne({ email });
+    if (!targetUser) return res.status(404).json({ message: 'Target user not found.' });
+
+    const collab = device.collaborators.find(c => c.userid === targetUser.userid);
     if (!collab) return res.status(404).json({ message: 'Collaborator not found on this device.' });
 
-    return res.status(200).json({ role: collab.role, permissions: collab.permissions });
+    const grant = parseCollaboratorGrant({
+      role: req.body.role ?? collab.role,
+      permissions: req.body.permissions ?? collab.permissions
+    }, req.access.permissions);
+    if (grant.status) return res.status(grant.status).json({ message: grant.message, missingPermission: grant.missingPermission });
+
+    // a non-owner can't strip permissions from someone who holds more than they do
+    const held = collaboratorPermissions(collab).find(p => !req.access.permissions.includes(p));
+    if (held) {
+      return res.status(403).json({ message: `Missing '${held}' permission on this device, so this collaborator cannot be changed`, missingPermission: held });
+    }
+
+    collab.role = grant.role;
+    collab.permissions = grant.permissions;
+    await device.save();
+
+    res.status(200).json({
+      message: 'Collaborator updated.',
+      role: collab.role,
+      permissions: collab.permissions,
+      effectivePermissions: collaboratorPermissions(collab)
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -865,19 +1129,26 @@ router.post('/:userid/device/:auid/collaborators/permissions', async (req, res)
  */
 
 // Batch Add Collaborators to One Device
-router.post('/:userid/device/:auid/collaborators/batch', async (req, res) => {
-  const { userid, auid } = req.params;
+router.post('/:userid/device/:auid/collaborators/batch', authenticateToken, authorizeSelf(), authorizeDevice('share'), async (req, res) => {
+  const { auid } = req.params;
   const { collaborators } = req.body; // [{ email, role, permissions }]
 
   try {
     const device = await registerNewDevice.findOne({ auid });
     if (!device) return res.status(404).json({ message: 'Device not found.' });
-    if (device.userid !== userid) return res.status(403).json({ message: 'Only the owner can add collaborators.' });
 
     const added = [];
+    const rejected = [];
     for (const collab of collaborators) {
+      const grant = parseCollaboratorGrant(collab, req.access.permissions);
+      if (grant.status) {
+        rejected.push({ email: collab.email, message: grant.message });
+        continue;
+      }
+      Object.assign(collab, grant);
+
       const user = await User.findOne({ email: collab.email });
-      if (user && !device.collaborators.find(c => c.userid === user.userid.toString())) {
+      if (user && user.userid !== device.userid && !device.collaborators.find(c => c.userid === user.userid.toString())) {
         device.collaborators.push({ userid: user.userid.toString(), role: collab.role, permissions: collab.permissions });
         added.push(collab.email);
         const emailContent = `
@@ -892,7 +1163,7 @@ router.post('/:userid/device/:auid/collaborators/batch', async (req, res) => {
     }
 
     await device.save();
-    res.status(200).json({ message: 'Collaborators added.', added });
+    res.status(200).json({ message: 'Collaborators added.', added, rejected });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -937,6 +1208,8 @@ router.post('/:userid/device/:auid/collaborators/batch', async (req, res) => {
  *     responses:
  *       200:
  *         description: Collaborator added to devices successfully
+ *       400:
+ *         description: devices is missing or not an array of { auid, role, permissions }
  *       404:
  *         description: User or devices not found
  *       500:
@@ -944,17 +1217,34 @@ router.post('/:userid/device/:auid/collaborators/batch', async (req, res) => {
  */
 
 // Batch Add One Collaborator to Multiple Devices
-router.post('/collaborator/:email/devices/batch', async (req, res) => {
+router.post('/collaborator/:email/devices/batch', authenticateToken, async (req, res) => {
   const { email } = req.params;
-  const { devices } = req.body; // [{ auid, role, permissions }]
+  const { devices } = req.body || {}; // [{ auid, role, permissions }]
+  if (!Array.isArray(devices) || devices.length === 0 || devices.some(d => !d || typeof d.auid !== 'string' || !d.auid)) {
+    return res.status(400).json({ message: 'devices must be a non-empty array of { auid, role, permissions }' });
+  }
 
   try {
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: 'User not found.' });
 
     const added = [];
+    const denied = [];
+    const rejected = [];
     for (const item of devices) {
       const device = await registerNewDevice.findOne({ auid: item.auid });
+      const granterPermissions = device ? (await resolveDeviceAccess(req.user, device.toObject())).permissions : [];
+      if (device && !granterPermissions.includes('share')) {
+        denied.push(item.auid);
+        continue;
+      }
+      const grant = parseCollaboratorGrant(item, granterPermissions);
+      if (grant.status) {
+        rejected.push({ auid: item.auid, message: grant.message });
+        continue;
+      }
+      Object.assign(item, grant);
+
       if (device && device.userid !== user.userid.toString() && !device.collaborators.find(c => c.userid === user.userid.toString())) {
         device.collaborators.push({ userid: user.userid.toString(), role: item.role, permissions: item.permissions });
         await device.save();
@@ -971,7 +1261,7 @@ router.post('/collaborator/:email/devices/batch', async (req, res) => {
       }
     }
 
-    res.status(200).json({ message: 'Collaborator added to devices.', added });
+    res.status(200).json({ message: 'Collaborator added to devices.', added, denied, rejected });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1021,8 +1311,8 @@ router.post('/collaborator/:email/devices/batch', async (req, res) => {
  *       500:
  *         description: Server error.
  */
-router.put('/user/:userid/device/:auid/availability', async (req, res) => {
-  const { userid, auid } = req.params;
+router.put('/user/:userid/device/:auid/availability', authenticateTokenOrApiKey('devices:write'), authorizeSelf(), authorizeDevice('update'), async (req, res) => {
+  const { auid } = req.params;
   const { availability } = req.body;
 
   if (!['public', 'private'].includes(availability)) {
@@ -1030,10 +1320,10 @@ router.put('/user/:userid/device/:auid/availability', async (req, res) => {
   }
 
   try {
-    const device = await registerNewDevice.findOne({ auid, userid });
+    const device = await registerNewDevice.findOne({ auid });
 
     if (!device) {
-      return res.status(404).json({ message: 'Device not found or does not belong to this user.' });
+      return res.status(404).json({ message: 'Device not found.' });
     }
 
     device.availability = availability;
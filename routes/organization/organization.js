@@ -0,0 +1,785 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../../model/organization/organizationModel');
+const Invitation = require('../../model/invitation/invitationModel');
+const User = require('../../model/user/userModel');
+const Deployment = require('../../model/deployment/deploymentModel');
+const authenticateToken = require('../../middleware/bearermiddleware');
+const { sendEmail } = require('../../config/mail/nodemailer');
+const { generateOrganizationId, generateInvitationId } = require('../../utils/idGenerator');
+const {
+  INVITATION_TTL_HOURS,
+  invitationStatus,
+  pendingInvitationFilter,
+  joinOrganization,
+  findMember,
+  isOrganizationAdmin,
+} = require('../../utils/organization');
+const { isSupportedPhoneCountry } = require('../../utils/phone');
+
+const ACCESS_LEVELS = ['ADMIN', 'MODERATOR'];
+const CONSOLE_URL = process.env.CONSOLE_URL || 'https://console.craftedclimate.co';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const normalizeEmail = (email) => String(email || '').trim().replace(/\s+/g, '').toLowerCase();
+
+/** Load an organization the caller belongs to (platform admins see all). */
+async function loadOrganization(req, res) {
+  const organization = await Organization.findOne({ organizationId: req.params.organizationId });
+  if (!organization) {
+    res.status(404).json({ message: 'Organization not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && !findMember(organization, req.user.userid)) {
+    res.status(403).json({ message: 'You are not a member of this organization' });
+    return null;
+  }
+  return organization;
+}
+
+const adminCount = (organization) => organization.collaborators.filter(c => c.accessLevel === 'ADMIN').length;
+
+const invitationView = (inv) => ({
+  invitationId: inv.invitationId,
+  email: inv.email,
+  organizationId: inv.organizationId,
+  accessLevel: inv.accessLevel,
+  needsSignUp: inv.needsSignUp,
+  invitedBy: inv.invitedBy,
+  createdAt: inv.createdAt,
+  expiresAt: inv.expiresAt,
+  status: invitationStatus(inv)
+});
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Create an organization
+ *     description: The creator becomes its first ADMIN.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: "Accra Air Quality Network" }
+ *               description: { type: string }
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       400:
+ *         description: Name missing
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  if (!name) return res.status(400).json({ message: 'Organization name is required' });
+
+  try {
+    const organization = await Organization.create({
+      organizationId: generateOrganizationId(),
+      name,
+      description: req.body.description,
+      collaborators: [{ userId: req.user.userid, accessLevel: 'ADMIN', permissions: [] }]
+    });
+
+    await User.updateOne({ userid: req.user.userid }, { $addToSet: { organization: organization.organizationId } });
+
+    return res.status(201).json({ message: 'Organization created', organization });
+  } catch (err) {
+    console.error('❌ Create organization error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: List organizations I belong to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with my access level
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'collaborators.userId': req.user.userid }).lean();
+    return res.status(200).json(organizations.map(org => ({
+      organizationId: org.organizationId,
+      name: org.name,
+      description: org.description,
+      createdAt: org.createdAt,
+      members: org.collaborators.length,
+      deployments: org.deployments,
+      accessLevel: findMember(org, req.user.userid)?.accessLevel
+    })));
+  } catch (err) {
+    console.error('❌ List organizations error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/invitations/mine:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: Pending invitations sent to my email
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ */
+router.get('/invitations/mine', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      email: normalizeEmail(req.user.email),
+      ...pendingInvitationFilter()
+    }).lean();
+
+    const orgs = await Organization.find({ organizationId: { $in: invitations.map(i => i.organizationId) } })
+      .select('organizationId name')
+      .lean();
+    const names = Object.fromEntries(orgs.map(o => [o.organizationId, o.name]));
+
+    return res.status(200).json(invitations.map(inv => ({ ...invitationView(inv), organizationName: names[inv.organizationId] })));
+  } catch (err) {
+    console.error('❌ List my invitations error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/invitations/{invitationId}/accept:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Accept an organization invitation
+ *     description: >
+ *       For users who already have an account; the invitation must be addressed to the caller's email.
+ *       New users accept by passing `invitationId` to `/api/auth/signup`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Joined the organization
+ *       403:
+ *         description: Invitation is for another email
+ *       404:
+ *         description: Invitation not found
+ *       410:
+ *         description: Invitation expired, revoked or already accepted
+ */
+router.post('/invitations/:invitationId/accept', authenticateToken, async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ invitationId: req.params.invitationId });
+    if (!invitation) return res.status(404).json({ message: 'Invitation not found' });
+
+    if (normalizeEmail(invitation.email) !== normalizeEmail(req.user.email)) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+
+    const status = invitationStatus(invitation);
+    if (status !== 'pending') return res.status(410).json({ message: `Invitation is ${status}` });
+
+    // mark first so a double click can't join twice with different access levels
+    const claimed = await Invitation.findOneAndUpdate(
+      { invitationId: invitation.invitationId, ...pendingInvitationFilter() },
+      { $set: { accepted: true, acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return res.status(410).json({ message: 'Invitation is no longer valid' });
+
+    const organization = await joinOrganization(claimed.organizationId, req.user.userid, claimed.accessLevel);
+    if (!organization) return res.status(404).json({ message: 'Organization no longer exists' });
+
+    return res.status(200).json({
+      message: `You joined ${organization.name}`,
+      organizationId: organization.organizationId,
+      accessLevel: findMember(organization, req.user.userid)?.accessLevel
+    });
+  } catch (err) {
+    console.error('❌ Accept invitation error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: Get an organization
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Organization
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:organizationId', authenticateToken, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    return res.status(200).json(organization);
+  } catch (err) {
+    console.error('❌ Get organization error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/members:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: List organization members
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Members with access level and profile basics
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:organizationId/members', authenticateToken, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const users = await User.find({ userid: { $in: organization.collaborators.map(c => c.userId) } })
+      .select('userid username email firstName lastName profilePicture')
+      .lean();
+    const byId = Object.fromEntries(users.map(u => [u.userid, u]));
+
+    const members = organization.collaborators.map(c => ({
+      userid: c.userId,
+      accessLevel: c.accessLevel,
+      permissions: c.permissions,
+      username: byId[c.userId]?.username,
+      email: byId[c.userId]?.email,
+      firstName: byId[c.userId]?.firstName,
+      lastName: byId[c.userId]?.lastName,
+      profilePicture: byId[c.userId]?.profilePicture
+    }));
+
+    return res.status(200).json({ organizationId: organization.organizationId, count: members.length, members });
+  } catch (err) {
+    console.error('❌ List organization members error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/security:
+ *   patch:
+ *     tags:
+ *       - Organizations
+ *     summary: Require two-factor authentication for members
+ *     description: >
+ *       Organization ADMINs only. While on, members without 2FA must enrol before their next login
+ *       completes, and members cannot turn 2FA off. Existing sessions are not ended. The response
+ *       lists members who have not enabled 2FA yet.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requireTwoFactor]
+ *             properties:
+ *               requireTwoFactor: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Setting saved
+ *       400:
+ *         description: requireTwoFactor missing
+ *       403:
+ *         description: Not an organization ADMIN
+ *       404:
+ *         description: Organization not found
+ */
+router.patch('/:organizationId/security', authenticateToken, async (req, res) => {
+  if (typeof req.body?.requireTwoFactor !== 'boolean') {
+    return res.status(400).json({ message: 'requireTwoFactor must be true or false' });
+  }
+
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can change security settings' });
+    }
+
+    organization.requireTwoFactor = req.body.requireTwoFactor;
+    await organization.save();
+
+    const withoutTwoFactor = await User.find({
+      userid: { $in: organization.collaborators.map(c => c.userId) },
+      'twoFactor.enabled': { $ne: true }
+    }).select('userid email').lean();
+
+    console.log(`🔐 ${organization.organizationId} requireTwoFactor=${organization.requireTwoFactor} (by ${req.user.userid})`);
+    return res.status(200).json({
+      message: 'Security settings updated',
+      organizationId: organization.organizationId,
+      requireTwoFactor: organization.requireTwoFactor,
+      membersWithoutTwoFactor: withoutTwoFactor.map(u => ({ userid: u.userid, email: u.email }))
+    });
+  } catch (err) {
+    console.error('❌ Update organization security error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/settings:
+ *   patch:
+ *     tags:
+ *       - Organizations
+ *     summary: Update organization settings
+ *     description: >
+ *       Organization ADMINs only. `defaultPhoneCountry` (ISO 3166-1 alpha-2) is the country assumed for
+ *       members' phone numbers entered without a country code; null falls back to the platform default.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               defaultPhoneCountry: { type: string, nullable: true, example: "KE" }
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Invalid value
+ *       403:
+ *         description: Not an organization ADMIN
+ *       404:
+ *         description: Organization not found
+ */
+router.patch('/:organizationId/settings', authenticateToken, async (req, res) => {
+  const body = req.body || {};
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return res.status(400).json({ message: 'name cannot be empty' });
+  }
+  if (body.defaultPhoneCountry != null && !isSupportedPhoneCountry(body.defaultPhoneCountry)) {
+    return res.status(400).json({ message: 'defaultPhoneCountry must be a supported ISO 3166-1 alpha-2 country code' });
+  }
+
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can change settings' });
+    }
+
+    if (body.name !== undefined) organization.name = String(body.name).trim();
+    if (body.description !== undefined) organization.description = body.description;
+    if (body.defaultPhoneCountry !== undefined) {
+      organization.defaultPhoneCountry = body.defaultPhoneCountry ? body.defaultPhoneCountry.toUpperCase() : undefined;
+    }
+    await organization.save();
+
+    return res.status(200).json({
+      message: 'Organization settings updated',
+      organizationId: organization.organizationId,
+      name: organization.name,
+      description: organization.description,
+      defaultPhoneCountry: organization.defaultPhoneCountry || null
+    });
+  } catch (err) {
+    console.error('❌ Update organization settings error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/members/{userid}:
+ *   patch:
+ *     tags:
+ *       - Organizations
+ *     summary: Change a member's access level
+ *     description: Organization ADMINs only. The last ADMIN cannot be demoted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [accessLevel]
+ *             properties:
+ *               accessLevel: { type: string, enum: [ADMIN, MODERATOR] }
+ *     responses:
+ *       200:
+ *         description: Access level updated
+ *       400:
+ *         description: Invalid access level
+ *       403:
+ *         description: Not an organization ADMIN
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Would leave the organization without an ADMIN
+ */
+router.patch('/:organizationId/members/:userid', authenticateToken, async (req, res) => {
+  const accessLevel = String(req.body?.accessLevel || '').toUpperCase();
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    return res.status(400).json({ message: `accessLevel must be one of ${ACCESS_LEVELS.join(', ')}` });
+  }
+
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can change access levels' });
+    }
+
+    const member = findMember(organization, req.params.userid);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+
+    if (member.accessLevel === 'ADMIN' && accessLevel !== 'ADMIN' && adminCount(organization) === 1) {
+      return res.status(409).json({ message: 'An organization must keep at least one ADMIN' });
+    }
+
+    member.accessLevel = accessLevel;
+    await organization.save();
+
+    return res.status(200).json({ message: 'Access level updated', userid: member.userId, accessLevel });
+  } catch (err) {
+    console.error('❌ Update member access error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/members/{userid}:
+ *   delete:
+ *     tags:
+ *       - Organizations
+ *     summary: Remove a member (or leave)
+ *     description: ADMINs can remove anyone; members can remove themselves. The last ADMIN cannot leave.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not allowed
+ *       404:
+ *         description: Organization or member not found
+ *       409:
+ *         description: Would leave the organization without an ADMIN
+ */
+router.delete('/:organizationId/members/:userid', authenticateToken, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const { userid } = req.params;
+    if (userid !== req.user.userid && !isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can remove members' });
+    }
+
+    const member = findMember(organization, userid);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+    if (member.accessLevel === 'ADMIN' && adminCount(organization) === 1) {
+      return res.status(409).json({ message: 'An organization must keep at least one ADMIN' });
+    }
+
+    organization.collaborators = organization.collaborators.filter(c => c.userId !== userid);
+    await organization.save();
+
+    // drop only the deployments the member had through this organization: keep the ones they own,
+    // collaborate on directly or still reach through another organization
+    const orgDeployments = organization.deployments || [];
+    const [direct, otherOrganizations] = await Promise.all([
+      Deployment.find({ deploymentid: { $in: orgDeployments }, $or: [{ userid }, { collaborators: userid }] }).select('deploymentid').lean(),
+      Organization.find({ organizationId: { $ne: organization.organizationId }, 'collaborators.userId': userid }).select('deployments').lean()
+    ]);
+    const kept = new Set([
+      ...direct.map(d => d.deploymentid),
+      ...otherOrganizations.flatMap(o => o.deployments || [])
+    ]);
+
+    await User.updateOne(
+      { userid },
+      { $pull: { organization: organization.organizationId, deployments: { $in: orgDeployments.filter(id => !kept.has(id)) } } }
+    );
+
+    return res.status(200).json({ message: 'Member removed' });
+  } catch (err) {
+    console.error('❌ Remove member error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/invitations:
+ *   post:
+ *     tags:
+ *       - Organizations
+ *     summary: Invite someone by email
+ *     description: >
+ *       Organization ADMINs only. Emails an invitation that expires after ORG_INVITATION_TTL_HOURS
+ *       (default 72h). Existing users accept it from the console; new users sign up with the
+ *       `invitationId`, which adds them to the organization.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, example: "colleague@example.com" }
+ *               accessLevel: { type: string, enum: [ADMIN, MODERATOR], default: MODERATOR }
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid email or access level
+ *       403:
+ *         description: Not an organization ADMIN
+ *       409:
+ *         description: Already a member, or a pending invitation exists
+ */
+router.post('/:organizationId/invitations', authenticateToken, async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  const accessLevel = String(req.body?.accessLevel || 'MODERATOR').toUpperCase();
+
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return res.status(400).json({ message: 'A valid email is required' });
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    return res.status(400).json({ message: `accessLevel must be one of ${ACCESS_LEVELS.join(', ')}` });
+  }
+
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can invite members' });
+    }
+
+    const existingUser = await User.findOne({ email }).select('userid').lean();
+    if (existingUser && findMember(organization, existingUser.userid)) {
+      return res.status(409).json({ message: 'This user is already a member' });
+    }
+
+    const pending = await Invitation.findOne({ organizationId: organization.organizationId, email, ...pendingInvitationFilter() });
+    if (pending) {
+      return res.status(409).json({ message: 'A pending invitation already exists for this email', invitationId: pending.invitationId });
+    }
+
+    const invitation = await Invitation.create({
+      invitationId: generateInvitationId(),
+      email,
+      organizationId: organization.organizationId,
+      accessLevel,
+      needsSignUp: !existingUser,
+      invitedBy: req.user.userid,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const link = existingUser
+      ? `${CONSOLE_URL}/invitations/${invitation.invitationId}`
+      : `${CONSOLE_URL}/signup?invitationId=${invitation.invitationId}`;
+    const emailContent = `
+      <p>Hi there,</p>
+      <p>You’ve been invited to join <strong>${escapeHtml(organization.name)}</strong> on CraftedClimate as <strong>${accessLevel}</strong>.</p>
+      <p><a href="${link}" target="_blank">${existingUser ? 'Accept the invitation' : 'Create your account'}</a></p>
+      <p>This invitation expires on ${invitation.expiresAt.toUTCString()}.</p>
+      <p>CraftedClimate Team</p>
+    `;
+    await sendEmail(email, `You've been invited to ${organization.name} on CraftedClimate`, emailContent);
+
+    return res.status(201).json({ message: 'Invitation sent', invitation: invitationView(invitation) });
+  } catch (err) {
+    console.error('❌ Create invitation error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/invitations:
+ *   get:
+ *     tags:
+ *       - Organizations
+ *     summary: List an organization's invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, accepted, revoked, expired] }
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *       403:
+ *         description: Not an organization ADMIN
+ */
+router.get('/:organizationId/invitations', authenticateToken, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can view invitations' });
+    }
+
+    const invitations = (await Invitation.find({ organizationId: organization.organizationId }).sort({ createdAt: -1 }).lean())
+      .map(invitationView)
+      .filter(inv => !req.query.status || inv.status === req.query.status);
+
+    return res.status(200).json({ count: invitations.length, invitations });
+  } catch (err) {
+    console.error('❌ List invitations error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{organizationId}/invitations/{invitationId}:
+ *   delete:
+ *     tags:
+ *       - Organizations
+ *     summary: Revoke a pending invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Not an organization ADMIN
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation is no longer pending
+ */
+router.delete('/:organizationId/invitations/:invitationId', authenticateToken, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    if (!isOrganizationAdmin(organization, req.user)) {
+      return res.status(403).json({ message: 'Only organization admins can revoke invitations' });
+    }
+
+    const invitation = await Invitation.findOne({
+      invitationId: req.params.invitationId,
+      organizationId: organization.organizationId
+    });
+    if (!invitation) return res.status(404).json({ message: 'Invitation not found' });
+
+    const status = invitationStatus(invitation);
+    if (status !== 'pending') return res.status(409).json({ message: `Invitation is already ${status}` });
+
+    invitation.revoked = true;
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    return res.status(200).json({ message: 'Invitation revoked' });
+  } catch (err) {
+    console.error('❌ Revoke invitation error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
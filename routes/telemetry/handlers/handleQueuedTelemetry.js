@@ -0,0 +1,71 @@
+// handlers/handleQueuedTelemetry.js
+const registerNewDevice = require("../../../model/devices/registerDevice");
+const {
+  pickTowerInfo,
+  normalizeTelemetry,
+  getDatapointSchema,
+} = require("../../../utils/telemetryNormalizers");
+const { cacheTelemetryToRedis } = require("../../../utils/redisTelemetry");
+const { publishToSensor } = require("../../../config/socket/socketio");
+const { evaluateAlertRules } = require("../../../utils/alertEngine");
+const { markSeen } = require("../../../utils/presence");
+
+/**
+ * Normalizes a queued Notehub-style message against its family's datapoint
+ * schema (sensor_models.datapoints, or the registry defaults), adds the
+ * family's derived metrics, then pushes it to Socket.IO, caches
+ * it in Redis for the flush pipeline, marks the device online and runs
+ * its alert rules.
+ *
+ * @param {object} family      Entry from utils/modelRegistry
+ * @param {object} messageObj  Queued job data ({ body, when, tower_* ... })
+ */
+async function handleQueuedTelemetry(family, messageObj) {
+  const body = messageObj.body;
+  const devid = body?.devid;
+
+  if (!devid) {
+    console.warn("⚠️ No 'devid' in payload.");
+    return;
+  }
+
+  try {
+    const foundDevice = await registerNewDevice.findOne({ devid }).select("-_id");
+    if (!foundDevice) {
+      console.warn(`❌ Device not registered: ${devid}`);
+      return;
+    }
+
+    const auid = foundDevice.auid;
+
+    const datapoints = await getDatapointSchema(family);
+    const { record, issues } = normalizeTelemetry(messageObj, datapoints);
+    if (issues.length > 0) {
+      console.warn(`⚠️ ${devid} invalid datapoints stored as null:`, issues.join('; '));
+    }
+
+    const formattedData = {
+      ...record,
+      ...family.derive(record, body),
+      auid
+    };
+
+    const towerInfo = pickTowerInfo(messageObj);
+    if (towerInfo) formattedData.towerInfo = towerInfo;
+
+    console.log(`${family.icon} ${family.key.toUpperCase()} Telemetry:`, formattedData);
+
+    // Real-time push + Redis caching
+    publishToSensor(auid, formattedData);
+    await cacheTelemetryToRedis(auid, formattedData, foundDevice);
+
+    await markSeen(family, auid, formattedData.telem_time);
+
+    await evaluateAlertRules(auid, formattedData);
+
+  } catch (err) {
+    console.error(`❌ handleQueuedTelemetry [${family.key}] Error:`, err.message);
+  }
+}
+
+module.exports = { handleQueuedTelemetry };
@@ -0,0 +1,51 @@
+// routes/telemetry/queue_worker/alertNotifyWorker.js
+const { Worker } = require('bullmq');
+const path = require('path');
+const dotenv = require('dotenv');
+let envFile;
+
+if (process.env.NODE_ENV === 'development') {
+  envFile = '.env.development';
+} else {
+  envFile = '.env';   // default for production or if NODE_ENV not set
+}
+
+dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
+const { deliverNotification } = require('../../../utils/alertNotifier');
+
+function startAlertNotifyWorker() {
+  const connection = {
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: parseInt(process.env.REDIS_PORT || '6379', 10),
+    password: process.env.REDIS_PASSWORD || undefined,
+  };
+
+  const worker = new Worker(
+    'alert-notify',
+    async (job) => {
+      if (job.name !== 'deliver') return;
+
+      const { deliveryId } = job.data || {};
+      if (!deliveryId) return;
+
+      // attempts/backoff come from the queue's defaultJobOptions
+      const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      await deliverNotification(deliveryId, { finalAttempt });
+    },
+    {
+      connection,
+      concurrency: parseInt(process.env.ALERT_NOTIFY_CONCURRENCY || '4', 10),
+    }
+  );
+
+  worker.on('completed', (job) => console.log(`📨 Alert delivery ${job.id} sent`));
+  worker.on('failed', (job, err) => {
+    const left = (job?.opts?.attempts || 1) - (job?.attemptsMade || 0);
+    console.error(`❌ Alert delivery ${job?.id} failed (${left > 0 ? `${left} retries left` : 'giving up'}):`, err?.message);
+  });
+  worker.on('error', (err) => console.error('🚨 Alert notify worker error:', err?.message));
+
+  return worker;
+}
+
+module.exports = { startAlertNotifyWorker };
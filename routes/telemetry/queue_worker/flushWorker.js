@@ -12,16 +12,7 @@ if (process.env.NODE_ENV === 'development') {
 
 dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
 const { flushTelemetryToMongo } = require('../../../utils/flushTelemetryToMongo');
-const EnvTelemetry = require('../../../model/telemetry/envModel');
-const GasSoloTelemetry = require('../../../model/telemetry/gasSoloModel');
-
-const MODEL_MAP = {
-  'env': EnvTelemetry,
-  'environment': EnvTelemetry,
-  'crowdsense-env': EnvTelemetry,
-  'gas-solo': GasSoloTelemetry,
-  'gassolo': GasSoloTelemetry,
-};
+const { getMongoModel } = require('../../../utils/modelRegistry');
 
 function startFlushWorker() {
   const connection = process.env.REDIS_URL
@@ -42,7 +33,7 @@ function startFlushWorker() {
       const { auid, model } = job.data || {};
       if (!auid) return;
 
-      const mongoModel = MODEL_MAP[(model || '').toLowerCase()];
+      const mongoModel = getMongoModel(model);
       if (!mongoModel) return;
 
       await flushTelemetryToMongo(String(auid), mongoModel);
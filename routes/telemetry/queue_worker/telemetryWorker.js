@@ -2,9 +2,8 @@
 const { Worker } = require('bullmq');
 const dotenv = require('dotenv');
 const path = require('path');
-const { handleEnvQueuedTelemetry } = require("../handlers/handleEnvQueuedTelemetry");
-const { handleGasSoloQueuedTelemetry } = require("../handlers/handleSoloGasQueuedTelemetry");
-const  {handleAquaQueuedTelemetry} = require("../handlers/handleAquaQueuedTelemetry")
+const { handleQueuedTelemetry } = require("../handlers/handleQueuedTelemetry");
+const { resolveTelemetryFamily, loadSensorModelFamily } = require("../../../utils/modelRegistry");
 function startTelemetryWorker() {
  let envFile;
 
@@ -34,30 +33,14 @@ dotenv.config({ path: path.resolve(__dirname, `../../${envFile}`) });
       // (Optional) light validation; skip if clearly not a datapoint
       if (!body.devid) return;
 
-      const devmod = (body.devmod || '').toUpperCase();
-      const devid = body.devid;
-     
-      if (devid == '2af0' || devid == '2af1' || devid == '2af2' ) {
-        console.log('🌿 Processing Afriset ENV telemetry');
-        await handleEnvQueuedTelemetry(data);
-        return;
-      }
-
-      if (devmod === 'ENV') {
-        console.log('🌿 Processing ENV telemetry');
-        await handleEnvQueuedTelemetry(data);
-        return;
-      }
-
-      if (devmod === 'GAS-SOLO') {
-        console.log('🧪 Processing GAS-SOLO telemetry');
-       await handleGasSoloQueuedTelemetry(data);
-        return;
-      }
+      // Device families (devmod aliases, special devids) live in utils/modelRegistry;
+      // unknown devmods fall back to a sensor_models document with a datapoint schema
+      const family = resolveTelemetryFamily({ devid: body.devid, devmod: body.devmod })
+        || await loadSensorModelFamily(body.devmod);
 
-      if (devmod === 'AQUA') {
-        console.log('🧪 Processing GAS-SOLO telemetry');
-       await handleAquaQueuedTelemetry(data);
+      if (family) {
+        console.log(`${family.icon} Processing ${family.key.toUpperCase()} telemetry`);
+        await handleQueuedTelemetry(family, data);
         return;
       }
 
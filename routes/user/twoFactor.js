@@ -0,0 +1,516 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../../model/user/userModel');
+const authenticateToken = require('../../middleware/bearermiddleware');
+const authorizeRoles = require('../../middleware/rbacMiddleware');
+const { otpLimiter, twoFactorLimiter } = require('../../middleware/rateLimiter');
+const { recordAudit } = require('../../utils/audit');
+const { startLogin, revokeUserSessions } = require('../../utils/session');
+const {
+    INVALID_LOGIN_MESSAGE,
+    isLocked,
+    checkPassword,
+    registerFailedLogin,
+    registerSuccessfulLogin,
+} = require('../../utils/loginSecurity');
+const {
+    encryptSecret,
+    decryptSecret,
+    generateTotpSecret,
+    matchTotp,
+    useTotpCode,
+    otpauthUrl,
+    qrCodeDataUrl,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    verifyChallengeToken,
+    recordChallengeFailure,
+    isChallengeClosed,
+    spendChallenge,
+    organizationsRequiringTwoFactor,
+} = require('../../utils/twoFactor');
+
+/**
+ * Bearer token, or — for users an organization forces to enrol before they can log in —
+ * the `challengeToken` (purpose 'setup') returned by /login.
+ */
+async function authenticateTokenOrSetupChallenge(req, res, next) {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) return authenticateToken(req, res, next);
+
+    const challenge = verifyChallengeToken(challengeToken, 'setup');
+    try {
+        if (!challenge || await isChallengeClosed(challenge.jti)) {
+            return res.status(401).send({ message: 'Invalid or expired challenge token. Please log in again.' });
+        }
+    } catch (error) {
+        return res.status(error.status || 500).send({ message: error.message });
+    }
+
+    req.user = { userid: challenge.userid };
+    req.setupChallenge = challenge;
+    next();
+}
+
+/** Check a TOTP code or recovery code for an enabled user. */
+const verifySecondFactor = (userid, { code, recoveryCode }) =>
+    (code ? useTotpCode(userid, code) : consumeRecoveryCode(userid, recoveryCode));
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: My two-factor authentication status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled, recovery codes left, and organizations that require it
+ */
+router.get('/status', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findOne({ userid: req.user.userid }).select('+twoFactor.recoveryCodes').lean();
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        const requiredBy = await organizationsRequiringTwoFactor(user.userid);
+        res.status(200).send({
+            enabled: Boolean(user.twoFactor?.enabled),
+            enabledAt: user.twoFactor?.enabledAt,
+            recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+            requiredBy: requiredBy.map(o => ({ organizationId: o.organizationId, name: o.name })),
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Start TOTP enrolment
+ *     description: >
+ *       Generates a new secret and returns it with an `otpauth://` URI and a QR code (PNG data URL)
+ *       to scan with an authenticator app. Nothing is enforced until the first code is confirmed at
+ *       /api/auth/2fa/enable. Call with a bearer token, or with the `challengeToken` from /login when
+ *       an organization requires 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: secret, otpauthUrl and qrCode
+ *       401:
+ *         description: Not authenticated or challenge expired
+ *       409:
+ *         description: 2FA is already enabled
+ *       503:
+ *         description: challengeToken given but the challenge store is unavailable
+ */
+router.post('/setup', authenticateTokenOrSetupChallenge, async (req, res) => {
+    try {
+        const user = await User.findOne({ userid: req.user.userid });
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        if (user.twoFactor?.enabled) {
+            return res.status(409).send({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateTotpSecret();
+        const url = otpauthUrl(user.email, secret);
+
+        user.twoFactor.pendingSecret = encryptSecret(secret);
+        await user.save();
+
+        res.status(200).send({
+            secret,
+            otpauthUrl: url,
+            qrCode: await qrCodeDataUrl(url),
+            message: 'Scan the QR code with your authenticator app, then confirm a code at /api/auth/2fa/enable',
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Confirm enrolment and turn on 2FA
+ *     description: >
+ *       Confirms the secret from /setup with a current code and returns ten single-use recovery
+ *       codes (shown only once). Other sessions are logged out. When called with a setup
+ *       `challengeToken`, the login completes and tokens are returned as well.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; recoveryCodes returned once
+ *       400:
+ *         description: Missing or invalid code, or setup not started
+ *       409:
+ *         description: 2FA is already enabled
+ *       503:
+ *         description: challengeToken given but the challenge store is unavailable
+ */
+router.post('/enable', otpLimiter, authenticateTokenOrSetupChallenge, async (req, res) => {
+    const { code, deviceName } = req.body;
+    if (!code) {
+        return res.status(400).send({ message: 'code is required' });
+    }
+
+    try {
+        const user = await User.findOne({ userid: req.user.userid }).select('+twoFactor.pendingSecret');
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        if (user.twoFactor?.enabled) {
+            return res.status(409).send({ message: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).send({ message: 'Start setup at /api/auth/2fa/setup first' });
+        }
+
+        const step = matchTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+        if (step === null) {
+            if (req.setupChallenge) await recordChallengeFailure(req.setupChallenge.jti);
+            return res.status(400).send({ message: 'Invalid code' });
+        }
+        if (req.setupChallenge && !(await spendChallenge(req.setupChallenge.jti))) {
+            return res.status(401).send({ message: 'Invalid or expired challenge token. Please log in again.' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabledAt = new Date();
+        await user.save();
+
+        await revokeUserSessions(user.userid, 'two_factor_enabled', user.userid, req.user.sid);
+        await recordAudit(req, 'two_factor.enabled', { targetUserid: user.userid });
+        console.log(`🔐 Two-factor authentication enabled for ${user.userid}`);
+
+        const body = {
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes: codes,
+        };
+        if (req.setupChallenge) {
+            await registerSuccessfulLogin(user, req);
+            Object.assign(body, await startLogin(user, req, deviceName));
+        }
+        res.status(200).send(body);
+    } catch (error) {
+        if (error.status === 503) return res.status(503).send({ message: error.message });
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Second login step
+ *     description: >
+ *       Finishes a login that returned `twoFactorRequired`. Send the `challengeToken` with either a
+ *       current authenticator `code` or one unused `recoveryCode`. A challenge allows five wrong codes
+ *       and expires after a few minutes. Wrong codes also count towards the account lockout shared
+ *       with wrong passwords.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a1-0c2d7"
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Same body as a successful /login (access token, refresh token, session)
+ *       400:
+ *         description: Missing fields
+ *       401:
+ *         description: Invalid code, expired / used-up challenge, or account locked
+ *       429:
+ *         description: Too many attempts from this IP
+ *       503:
+ *         description: Challenge store unavailable; try again shortly
+ */
+router.post('/verify', twoFactorLimiter, async (req, res) => {
+    const { challengeToken, code, recoveryCode, deviceName } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).send({ message: 'Please provide challengeToken and a code or recoveryCode' });
+    }
+
+    try {
+        const challenge = verifyChallengeToken(challengeToken, 'login');
+        if (!challenge || await isChallengeClosed(challenge.jti)) {
+            return res.status(401).send({ message: 'Invalid or expired challenge token. Please log in again.' });
+        }
+
+        const user = await User.findOne({ userid: challenge.userid });
+        if (!user || !user.twoFactor?.enabled || isLocked(user)) {
+            return res.status(401).send({ message: 'Invalid or expired challenge token. Please log in again.' });
+        }
+
+        if (!(await verifySecondFactor(user.userid, { code, recoveryCode }))) {
+            const { locked } = await registerFailedLogin(user, req, 'two_factor_failed');
+            const exhausted = await recordChallengeFailure(challenge.jti);
+            return res.status(401).send({
+                message: locked || exhausted ? 'Too many invalid codes. Please log in again.' : 'Invalid code',
+            });
+        }
+        if (!(await spendChallenge(challenge.jti))) {
+            return res.status(401).send({ message: 'Invalid or expired challenge token. Please log in again.' });
+        }
+
+        await registerSuccessfulLogin(user, req);
+        const body = await startLogin(user, req, deviceName);
+        if (!code) {
+            const remaining = await User.findOne({ userid: user.userid }).select('+twoFactor.recoveryCodes').lean();
+            body.recoveryCodesRemaining = remaining.twoFactor.recoveryCodes.length;
+            console.warn(`⚠️ ${user.userid} logged in with a recovery code (${body.recoveryCodesRemaining} left)`);
+        }
+        res.status(200).send(body);
+    } catch (error) {
+        if (error.status === 503) return res.status(503).send({ message: error.message });
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Replace my recovery codes
+ *     description: Requires a current authenticator code. All previous recovery codes stop working.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recoveryCodes, shown once
+ *       400:
+ *         description: 2FA not enabled or code missing
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', otpLimiter, authenticateToken, async (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+        return res.status(400).send({ message: 'code is required' });
+    }
+
+    try {
+        const user = await User.findOne({ userid: req.user.userid }).select('userid twoFactor.enabled').lean();
+        if (!user?.twoFactor?.enabled) {
+            return res.status(400).send({ message: 'Two-factor authentication is not enabled' });
+        }
+        if (!(await useTotpCode(user.userid, code))) {
+            return res.status(401).send({ message: 'Invalid code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ userid: user.userid }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+        res.status(200).send({
+            message: 'Recovery codes replaced. Store them somewhere safe; they will not be shown again.',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Turn off 2FA
+ *     description: >
+ *       Requires the account password and a current code or recovery code. Refused while an
+ *       organization the user belongs to requires 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Missing fields or 2FA not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Required by an organization
+ */
+router.post('/disable', otpLimiter, authenticateToken, async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+        return res.status(400).send({ message: 'Please provide password and a code or recoveryCode' });
+    }
+
+    try {
+        const user = await User.findOne({ userid: req.user.userid });
+        if (!user?.twoFactor?.enabled) {
+            return res.status(400).send({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        const requiredBy = await organizationsRequiringTwoFactor(user.userid);
+        if (requiredBy.length > 0) {
+            return res.status(403).send({
+                message: 'Two-factor authentication is required by your organization and cannot be turned off',
+                requiredBy: requiredBy.map(o => ({ organizationId: o.organizationId, name: o.name })),
+            });
+        }
+
+        if (!(await checkPassword(user, password))) {
+            return res.status(401).send({ message: INVALID_LOGIN_MESSAGE });
+        }
+        if (!(await verifySecondFactor(user.userid, { code, recoveryCode }))) {
+            return res.status(401).send({ message: 'Invalid code' });
+        }
+
+        await User.updateOne(
+            { userid: user.userid },
+            { $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [] }, $unset: { 'twoFactor.secret': '', 'twoFactor.enabledAt': '' } }
+        );
+        await recordAudit(req, 'two_factor.disabled', { targetUserid: user.userid });
+        console.log(`🔓 Two-factor authentication disabled for ${user.userid}`);
+
+        res.status(200).send({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/reset/{userid}:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Reset a user's 2FA (admin)
+ *     description: >
+ *       For users who lost both their authenticator and recovery codes. Turns 2FA off and logs the
+ *       user out everywhere; if an organization requires 2FA they must enrol again at next login. Audited.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ */
+router.post('/reset/:userid', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    const { userid } = req.params;
+
+    try {
+        const result = await User.updateOne(
+            { userid },
+            {
+                $set: { 'twoFactor.enabled': false, 'twoFactor.recoveryCodes': [], 'twoFactor.lastUsedStep': 0 },
+                $unset: { 'twoFactor.secret': '', 'twoFactor.pendingSecret': '', 'twoFactor.enabledAt': '' }
+            }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        const revoked = await revokeUserSessions(userid, 'two_factor_reset', req.user.userid);
+        await recordAudit(req, 'two_factor.reset', { targetUserid: userid, reason: req.body?.reason, metadata: { revoked } });
+        console.log(`🔓 ${req.user.userid} reset two-factor authentication for ${userid}`);
+
+        res.status(200).send({ message: 'Two-factor authentication reset', revoked });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -3,12 +3,11 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const nanoid = require('nanoid')
 const User = require('../../model/user/userModel');
-const jwt = require('jsonwebtoken');
 const authenticateToken = require('../../middleware/bearermiddleware');
 const Invitation = require('../../model/invitation/invitationModel');
+const { joinOrganization, pendingInvitationFilter } = require('../../utils/organization');
 const rateLimit = require('express-rate-limit');
 // const { sendEmail } = require('../../mail-service/nodemailer');
-const { sendSMS } = require('../../config/sms/sms');
 const { sendEmail } = require('../../config/mail/nodemailer');
 
 const { upload, containerClient, generateSignedUrl } = require('../../config/storage/storage');
@@ -16,14 +15,46 @@ const { otpLimiter } = require('../../middleware/rateLimiter');
 const { generateUserId } = require('../../utils/idGenerator');
 const authorizeRoles = require('../../middleware/rbacMiddleware');
 const verifyApiKey = require('../../middleware/apiKeymiddleware');
+const { authorizeSelf } = require('../../middleware/authorizeMiddleware');
+const AuditLog = require('../../model/audit/auditLogModel');
+const Session = require('../../model/user/sessionModel');
+const LoginEvent = require('../../model/user/loginEventModel');
+const { recordAudit } = require('../../utils/audit');
+const {
+    startLogin,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    sessionIdFromRefreshToken,
+} = require('../../utils/session');
+const {
+    CHALLENGE_TTL_SEC,
+    signChallengeToken,
+    organizationsRequiringTwoFactor,
+} = require('../../utils/twoFactor');
+const {
+    INVALID_LOGIN_MESSAGE,
+    isLocked,
+    checkPassword,
+    recordLoginEvent,
+    registerFailedLogin,
+    clearFailedLogins,
+    registerSuccessfulLogin,
+} = require('../../utils/loginSecurity');
+const { OTP_CHANNELS, issueOtp, verifyOtp } = require('../../utils/otp');
+const { isSupportedPhoneCountry, normalizePhone, defaultPhoneCountryFor } = require('../../utils/phone');
+
+// Profile fields a user may edit on their own account (country only qualifies a new contact)
+const EDITABLE_PROFILE_FIELDS = ['username', 'email', 'contact', 'country', 'firstName', 'lastName'];
 
-function normalizeContact(contact) {
-    if (!contact) return contact;
-    contact = contact.trim();
-    if (contact.startsWith('0')) {
-        return '233' + contact.slice(1);
-    }
-    return contact.replace(/^\+/, '');
+/**
+ * Parse a contact number into E.164. National numbers use `country` (ISO alpha-2) when given,
+ * else the default of the user's organizations, else DEFAULT_PHONE_COUNTRY.
+ * @returns {Promise<{ e164: string, country: string }|{ error: string }>}
+ */
+async function resolveContact(contact, { country, organizationIds } = {}) {
+    const defaultCountry = isSupportedPhoneCountry(country) ? country : await defaultPhoneCountryFor(organizationIds);
+    return normalizePhone(contact, defaultCountry);
 }
 
 /**
@@ -33,7 +64,10 @@ function normalizeContact(contact) {
  *     tags:
  *       - Authentication
  *     summary: Register a new user
- *     description: Allows a new user to sign up, upload profile picture, and sends OTP to phone number for verification.
+ *     description: >
+ *       Allows a new user to sign up and upload a profile picture, and sends an OTP for verification
+ *       by SMS or email (`otpChannel`; defaults to SMS when a contact is given, otherwise email).
+ *       The chosen channel becomes the user's OTP preference.
  *     consumes:
  *       - multipart/form-data
  *     requestBody:
@@ -46,7 +80,6 @@ function normalizeContact(contact) {
  *               - username
  *               - email
  *               - password
- *               - contact
  *             properties:
  *               username:
  *                 type: string
@@ -56,12 +89,20 @@ function normalizeContact(contact) {
  *                 type: string
  *               contact:
  *                 type: string
+ *                 description: Phone number, international (+233…) or national for `country`; stored in E.164
+ *               country:
+ *                 type: string
+ *                 description: ISO country code for a national number (defaults to the inviting organization's or the platform default)
+ *                 example: GH
  *               firstName:
  *                 type: string
  *               lastName:
  *                 type: string
  *               invitationId:
  *                 type: string
+ *               otpChannel:
+ *                 type: string
+ *                 enum: [sms, email]
  *               profilePicture:
  *                 type: string
  *                 format: binary
@@ -75,14 +116,19 @@ function normalizeContact(contact) {
  */
 
 router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req, res) => {
-    let { username, email, password, invitationId, contact, firstName, lastName } = req.body;
+    let { username, email, password, invitationId, contact, country, firstName, lastName, otpChannel } = req.body;
 
     if (!username || !email || !password) {
         return res.status(400).send({ message: 'Please provide username, email, and password' });
     }
+    if (otpChannel && !OTP_CHANNELS.includes(otpChannel)) {
+        return res.status(400).send({ message: `otpChannel must be one of ${OTP_CHANNELS.join(', ')}` });
+    }
+    if (otpChannel === 'sms' && !contact) {
+        return res.status(400).send({ message: 'A contact number is required to receive the OTP by SMS' });
+    }
 
     email = email.trim().replace(/\s+/g, '');
-    contact = normalizeContact(contact);
 
     try {
         const existingEmailUser = await User.findOne({ email });
@@ -90,32 +136,44 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
             return res.status(400).send({ message: 'User with this email already exists' });
         }
 
-        const existingContactUser = await User.findOne({ contact });
-        if (existingContactUser) {
-            return res.status(400).send({ message: 'User with this contact number already exists' });
-        }
-
         let invitation;
-        let role = 'user';
+        const role = 'user';
         let devices = [];
 
         if (invitationId) {
             invitation = await Invitation.findOne({
                 invitationId,
                 email,
-                accepted: false,
-                expiresAt: { $gt: new Date() }
+                ...pendingInvitationFilter()
             });
             if (!invitation) {
                 return res.status(400).send({ message: 'Invalid or expired invitation' });
             }
-            role = 'supervisor';
+            // anyone can create an organization and invite, so an invitation grants organization access (accessLevel), never a platform role
             if (invitation.deviceId) {
-                devices.push({ deviceId: invitsation.deviceId, accessType: 'invited' });
+                devices.push({ deviceId: invitation.deviceId, accessType: 'invited' });
+            }
+        }
+
+        // Numbers are stored in E.164 and compared in that form
+        let contactCountry;
+        if (contact) {
+            const phone = await resolveContact(contact, {
+                country,
+                organizationIds: invitation?.organizationId ? [invitation.organizationId] : []
+            });
+            if (phone.error) {
+                return res.status(400).send({ message: phone.error });
+            }
+            contact = phone.e164;
+            contactCountry = phone.country;
+
+            const existingContactUser = await User.findOne({ contact });
+            if (existingContactUser) {
+                return res.status(400).send({ message: 'User with this contact number already exists' });
             }
         }
 
-        const otpCode = Math.floor(100000 + Math.random() * 900000);
         const hashedPassword = await bcrypt.hash(password, 10);
         const userid = generateUserId();
 
@@ -135,40 +193,34 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
             email,
             password: hashedPassword,
             contact,
+            contactCountry,
             firstName,
             lastName,
             role,
             devices,
             profilePicture: profilePictureUrl,
-            otp: otpCode,
-            otpExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
-            lastOtpSentAt: new Date(),
+            otpChannel: otpChannel || (contact ? 'sms' : 'email'),
         });
 
         await newUser.save();
 
         if (invitation) {
             invitation.accepted = true;
+            invitation.acceptedAt = new Date();
             await invitation.save();
 
-            const organization = await Organization.findOne({ organizationId: invitation.organizationId });
-            if (organization) {
-                organization.collaborators.push({
-                    userId: userid,
-                    accessLevel: invitation.accessLevel || 'MODERATOR',
-                    permissions: []
-                });
-                await organization.save();
-
-                newUser.organization.push(organization.organizationId);
-                newUser.deployments = [...new Set([...newUser.deployments, ...organization.deployments])];
-                await newUser.save();
-            }
+            await joinOrganization(invitation.organizationId, userid, invitation.accessLevel || 'MODERATOR');
         }
 
-        await sendSMS(contact, `Your CraftedClimate OTP is ${otpCode}. It expires in 15 minutes.`);
+        const sent = await issueOtp(newUser, 'verify', otpChannel, { skipCooldown: true });
 
-        res.status(201).send({ message: 'User registered successfully', userid, verified: newUser.verified });
+        res.status(201).send({
+            message: 'User registered successfully',
+            userid,
+            verified: newUser.verified,
+            otpChannel: sent.channel,
+            otpSentTo: sent.destination,
+        });
     } catch (error) {
         console.log(error);
         res.status(500).send({ message: 'Internal server error', error: error.message });
@@ -182,7 +234,12 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
  *     tags:
  *       - Authentication
  *     summary: Log in a user
- *     description: Authenticates a user by their email and password.
+ *     description: >
+ *       Authenticates a user by their email and password. When the user has two-factor
+ *       authentication enabled, no tokens are issued yet: the response carries
+ *       `twoFactorRequired` and a short-lived `challengeToken` to finish at /api/auth/2fa/verify.
+ *       When an organization the user belongs to requires 2FA and it is not enabled, the response
+ *       carries `twoFactorSetupRequired` and a `challengeToken` for /api/auth/2fa/setup and /api/auth/2fa/enable.
  *     consumes:
  *       - application/json
  *     requestBody:
@@ -203,6 +260,10 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
  *                 type: string
  *                 description: The user's password.
  *                 example: "password123"
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label for this session (shown in the sessions list).
+ *                 example: "Chrome on MacBook"
  *     responses:
  *       '200':
  *         description: Authentication successful.
@@ -216,10 +277,22 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
  *                   description: JWT access token for authenticated sessions.
  *                 refreshToken:
  *                   type: string
- *                   description: JWT refresh token to obtain new access tokens.
+ *                   description: Single-use refresh token; exchange it at /api/auth/refresh for a new pair.
+ *                 sessionId:
+ *                   type: string
+ *                   description: Session this login started.
  *                 userid:
  *                   type: string
  *                   description: Unique identifier for the user.
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: A TOTP or recovery code is needed; send it with `challengeToken` to /api/auth/2fa/verify.
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: An organization requires 2FA; enrol with `challengeToken` before logging in.
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived token for the second login step.
  *       '400':
  *         description: Bad request due to missing email or password.
  *         content:
@@ -231,7 +304,11 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
  *                   type: string
  *                   description: Error message detailing the missing fields.
  *       '401':
- *         description: Unauthorized due to invalid login credentials or unverified email.
+ *         description: >
+ *           Invalid credentials. Unknown email, wrong password and a temporarily locked account all return
+ *           the same message. After repeated wrong passwords the account is locked for a period that doubles
+ *           with each consecutive lockout, and the owner is emailed. Unverified accounts are reported only
+ *           once the password is correct.
  *         content:
  *           application/json:
  *             schema:
@@ -239,7 +316,7 @@ router.post('/signup', otpLimiter, upload.single('profilePicture'), async (req,
  *               properties:
  *                 message:
  *                   type: string
- *                   description: Error message indicating incorrect email, password, or unverified email.
+ *                   description: Error message indicating invalid credentials or unverified email.
  *       '500':
  *         description: Internal server error.
  *         content:
@@ -261,48 +338,412 @@ router.post('/login', async (req, res) => {
             return res.status(400).send({ message: 'Please provide email and password' });
         }
 
+        // Unknown email, wrong password and locked account all get the same answer
         const user = await User.findOne({ email });
+        const validPassword = await checkPassword(user, password);
         if (!user) {
-            return res.status(401).send({ message: 'User not found' });
+            return res.status(401).send({ message: INVALID_LOGIN_MESSAGE });
+        }
+        if (isLocked(user)) {
+            await recordLoginEvent(user, req, 'locked');
+            return res.status(401).send({ message: INVALID_LOGIN_MESSAGE });
+        }
+        if (!validPassword) {
+            await registerFailedLogin(user, req);
+            return res.status(401).send({ message: INVALID_LOGIN_MESSAGE });
         }
 
         if (!user.verified) {
+            await recordLoginEvent(user, req, 'unverified');
             return res.status(401).send({
                 message: 'Account not verified. Please check your inbox for OTP to verify your account.',
             });
         }
 
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.status(401).send({ message: 'Invalid Password' });
+        // failed attempts are only cleared once the login completes (after 2FA, if any)
+        if (user.twoFactor?.enabled) {
+            await recordLoginEvent(user, req, 'two_factor_challenge');
+            return res.status(200).send({
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user, 'login'),
+                expiresIn: CHALLENGE_TTL_SEC,
+                userid: user.userid,
+            });
+        }
+
+        const requiredBy = await organizationsRequiringTwoFactor(user.userid);
+        if (requiredBy.length > 0) {
+            await recordLoginEvent(user, req, 'two_factor_challenge');
+            return res.status(200).send({
+                twoFactorSetupRequired: true,
+                challengeToken: signChallengeToken(user, 'setup'),
+                expiresIn: CHALLENGE_TTL_SEC,
+                requiredBy: requiredBy.map(o => ({ organizationId: o.organizationId, name: o.name })),
+                userid: user.userid,
+            });
         }
 
-        const payload = {
-            userId: user._id,
-            role: user.role,
-            userid: user.userid,
-            email: user.email,
-            username: user.username,
-        };
+        await registerSuccessfulLogin(user, req);
+        res.status(200).send(await startLogin(user, req, req.body.deviceName));
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single use: each call returns a new refresh token and the one sent is spent.
+ *       Sending a spent refresh token again is treated as theft and revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).send({ message: 'refreshToken is required' });
+    }
+
+    try {
+        const result = await rotateSession(refreshToken, req);
+        if (result.status) {
+            return res.status(result.status).send({ message: result.message });
+        }
+        res.status(200).send(result);
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Log out (end the session behind a refresh token)
+ *     description: Revokes the session; its refresh token and any outstanding access tokens stop working.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Missing or invalid refresh token
+ */
+router.post('/logout', async (req, res) => {
+    const sessionId = sessionIdFromRefreshToken(req.body.refreshToken);
+    if (!sessionId) {
+        return res.status(400).send({ message: 'A valid refreshToken is required' });
+    }
+
+    try {
+        await revokeSession(sessionId, 'logout');
+        res.status(200).send({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
 
-        const accessToken = jwt.sign(payload, process.env.ACCESS_TOKEN_SECRET, {
-            expiresIn: '60m',
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: List my active sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first; `current` marks the caller's session.
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userid: req.user.userid,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('sessionId deviceName ip userAgent createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.status(200).send({
+            count: sessions.length,
+            sessions: sessions.map(({ _id, ...s }) => ({ ...s, current: s.sessionId === req.user.sid }))
         });
-        const refreshToken = jwt.sign(payload, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
 
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Revoke one of my sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: No active session with that id
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            sessionId: req.params.sessionId,
+            userid: req.user.userid,
+            revokedAt: null
+        }).lean();
+        if (!session) {
+            return res.status(404).send({ message: 'Session not found' });
+        }
+
+        await revokeSession(session.sessionId, 'user', req.user.userid);
+        res.status(200).send({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Revoke all my sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema: { type: boolean, default: false }
+ *         description: Keep the session making this request ("log out everywhere else").
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    const keepCurrent = String(req.query.keepCurrent) === 'true';
+
+    try {
+        const revoked = await revokeUserSessions(
+            req.user.userid,
+            'user',
+            req.user.userid,
+            keepCurrent ? req.user.sid : undefined
+        );
+        res.status(200).send({ message: 'Sessions revoked', revoked });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/force-logout/{userid}:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Force-logout a user (admin only)
+ *     description: Revokes every session of the user. The action is written to the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ */
+router.post('/force-logout/:userid', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    const { userid } = req.params;
+
+    try {
+        const user = await User.findOne({ userid }).select('userid').lean();
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        const revoked = await revokeUserSessions(userid, 'admin', req.user.userid);
+        await recordAudit(req, 'session.force_logout', {
+            targetUserid: userid,
+            reason: req.body?.reason,
+            metadata: { revoked }
+        });
+        console.log(`🔒 ${req.user.userid} force-logged-out ${userid} (${revoked} sessions)`);
+
+        res.status(200).send({ message: 'User logged out of all sessions', revoked });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Login history
+ *     description: >
+ *       Recent login attempts on my account (time, IP, user agent, outcome, whether the IP was new).
+ *       Admins can pass `userid` to see another user's history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userid
+ *         schema: { type: string }
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid_credentials, locked, unverified, two_factor_challenge, two_factor_failed]
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Entries, newest first, with the account's current lockout state
+ *       403:
+ *         description: Only admins can read another user's history
+ */
+router.get('/login-history', authenticateToken, async (req, res) => {
+    const userid = req.query.userid ? String(req.query.userid) : req.user.userid;
+    if (userid !== req.user.userid && req.user.role !== 'admin') {
+        return res.status(403).send({ message: 'Only admins can view another user\'s login history' });
+    }
+
+    const filter = { userid };
+    if (req.query.outcome) filter.outcome = String(req.query.outcome);
+
+    let limit = parseInt(req.query.limit, 10);
+    if (!Number.isFinite(limit) || limit <= 0) limit = 50;
+    if (limit > 200) limit = 200;
+
+    try {
+        const user = await User.findOne({ userid }).select('userid loginSecurity').lean();
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        const entries = await LoginEvent.find(filter).sort({ at: -1 }).limit(limit).lean();
         res.status(200).send({
-            accessToken,
-            refreshToken,
-            userid: user.userid,
-            email: user.email,
-            username: user.username,
-            role: user.role,
+            userid,
+            locked: isLocked(user),
+            lockedUntil: isLocked(user) ? user.loginSecurity.lockedUntil : null,
+            failedAttempts: user.loginSecurity?.failedAttempts || 0,
+            count: entries.length,
+            entries,
         });
     } catch (error) {
         res.status(500).send({ message: 'Internal server error', error: error.message });
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/unlock/{userid}:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Lift a login lockout (admin)
+ *     description: Clears failed attempts and any lockout on the account. Audited.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: User not found
+ */
+router.post('/unlock/:userid', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    const { userid } = req.params;
+
+    try {
+        const result = await clearFailedLogins(userid);
+        if (result.matchedCount === 0) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        await recordAudit(req, 'login.unlock', { targetUserid: userid, reason: req.body?.reason });
+        console.log(`🔓 ${req.user.userid} unlocked ${userid}`);
+
+        res.status(200).send({ message: 'Account unlocked' });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
 /**
  * @swagger
  * /api/auth/verify-otp-signup:
@@ -392,20 +833,14 @@ router.post('/verify-otp-signup', async (req, res) => {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        // Check if the OTP matches and is not expired
-        const otpNumber = parseInt(otp, 10);
-        if (user.otp !== otpNumber) {
-            return res.status(400).send({ message: 'Invalid OTP' });
-        }
-
-        if (new Date() > user.otpExpiresAt) {
-            return res.status(400).send({ message: 'Expired OTP' });
+        // Check the OTP (hashed, limited attempts); a match spends it
+        const result = await verifyOtp(user.userid, 'verify', otp);
+        if (!result.ok) {
+            return res.status(400).send({ message: result.message, attemptsRemaining: result.attemptsRemaining });
         }
 
-        // Update user's verified status and clear the OTP fields
+        // Update user's verified status
         user.verified = true;
-        user.otp = undefined;
-        user.otpExpiresAt = undefined;
         await user.save();
 
         // Send email notification
@@ -587,7 +1022,7 @@ router.get('/user-info', async (req, res) => {
         }
 
         // If neither email nor userId is provided, this will fetch all users
-        const users = await User.find(query).select('-password -otp');
+        const users = await User.find(query).select('-password');
 
         if (users.length === 0) {
             return res.status(404).send({ message: 'User not found' });
@@ -608,7 +1043,12 @@ router.get('/user-info', async (req, res) => {
  *     tags:
  *       - Users
  *     summary: Update a user's information
- *     description: Updates the specified user's details including profile picture.
+ *     description: >
+ *       Updates your own profile, including the profile picture (admins act for another user via
+ *       X-Act-As). Only username, email, contact (with an optional country), firstName, lastName
+ *       and profilePicture can be changed; any other field is rejected.
+ *     security:
+ *       - bearerAuth: []
  *     consumes:
  *       - multipart/form-data
  *     parameters:
@@ -657,17 +1097,37 @@ router.get('/user-info', async (req, res) => {
  *                   example: "User updated successfully"
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Fields that can't be edited, or an invalid or taken email / contact
+ *       403:
+ *         description: Not your account
  *       404:
  *         description: User not found
  *       500:
  *         description: Internal server error
  */
 
-router.put('/update-user/:userid', upload.single('profilePicture'), async (req, res) => {
+router.put('/update-user/:userid', authenticateToken, authorizeSelf('userid'), upload.single('profilePicture'), async (req, res) => {
     const { userid } = req.params;
-    const updateData = req.body;
+    const body = req.body || {};
+
+    const rejected = Object.keys(body).filter(f => !EDITABLE_PROFILE_FIELDS.includes(f));
+    if (rejected.length > 0) {
+        return res.status(400).send({ message: `These fields can't be edited: ${rejected.join(', ')}`, editable: EDITABLE_PROFILE_FIELDS });
+    }
+    const updateData = Object.fromEntries(EDITABLE_PROFILE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, String(body[f]).trim()]));
 
     try {
+        if (updateData.email !== undefined) {
+            if (!updateData.email) {
+                return res.status(400).send({ message: 'email cannot be empty' });
+            }
+            const taken = await User.findOne({ email: updateData.email, userid: { $ne: userid } }).select('userid').lean();
+            if (taken) {
+                return res.status(400).send({ message: 'User with this email already exists' });
+            }
+        }
+
         // If new profile image is uploaded
         if (req.file) {
             const fileName = `profile-${Date.now()}-${req.file.originalname}`;
@@ -681,9 +1141,37 @@ router.put('/update-user/:userid', upload.single('profilePicture'), async (req,
             updateData.profilePicture = profileUrl;
         }
 
+        // A changed contact is stored in E.164 and must not belong to anyone else
+        if (updateData.contact !== undefined) {
+            if (!updateData.contact) {
+                updateData.contact = '';
+            } else {
+                const existing = await User.findOne({ userid }).select('organization').lean();
+                if (!existing) {
+                    return res.status(404).send({ message: 'User not found' });
+                }
+
+                const phone = await resolveContact(updateData.contact, {
+                    country: updateData.country,
+                    organizationIds: existing.organization
+                });
+                if (phone.error) {
+                    return res.status(400).send({ message: phone.error });
+                }
+
+                const taken = await User.findOne({ contact: phone.e164, userid: { $ne: userid } }).select('userid').lean();
+                if (taken) {
+                    return res.status(400).send({ message: 'User with this contact number already exists' });
+                }
+                updateData.contact = phone.e164;
+                updateData.contactCountry = phone.country;
+            }
+        }
+        delete updateData.country;
+
         const updatedUser = await User.findOneAndUpdate(
             { userid },
-            updateData,
+            { $set: updateData, ...(updateData.contact === '' && { $unset: { contactCountry: '' } }) },
             { new: true }
         ).select('-password');
 
@@ -769,6 +1257,9 @@ router.delete('/delete-user/:userid', authorizeRoles('admin'), async (req, res)
  *     tags:
  *       - Authentication
  *     summary: Resend OTP
+ *     description: >
+ *       Sends a new code for whatever OTP is pending (account verification by default). `channel`
+ *       picks SMS or email for this request; otherwise the channel of the pending OTP or the user's preference is used.
  *     requestBody:
  *       required: true
  *       content:
@@ -776,8 +1267,13 @@ router.delete('/delete-user/:userid', authorizeRoles('admin'), async (req, res)
  *           schema:
  *             type: object
  *             properties:
+ *               email:
+ *                 type: string
  *               contact:
  *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, email]
  *     responses:
  *       200:
  *         description: OTP resent successfully
@@ -789,28 +1285,80 @@ router.delete('/delete-user/:userid', authorizeRoles('admin'), async (req, res)
  *         description: Server error
  */
 router.post('/resend-otp', otpLimiter, async (req, res) => {
-    const { contact } = req.body;
-    if (!contact) return res.status(400).send({ message: 'Contact is required' });
+    const { email, contact, channel } = req.body;
+    if (!email && !contact) return res.status(400).send({ message: 'Email or contact is required' });
+    if (channel && !OTP_CHANNELS.includes(channel)) {
+        return res.status(400).send({ message: `channel must be one of ${OTP_CHANNELS.join(', ')}` });
+    }
 
     try {
-        const normalizedContact = normalizeContact(contact);
-        const user = await User.findOne({ contact: normalizedContact });
+        let query = { email };
+        if (!email) {
+            const phone = await resolveContact(contact, { country: req.body.country });
+            if (phone.error) return res.status(400).send({ message: phone.error });
+            query = { contact: phone.e164 };
+        }
+        const user = await User.findOne(query);
         if (!user) return res.status(404).send({ message: 'User not found' });
 
-        const now = new Date();
-        const lastSent = user.lastOtpSentAt || new Date(0);
-        if (now - lastSent < 3 * 60 * 1000) {
-            return res.status(400).send({ message: 'Please wait 3 minutes before requesting another OTP.' });
+        // resend whatever is pending; otherwise this is for account verification
+        const purpose = user.oneTimePassword?.purpose || 'verify';
+        if (purpose === 'verify' && user.verified) {
+            return res.status(400).send({ message: 'Account is already verified' });
         }
 
-        const otpCode = Math.floor(100000 + Math.random() * 900000);
-        user.otp = otpCode;
-        user.otpExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
-        user.lastOtpSentAt = now;
-        await user.save();
+        const sent = await issueOtp(user, purpose, channel || user.oneTimePassword?.channel);
+        if (sent.status) return res.status(sent.status).send({ message: sent.message });
+
+        res.status(200).send({ message: 'OTP resent successfully', channel: sent.channel, sentTo: sent.destination });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/otp-channel:
+ *   put:
+ *     tags:
+ *       - Authentication
+ *     summary: Set my preferred OTP channel
+ *     description: Where verification and password-reset codes go when a request doesn't pick a channel.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [otpChannel]
+ *             properties:
+ *               otpChannel:
+ *                 type: string
+ *                 enum: [sms, email]
+ *     responses:
+ *       200:
+ *         description: Preference saved
+ *       400:
+ *         description: Invalid channel, or SMS without a contact number
+ */
+router.put('/otp-channel', authenticateToken, async (req, res) => {
+    const { otpChannel } = req.body;
+    if (!OTP_CHANNELS.includes(otpChannel)) {
+        return res.status(400).send({ message: `otpChannel must be one of ${OTP_CHANNELS.join(', ')}` });
+    }
+
+    try {
+        const user = await User.findOne({ userid: req.user.userid }).select('userid contact');
+        if (!user) return res.status(404).send({ message: 'User not found' });
+        if (otpChannel === 'sms' && !user.contact) {
+            return res.status(400).send({ message: 'Add a contact number before choosing SMS' });
+        }
 
-        await sendSMS(user.contact, `Your CraftedClimate OTP is ${otpCode}. It expires in 15 minutes.`);
-        res.status(200).send({ message: 'OTP resent successfully' });
+        user.otpChannel = otpChannel;
+        await user.save();
+        res.status(200).send({ message: 'OTP channel updated', otpChannel });
     } catch (error) {
         res.status(500).send({ message: 'Internal server error', error: error.message });
     }
@@ -920,9 +1468,13 @@ router.post('/resend-otp', otpLimiter, async (req, res) => {
  *                 type: string
  *               contact:
  *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, email]
+ *                 description: Defaults to the user's OTP preference
  *     responses:
  *       200:
- *         description: OTP sent to user's contact
+ *         description: OTP sent by SMS or email
  *       400:
  *         description: Missing contact or email
  *       404:
@@ -931,32 +1483,34 @@ router.post('/resend-otp', otpLimiter, async (req, res) => {
  *         description: Server error
  */
 router.post('/forgot-password', otpLimiter, async (req, res) => {
-    const { email, contact } = req.body;
+    const { email, contact, channel } = req.body;
 
     if (!email && !contact) {
         return res.status(400).send({ message: 'Please provide either email or contact' });
     }
+    if (channel && !OTP_CHANNELS.includes(channel)) {
+        return res.status(400).send({ message: `channel must be one of ${OTP_CHANNELS.join(', ')}` });
+    }
 
     try {
-        const query = email ? { email } : { contact: normalizeContact(contact) };
+        let query = { email };
+        if (!email) {
+            const phone = await resolveContact(contact, { country: req.body.country });
+            if (phone.error) return res.status(400).send({ message: phone.error });
+            query = { contact: phone.e164 };
+        }
         const user = await User.findOne(query);
 
         if (!user) return res.status(404).send({ message: 'User not found' });
 
-        const now = new Date();
-        const lastSent = user.lastOtpSentAt || new Date(0);
-        if (now - lastSent < 3 * 60 * 1000) {
-            return res.status(400).send({ message: 'Please wait 3 minutes before requesting another OTP' });
-        }
-
-        const otpCode = Math.floor(100000 + Math.random() * 900000);
-        user.otp = otpCode;
-        user.otpExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
-        user.lastOtpSentAt = now;
-        await user.save();
+        const sent = await issueOtp(user, 'reset_password', channel);
+        if (sent.status) return res.status(sent.status).send({ message: sent.message });
 
-        await sendSMS(user.contact, `Your CraftedClimate OTP for password reset is ${otpCode}. It expires in 15 minutes.`);
-        res.status(200).send({ message: 'OTP sent to your phone number' });
+        res.status(200).send({
+            message: `OTP sent to your ${sent.channel === 'email' ? 'email address' : 'phone number'}`,
+            channel: sent.channel,
+            sentTo: sent.destination,
+        });
     } catch (error) {
         res.status(500).send({ message: 'Internal server error', error: error.message });
     }
@@ -977,32 +1531,25 @@ router.post('/verify-otp-reset-password', async (req, res) => {
             return res.status(404).send({ message: 'User not found' });
         }
 
-        // Convert the OTP to a number
-        const otpNumber = parseInt(otp, 10);
-
-        // // Log the current state for debugging
-        // console.log(`Stored OTP: ${user.otp}, Type: ${typeof user.otp}`);
-        // console.log(`Received OTP: ${otpNumber}, Type: ${typeof otpNumber}`);
-        // console.log(`Stored OTP Expiration: ${user.otpExpiresAt}, Current Time: ${new Date()}`);
-
-        // Check if the OTP matches and is not expired
-        if (user.otp !== otpNumber) {
-            return res.status(400).send({ message: 'Invalid OTP' });
-        }
-
-        if (new Date() > user.otpExpiresAt) {
-            return res.status(400).send({ message: 'Expired OTP' });
+        // Check the OTP (hashed, limited attempts); a match spends it
+        const result = await verifyOtp(user.userid, 'reset_password', otp);
+        if (!result.ok) {
+            return res.status(400).send({ message: result.message, attemptsRemaining: result.attemptsRemaining });
         }
 
         // Hash the new password
         const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-        // Update user's password and clear the OTP fields
+        // Update user's password
         user.password = hashedPassword;
-        user.otp = undefined; // Clear the OTP
-        user.otpExpiresAt = undefined; // Clear the OTP expiration time
+        user.loginSecurity.failedAttempts = 0; // A reset also lifts any lockout
+        user.loginSecurity.lockouts = 0;
+        user.loginSecurity.lockedUntil = undefined;
         await user.save();
 
+        // A reset password ends every existing session
+        await revokeUserSessions(user.userid, 'password_reset');
+
         // Send email notification
         const emailContent = `
             <p>Hi ${user.username},</p>
@@ -1087,4 +1634,55 @@ router.patch('/change-role/:userid', verifyApiKey, authenticateToken, authorizeR
 });
 
 
+/**
+ * @swagger
+ * /api/user/audit-logs:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Audit log (admin only)
+ *     description: >
+ *       Security-relevant actions, newest first. Includes one `impersonation.request` entry for every
+ *       request an admin made with the `X-Act-As: <userid>` header (optionally `X-Act-As-Reason`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema: { type: string }
+ *         description: userid of the admin / user who performed the action
+ *       - in: query
+ *         name: targetUserid
+ *         schema: { type: string }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, example: impersonation.request }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *       403:
+ *         description: Admins only
+ */
+router.get('/audit-logs', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    const filter = {};
+    for (const key of ['actor', 'targetUserid', 'action']) {
+        if (req.query[key]) filter[key] = String(req.query[key]);
+    }
+
+    let limit = parseInt(req.query.limit, 10);
+    if (!Number.isFinite(limit) || limit <= 0) limit = 100;
+    if (limit > 500) limit = 500;
+
+    try {
+        const entries = await AuditLog.find(filter).sort({ at: -1 }).limit(limit).lean();
+        res.status(200).send({ count: entries.length, entries });
+    } catch (error) {
+        res.status(500).send({ message: 'Internal server error', error: error.message });
+    }
+});
+
+
 module.exports = router;
@@ -0,0 +1,238 @@
+// utils/alertEngine.js
+const AlertRule = require('../model/alerts/alertRuleModel');
+const AlertIncident = require('../model/alerts/alertIncidentModel');
+const Deployment = require('../model/deployment/deploymentModel');
+const registerNewDevice = require('../model/devices/registerDevice');
+const User = require('../model/user/userModel');
+const { client: redisClient } = require('../config/redis/redis');
+const { generateIncidentId } = require('./idGenerator');
+const { notifyIncident } = require('./alertNotifier');
+const { resolveDeviceAccess } = require('./authz');
+const { parseTimeParam } = require('./telemetryQuery');
+
+// How long the rules that apply to an AUID are reused before re-reading Mongo
+const RULE_CACHE_TTL_MS = parseInt(process.env.ALERT_RULE_CACHE_TTL_MS || '60000', 10);
+const ruleCache = new Map(); // auid -> { expiresAt, entries: [{ rule, deploymentid }] }
+
+// Per (rule, auid) evaluation state lives in Redis so every worker sees the same one
+const STATE_TTL_SEC = 30 * 24 * 60 * 60;
+const stateKey = (ruleId, auid) => `alert_state:${ruleId}:${auid}`;
+
+const COMPARE = {
+  '>': (v, t) => v > t,
+  '>=': (v, t) => v >= t,
+  '<': (v, t) => v < t,
+  '<=': (v, t) => v <= t,
+};
+
+// Readings stamped further ahead than this are treated as bad device clocks
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_SECONDS = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hr: 3600, hour: 3600 };
+
+/**
+ * Parse a shorthand condition such as `pm2_5 > 55 for 10 min` or `battery < 15`.
+ * @returns {{ datapoint, operator, threshold, durationSec }|null}
+ */
+function parseRuleExpression(expr) {
+  const m = String(expr || '').trim().match(
+    /^([a-z0-9_]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)(?:\s+for\s+(\d+)\s*(s|sec|m|min|h|hr|hour)s?)?$/i
+  );
+  if (!m) return null;
+
+  return {
+    datapoint: m[1],
+    operator: m[2],
+    threshold: Number(m[3]),
+    durationSec: m[4] ? Number(m[4]) * UNIT_SECONDS[m[5].toLowerCase()] : 0,
+  };
+}
+
+/** True once the value is back past the threshold by at least the rule's hysteresis. */
+function hasRecovered(rule, value) {
+  const h = rule.hysteresis || 0;
+  const clearAt = rule.operator.startsWith('>') ? rule.threshold - h : rule.threshold + h;
+  return !COMPARE[rule.operator](value, clearAt);
+}
+
+/**
+ * Rule authors who can still view the device. Access is checked when a rule is created, but
+ * collaborators, deployment members and organization members can lose it afterwards.
+ * @returns {Promise<Set<string>>} userids
+ */
+async function authorsWithAccess(auid, userids) {
+  const device = await registerNewDevice.findOne({ auid }).lean();
+  if (!device || userids.length === 0) return new Set();
+
+  const users = await User.find({ userid: { $in: userids } }).select('userid role').lean();
+  const allowed = new Set();
+  for (const user of users) {
+    const access = await resolveDeviceAccess(user, device);
+    if (access?.permissions.includes('view')) allowed.add(user.userid);
+  }
+  return allowed;
+}
+
+/** Enabled rules for a device: its own plus those of every deployment it belongs to, whose authors can still view it. */
+async function getRulesForDevice(auid) {
+  const cached = ruleCache.get(auid);
+  if (cached && cached.expiresAt > Date.now()) return cached.entries;
+
+  const deployments = await Deployment.find({ devices: auid }).select('deploymentid').lean();
+  const deploymentIds = deployments.map(d => d.deploymentid);
+
+  const rules = await AlertRule.find({
+    enabled: true,
+    $or: [
+      { scope: 'device', auid },
+      ...(deploymentIds.length ? [{ scope: 'deployment', deploymentid: { $in: deploymentIds } }] : [])
+    ]
+  }).lean();
+
+  const allowed = await authorsWithAccess(auid, [...new Set(rules.map(r => r.userid))]);
+  const entries = rules
+    .filter(rule => allowed.has(rule.userid))
+    .map(rule => ({ rule, deploymentid: rule.scope === 'deployment' ? rule.deploymentid : undefined }));
+  ruleCache.set(auid, { expiresAt: Date.now() + RULE_CACHE_TTL_MS, entries });
+  return entries;
+}
+
+/** Drop cached rules (after a rule or deployment membership changed). */
+function invalidateAlertRules(auid) {
+  if (auid) ruleCache.delete(auid);
+  else ruleCache.clear();
+}
+
+async function readState(ruleId, auid) {
+  const raw = await redisClient.get(stateKey(ruleId, auid));
+  try { return raw ? JSON.parse(raw) : {}; } catch { return {}; }
+}
+
+async function writeState(ruleId, auid, state) {
+  await redisClient.set(stateKey(ruleId, auid), JSON.stringify(state), { EX: STATE_TTL_SEC });
+}
+
+/** Forget that a rule is firing on a device (e.g. its incident was closed by hand); cooldown is kept. */
+async function clearFiring(ruleId, auid) {
+  const state = await readState(ruleId, auid);
+  if (!state.firing) return;
+  await writeState(ruleId, auid, { ...state, firing: false, pendingSince: null, incidentId: null });
+}
+
+const describe = (rule, value, auid) =>
+  `${rule.name}: ${rule.datapoint} ${rule.operator} ${rule.threshold}` +
+  `${rule.durationSec ? ` for ${rule.durationSec}s` : ''} on ${auid} (value ${value})`;
+
+async function openIncident(rule, auid, deploymentid, value) {
+  const incident = await AlertIncident.create({
+    incidentId: generateIncidentId(),
+    ruleId: rule.ruleId,
+    userid: rule.userid,
+    auid,
+    deploymentid,
+    name: rule.name,
+    datapoint: rule.datapoint,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    severity: rule.severity,
+    message: describe(rule, value, auid),
+    triggerValue: value,
+    peakValue: value,
+    lastValue: value,
+  });
+
+  console.log(`🚨 Alert opened ${incident.incidentId}: ${incident.message}`);
+  await notifyIncident(incident, 'incident.opened');
+  return incident;
+}
+
+/**
+ * Advance one rule's state machine for one reading:
+ *   idle → pending (breached) → firing (breached for durationSec and out of cooldown) → idle (recovered)
+ */
+async function evaluateRule(rule, auid, deploymentid, value, now) {
+  const state = await readState(rule.ruleId, auid);
+
+  if (state.firing) {
+    if (hasRecovered(rule, value)) {
+      const incident = await AlertIncident.findOneAndUpdate(
+        { incidentId: state.incidentId, status: { $ne: 'resolved' } },
+        { $set: { status: 'resolved', resolvedAt: new Date(now), resolvedBy: 'system', lastValue: value } },
+        { new: true }
+      );
+      if (incident) {
+        console.log(`✅ Alert resolved ${state.incidentId}: ${rule.datapoint}=${value} on ${auid}`);
+        await notifyIncident(incident, 'incident.resolved');
+      }
+      await writeState(rule.ruleId, auid, { ...state, firing: false, pendingSince: null, incidentId: null });
+    } else {
+      const peak = rule.operator.startsWith('>') ? { $max: { peakValue: value } } : { $min: { peakValue: value } };
+      await AlertIncident.updateOne({ incidentId: state.incidentId }, { $set: { lastValue: value }, ...peak });
+    }
+    return;
+  }
+
+  if (!COMPARE[rule.operator](value, rule.threshold)) {
+    if (state.pendingSince) await writeState(rule.ruleId, auid, { ...state, pendingSince: null });
+    return;
+  }
+
+  const pendingSince = state.pendingSince || now;
+  const heldLongEnough = now - pendingSince >= (rule.durationSec || 0) * 1000;
+  const coolingDown = state.lastFiredAt && now - state.lastFiredAt < (rule.cooldownSec || 0) * 1000;
+
+  if (heldLongEnough && !coolingDown) {
+    const incident = await openIncident(rule, auid, deploymentid, value);
+    await writeState(rule.ruleId, auid, { firing: true, pendingSince, lastFiredAt: now, incidentId: incident.incidentId });
+  } else if (!state.pendingSince) {
+    await writeState(rule.ruleId, auid, { ...state, pendingSince });
+  }
+}
+
+/**
+ * When a reading was taken (ms): its telem_time, else transport_time, else now. Notehub delivers
+ * readings in batches, so durations and cooldowns must follow the readings' clock, not arrival.
+ */
+function readingTime(record) {
+  for (const value of [record.telem_time, record.transport_time]) {
+    const t = parseTimeParam(value);
+    if (t && t.getTime() > 0 && t.getTime() <= Date.now() + MAX_CLOCK_SKEW_MS) return t.getTime();
+  }
+  return Date.now();
+}
+
+/**
+ * Evaluate every alert rule that applies to a device against one normalized record.
+ * Never throws: alerting must not hold up ingestion.
+ *
+ * @param {string} auid
+ * @param {object} record  Formatted telemetry (datapoint keys → values)
+ */
+async function evaluateAlertRules(auid, record) {
+  try {
+    const entries = await getRulesForDevice(auid);
+    if (entries.length === 0) return;
+
+    const now = readingTime(record);
+    for (const { rule, deploymentid } of entries) {
+      const value = record[rule.datapoint];
+      // Missing or invalid readings are stored as null; they must not trip threshold rules
+      if (value === null || value === undefined || typeof value !== 'number' || Number.isNaN(value)) continue;
+
+      try {
+        await evaluateRule(rule, auid, deploymentid, value, now);
+      } catch (err) {
+        console.error(`❌ Alert rule ${rule.ruleId} on ${auid} error:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error(`❌ evaluateAlertRules ${auid} error:`, err.message);
+  }
+}
+
+module.exports = {
+  parseRuleExpression,
+  evaluateAlertRules,
+  invalidateAlertRules,
+  clearFiring,
+};
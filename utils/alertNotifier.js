@@ -0,0 +1,320 @@
+// utils/alertNotifier.js
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+const axios = require('axios');
+const User = require('../model/user/userModel');
+const AlertIncident = require('../model/alerts/alertIncidentModel');
+const AlertDelivery = require('../model/alerts/alertDeliveryModel');
+const NotificationPreference = require('../model/alerts/notificationPreferenceModel');
+const Webhook = require('../model/alerts/webhookModel');
+const { alertNotifyQueue } = require('../config/queue/bullMQ/bullqueue');
+const { sendEmail } = require('../config/mail/nodemailer');
+const { sendSMS } = require('../config/sms/sms');
+const { publishAlert } = require('../config/socket/socketio');
+const { generateDeliveryId } = require('./idGenerator');
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const QUIET_CHANNELS = ['email', 'sms']; // channels that wake people up
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+// Webhooks may only reach the public internet: no loopback, private, link-local or reserved targets
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/** dns.lookup that refuses blocked addresses, so a hostname can't be re-pointed at them after registration. */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`Webhook host ${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Why a webhook URL can't be used, or null when it can: it must be https and its host
+ * (literal or every resolved address) must be public.
+ * @returns {Promise<string|null>}
+ */
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return 'A valid url is required';
+  }
+  if (parsed.protocol !== 'https:') return 'Webhook url must use https';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isBlockedAddress(host) ? 'Webhook url must point to a public address' : null;
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(a => isBlockedAddress(a.address))) return 'Webhook url must point to a public address';
+  } catch {
+    return `Webhook host ${host} could not be resolved`;
+  }
+  return null;
+}
+
+/** Stored preferences, or the schema defaults for users who never set any. */
+async function getPreferences(userid) {
+  const prefs = await NotificationPreference.findOne({ userid }).lean();
+  return prefs || new NotificationPreference({ userid }).toObject();
+}
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return Number.isInteger(h) && Number.isInteger(m) ? h * 60 + m : null;
+};
+
+/** Whether `now` falls inside the user's quiet hours (windows may wrap midnight). */
+function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone || 'Africa/Accra',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+  } catch {
+    return false; // unknown timezone
+  }
+  const local = Number(parts.find(p => p.type === 'hour').value) * 60 + Number(parts.find(p => p.type === 'minute').value);
+
+  return start < end ? local >= start && local < end : local >= start || local < end;
+}
+
+/** Payload shared by the socket event and webhooks. */
+function alertPayload(incident, event) {
+  return {
+    event,
+    incidentId: incident.incidentId,
+    ruleId: incident.ruleId,
+    name: incident.name,
+    auid: incident.auid,
+    deploymentid: incident.deploymentid,
+    datapoint: incident.datapoint,
+    operator: incident.operator,
+    threshold: incident.threshold,
+    severity: incident.severity,
+    status: incident.status,
+    triggerValue: incident.triggerValue,
+    lastValue: incident.lastValue,
+    peakValue: incident.peakValue,
+    openedAt: incident.openedAt,
+    resolvedAt: incident.resolvedAt,
+    message: incident.message,
+  };
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function renderEmail(incident, event) {
+  const resolved = event === 'incident.resolved';
+  const subject = resolved
+    ? `Resolved: ${incident.name} on ${incident.auid}`
+    : `[${String(incident.severity).toUpperCase()}] ${incident.name} on ${incident.auid}`;
+
+  // rule names and values come from users and devices: escape everything that goes into the HTML
+  const e = Object.fromEntries(
+    ['auid', 'name', 'datapoint', 'operator', 'threshold', 'lastValue', 'triggerValue', 'severity']
+      .map(field => [field, escapeHtml(incident[field])])
+  );
+  const html = `
+      <p>Hi there,</p>
+      <p>${resolved ? 'An alert has <strong>resolved</strong>' : 'An alert has <strong>fired</strong>'} on device <strong>${e.auid}</strong>.</p>
+      <p><strong>${e.name}</strong>: ${e.datapoint} ${e.operator} ${e.threshold}</p>
+      <p>${resolved ? `Latest value: ${e.lastValue}` : `Value: ${e.triggerValue}`} (severity: ${e.severity})</p>
+      <p><a href="https://console.craftedclimate.co" target="_blank">Access the Dashboard</a></p>
+      <p>CraftedClimate Team</p>
+    `;
+  return { subject, html };
+}
+
+function renderSms(incident, event) {
+  return event === 'incident.resolved'
+    ? `CraftedClimate: RESOLVED ${incident.name} on ${incident.auid}. ${incident.datapoint}=${incident.lastValue}`
+    : `CraftedClimate ${String(incident.severity).toUpperCase()}: ${incident.name} on ${incident.auid}. ` +
+      `${incident.datapoint}=${incident.triggerValue} (${incident.operator} ${incident.threshold})`;
+}
+
+/** `sha256=<hex>` over `${timestamp}.${body}`, so receivers can reject replays. */
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Fan an incident event out to its owner's channels. Socket.IO is emitted right away;
+ * email, SMS and webhooks are logged in alert_deliveries and sent by the alert-notify
+ * worker, which retries with backoff. Never throws.
+ *
+ * @param {object} incident  AlertIncident document
+ * @param {'incident.opened'|'incident.resolved'} event
+ */
+async function notifyIncident(incident, event) {
+  try {
+    const [user, prefs] = await Promise.all([
+      User.findOne({ userid: incident.userid }).select('email contact').lean(),
+      getPreferences(incident.userid),
+    ]);
+    if (event === 'incident.resolved' && !prefs.notifyOnResolve) return;
+
+    const quiet = isQuietTime(prefs.quietHours);
+    const bypassQuiet = incident.severity === 'critical' && prefs.quietHours?.allowCritical;
+    const wants = (channel) => {
+      const c = prefs.channels?.[channel];
+      return c?.enabled && SEVERITY_RANK[incident.severity] >= SEVERITY_RANK[c.minSeverity || 'info'];
+    };
+
+    const base = { incidentId: incident.incidentId, userid: incident.userid, event };
+    const deliveries = [];
+
+    if (wants('socket')) {
+      const sent = publishAlert(incident.auid, alertPayload(incident, event));
+      await AlertDelivery.create({
+        ...base,
+        deliveryId: generateDeliveryId(),
+        channel: 'socket',
+        target: incident.auid,
+        status: sent ? 'sent' : 'failed',
+        attempts: 1,
+        ...(sent ? { sentAt: new Date() } : { lastError: 'Socket.IO server is not initialized' })
+      });
+    }
+
+    if (wants('email') && user?.email) deliveries.push({ channel: 'email', target: user.email });
+    if (wants('sms') && user?.contact) deliveries.push({ channel: 'sms', target: user.contact });
+    if (wants('webhook')) {
+      const hooks = await Webhook.find({ userid: incident.userid, enabled: true, events: event }).select('webhookId').lean();
+      for (const hook of hooks) deliveries.push({ channel: 'webhook', target: hook.webhookId });
+    }
+
+    for (const d of deliveries) {
+      const suppressed = quiet && !bypassQuiet && QUIET_CHANNELS.includes(d.channel);
+      const delivery = await AlertDelivery.create({
+        ...base,
+        ...d,
+        deliveryId: generateDeliveryId(),
+        status: suppressed ? 'suppressed' : 'queued',
+        ...(suppressed && { reason: 'quiet_hours' })
+      });
+
+      if (!suppressed) {
+        await alertNotifyQueue.add('deliver', { deliveryId: delivery.deliveryId }, { jobId: delivery.deliveryId });
+      }
+    }
+
+    console.log(`📣 ${event} ${incident.incidentId}: ${deliveries.length} deliveries${quiet ? ' (quiet hours)' : ''}`);
+  } catch (err) {
+    console.error(`❌ notifyIncident ${incident?.incidentId} error:`, err.message);
+  }
+}
+
+/**
+ * Send one queued delivery. Throws on failure so BullMQ retries it; the delivery log
+ * records every attempt and ends as 'failed' after the last one.
+ *
+ * @param {string} deliveryId
+ * @param {{ finalAttempt?: boolean }} [opts]
+ */
+async function deliverNotification(deliveryId, { finalAttempt = false } = {}) {
+  const delivery = await AlertDelivery.findOne({ deliveryId });
+  if (!delivery || delivery.status === 'sent' || delivery.status === 'suppressed') return;
+
+  const incident = await AlertIncident.findOne({ incidentId: delivery.incidentId }).lean();
+  if (!incident) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Incident no longer exists';
+    await delivery.save();
+    return;
+  }
+
+  delivery.attempts += 1;
+
+  try {
+    if (delivery.channel === 'email') {
+      const { subject, html } = renderEmail(incident, delivery.event);
+      const info = await sendEmail(delivery.target, subject, html);
+      if (!info) throw new Error('Email could not be sent');
+    } else if (delivery.channel === 'sms') {
+      await sendSMS(delivery.target, renderSms(incident, delivery.event));
+    } else if (delivery.channel === 'webhook') {
+      const hook = await Webhook.findOne({ webhookId: delivery.target }).select('+secret');
+      if (!hook || !hook.enabled) {
+        delivery.status = 'suppressed';
+        delivery.reason = 'webhook_disabled';
+        await delivery.save();
+        return;
+      }
+
+      const problem = await checkWebhookUrl(hook.url);
+      if (problem) throw new Error(problem);
+
+      const body = JSON.stringify(alertPayload(incident, delivery.event));
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const response = await axios.post(hook.url, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        proxy: false,
+        httpsAgent: webhookAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CraftedClimate-Event': delivery.event,
+          'X-CraftedClimate-Delivery': delivery.deliveryId,
+          'X-CraftedClimate-Timestamp': timestamp,
+          'X-CraftedClimate-Signature': signWebhook(hook.secret, timestamp, body),
+        }
+      });
+
+      delivery.responseCode = response.status;
+      hook.lastDeliveryAt = new Date();
+      hook.lastStatus = response.status;
+      await hook.save();
+    }
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    await delivery.save();
+  } catch (err) {
+    delivery.status = finalAttempt ? 'failed' : 'retrying';
+    delivery.lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+    if (err.response) delivery.responseCode = err.response.status;
+    await delivery.save();
+    throw err;
+  }
+}
+
+module.exports = {
+  isQuietTime,
+  signWebhook,
+  checkWebhookUrl,
+  notifyIncident,
+  deliverNotification,
+};
@@ -0,0 +1,110 @@
+// utils/apiKeys.js
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../model/apiKey/apiKeyModel');
+
+// Scoped keys look like cck_<43 chars>; the legacy master key does not
+const KEY_PREFIX = 'cck_';
+
+const SCOPES = [
+  'telemetry:read',
+  'devices:read',
+  'devices:write',
+  'deployments:read',
+  'ota:read',
+];
+
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const isScopedApiKey = (key) => typeof key === 'string' && key.startsWith(KEY_PREFIX);
+
+/** A new random key. The plaintext is returned to the creator once and never stored. */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 12), keyHash: hashApiKey(key) };
+}
+
+const stripMappedIPv4 = (ip) => String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+/** Entry is an IPv4/IPv6 address or CIDR range. */
+function isValidAllowlistEntry(entry) {
+  const [address, bits, extra] = String(entry).split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return false;
+  if (bits === undefined) return true;
+  const n = Number(bits);
+  return Number.isInteger(n) && n >= 0 && n <= (family === 4 ? 32 : 128);
+}
+
+/** True when the allowlist is empty or the ip falls inside one of its entries. */
+function ipAllowed(ip, allowlist = []) {
+  if (!allowlist.length) return true;
+  const address = stripMappedIPv4(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const entry of allowlist) {
+    const [base, bits] = entry.split('/');
+    const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) blockList.addAddress(base, type);
+    else blockList.addSubnet(base, Number(bits), type);
+  }
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** Key status: 'active' | 'revoked' | 'expired' */
+function apiKeyStatus(apiKey, now = new Date()) {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) return 'expired';
+  return 'active';
+}
+
+/** Look up a presented key by its hash. */
+function findApiKey(key) {
+  return ApiKey.findOne({ keyHash: hashApiKey(key) }).lean();
+}
+
+/** Record use of a key (throttled so busy keys don't write on every request). */
+async function touchApiKey(apiKey, ip) {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) return;
+  try {
+    await ApiKey.updateOne({ keyId: apiKey.keyId }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  } catch (err) {
+    console.error(`❌ Could not record use of API key ${apiKey.keyId}:`, err.message);
+  }
+}
+
+/** Public view of a key (never the hash). */
+const apiKeyView = (apiKey) => ({
+  keyId: apiKey.keyId,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  ownerType: apiKey.ownerType,
+  userid: apiKey.userid,
+  organizationId: apiKey.organizationId,
+  scopes: apiKey.scopes,
+  ipAllowlist: apiKey.ipAllowlist,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+  status: apiKeyStatus(apiKey),
+});
+
+module.exports = {
+  SCOPES,
+  isScopedApiKey,
+  generateApiKey,
+  isValidAllowlistEntry,
+  ipAllowed,
+  apiKeyStatus,
+  findApiKey,
+  touchApiKey,
+  apiKeyView,
+};
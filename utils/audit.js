@@ -0,0 +1,26 @@
+// utils/audit.js
+const AuditLog = require('../model/audit/auditLogModel');
+
+/**
+ * Write an audit entry for a request.
+ *
+ * @param {import('express').Request} req
+ * @param {string} action  e.g. 'impersonation.request'
+ * @param {{ actor?: string, targetUserid?: string, reason?: string, metadata?: object }} [fields]
+ * @returns {Promise<object>} the stored entry
+ */
+async function recordAudit(req, action, fields = {}) {
+  return AuditLog.create({
+    action,
+    actor: fields.actor || req.user?.impersonatedBy?.userid || req.user?.userid || 'anonymous',
+    targetUserid: fields.targetUserid,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    reason: fields.reason,
+    metadata: fields.metadata,
+  });
+}
+
+module.exports = { recordAudit };
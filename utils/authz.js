@@ -0,0 +1,170 @@
+// utils/authz.js
+const registerNewDevice = require('../model/devices/registerDevice');
+const Deployment = require('../model/deployment/deploymentModel');
+const Organization = require('../model/organization/organizationModel');
+
+/*
+ * Effective permissions, resolved down the tenancy hierarchy
+ * organization → deployment → device:
+ *
+ *   deployment  owner, org ADMIN                 → view, manage, delete
+ *               collaborator, org MODERATOR      → view
+ *   device      owner                            → everything
+ *               device collaborator              → view + their role's permissions + those granted explicitly
+ *                                                  (viewer: none, editor: update, export, admin: all)
+ *               via a deployment it belongs to   → manage: view, update, export / view: view
+ *
+ * Platform admins get everything everywhere. An organization API key acts as an
+ * ADMIN of its own organization (its scopes decide which routes it can reach).
+ */
+const DEVICE_PERMISSIONS = ['view', 'update', 'delete', 'export', 'share'];
+const DEPLOYMENT_PERMISSIONS = ['view', 'manage', 'delete'];
+
+// Permissions a device collaborator's role carries on top of 'view'
+const COLLABORATOR_ROLE_PERMISSIONS = {
+  viewer: [],
+  editor: ['update', 'export'],
+  admin: ['update', 'delete', 'export', 'share'],
+};
+
+const DEPLOYMENT_TO_DEVICE = {
+  manage: ['view', 'update', 'export'],
+  view: ['view'],
+};
+
+const isPlatformAdmin = (user) => user?.role === 'admin';
+
+/** Effective permissions of a device collaborator entry: view + role + explicit grants. */
+function collaboratorPermissions(collaborator) {
+  const granted = new Set(['view', ...(COLLABORATOR_ROLE_PERMISSIONS[collaborator.role] || [])]);
+  (collaborator.permissions || []).forEach(p => granted.add(p));
+  return DEVICE_PERMISSIONS.filter(p => granted.has(p));
+}
+
+/** Filter for the organizations a user (or organization key) belongs to. */
+const membershipFilter = (user) => (user.organizationId
+  ? { organizationId: user.organizationId }
+  : { 'collaborators.userId': user.userid });
+
+/** The user's access level in an organization, or null. */
+function organizationAccessLevel(org, user) {
+  if (user.organizationId) return user.organizationId === org.organizationId ? 'ADMIN' : null;
+  return (org.collaborators || []).find(c => c.userId === user.userid)?.accessLevel || null;
+}
+
+/** Organizations holding any of these deployments in which the user is a member. */
+async function memberOrganizations(user, deploymentids) {
+  if (!user?.userid || deploymentids.length === 0) return [];
+  return Organization
+    .find({ deployments: { $in: deploymentids }, ...membershipFilter(user) })
+    .select('organizationId deployments collaborators')
+    .lean();
+}
+
+/** Permissions on a deployment given the organizations (already fetched) that contain it. */
+function deploymentPermissions(user, deployment, organizations) {
+  if (isPlatformAdmin(user)) return { permissions: [...DEPLOYMENT_PERMISSIONS], via: ['admin'] };
+
+  const permissions = new Set();
+  const via = [];
+
+  if (deployment.userid === user.userid) {
+    DEPLOYMENT_PERMISSIONS.forEach(p => permissions.add(p));
+    via.push('owner');
+  }
+  if ((deployment.collaborators || []).includes(user.userid)) {
+    permissions.add('view');
+    via.push('collaborator');
+  }
+  for (const org of organizations) {
+    if (!(org.deployments || []).includes(deployment.deploymentid)) continue;
+    const accessLevel = organizationAccessLevel(org, user);
+    if (!accessLevel) continue;
+    (accessLevel === 'ADMIN' ? DEPLOYMENT_PERMISSIONS : ['view']).forEach(p => permissions.add(p));
+    via.push(`organization:${org.organizationId}:${accessLevel}`);
+  }
+
+  return { permissions: DEPLOYMENT_PERMISSIONS.filter(p => permissions.has(p)), via };
+}
+
+/**
+ * Resolve a user's effective permissions on a deployment.
+ *
+ * @param {object} user  req.user
+ * @param {string|object} deploymentOrId  deploymentid or a (lean) deployment document
+ * @returns {Promise<{ deployment: object, permissions: string[], via: string[] }|null>} null when not found
+ */
+async function resolveDeploymentAccess(user, deploymentOrId) {
+  const deployment = typeof deploymentOrId === 'string'
+    ? await Deployment.findOne({ deploymentid: deploymentOrId }).lean()
+    : deploymentOrId;
+  if (!deployment) return null;
+
+  const organizations = isPlatformAdmin(user) ? [] : await memberOrganizations(user, [deployment.deploymentid]);
+  return { deployment, ...deploymentPermissions(user || {}, deployment, organizations) };
+}
+
+/**
+ * Resolve a user's effective permissions on a device, including what is inherited
+ * from every deployment the device belongs to and those deployments' organizations.
+ *
+ * @param {object} user  req.user
+ * @param {string|object} deviceOrAuid  auid or a (lean) registered device document
+ * @returns {Promise<{ device: object, permissions: string[], via: string[] }|null>} null when not found
+ */
+async function resolveDeviceAccess(user, deviceOrAuid) {
+  const device = typeof deviceOrAuid === 'string'
+    ? await registerNewDevice.findOne({ auid: deviceOrAuid }).lean()
+    : deviceOrAuid;
+  if (!device) return null;
+
+  if (!user) return { device, permissions: [], via: [] };
+  if (isPlatformAdmin(user)) return { device, permissions: [...DEVICE_PERMISSIONS], via: ['admin'] };
+  if (device.userid === user.userid) return { device, permissions: [...DEVICE_PERMISSIONS], via: ['owner'] };
+
+  const permissions = new Set();
+  const via = [];
+
+  const collaborator = (device.collaborators || []).find(c => c.userid === user.userid);
+  if (collaborator) {
+    collaboratorPermissions(collaborator).forEach(p => permissions.add(p));
+    via.push(`collaborator:${collaborator.role}`);
+  }
+
+  const deployments = await Deployment.find({ devices: device.auid }).select('deploymentid userid collaborators').lean();
+  const organizations = await memberOrganizations(user, deployments.map(d => d.deploymentid));
+  for (const deployment of deployments) {
+    const access = deploymentPermissions(user, deployment, organizations);
+    const level = access.permissions.includes('manage') ? 'manage' : access.permissions.includes('view') ? 'view' : null;
+    if (!level) continue;
+    DEPLOYMENT_TO_DEVICE[level].forEach(p => permissions.add(p));
+    via.push(...access.via.map(v => `deployment:${deployment.deploymentid}:${v}`));
+  }
+
+  return { device, permissions: DEVICE_PERMISSIONS.filter(p => permissions.has(p)), via };
+}
+
+/**
+ * Deployment ids a user can see: owned, collaborated on, or held by one of their organizations.
+ * @returns {Promise<string[]>}
+ */
+async function accessibleDeploymentIds(user) {
+  const [own, organizations] = await Promise.all([
+    Deployment.find({ $or: [{ userid: user.userid }, { collaborators: user.userid }] }).select('deploymentid').lean(),
+    Organization.find(membershipFilter(user)).select('deployments').lean(),
+  ]);
+  return [...new Set([
+    ...own.map(d => d.deploymentid),
+    ...organizations.flatMap(o => o.deployments || []),
+  ])];
+}
+
+module.exports = {
+  DEVICE_PERMISSIONS,
+  DEPLOYMENT_PERMISSIONS,
+  COLLABORATOR_ROLE_PERMISSIONS,
+  collaboratorPermissions,
+  resolveDeviceAccess,
+  resolveDeploymentAccess,
+  accessibleDeploymentIds,
+};
@@ -0,0 +1,134 @@
+// utils/batchManagement.js
+const AddDevice = require('../model/devices/addDevice');
+const registerNewDevice = require('../model/devices/registerDevice');
+const ManufacturingBatch = require('../model/devices/manufacturingBatchModel');
+const OTAUpdate = require('../model/ota/otaModel');
+const User = require('../model/user/userModel');
+const { sendEmail } = require('../config/mail/nodemailer');
+
+const CONSOLE_URL = process.env.CONSOLE_URL || 'https://console.craftedclimate.co';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Per-batch unit counts by lifecycle state and by model, merged with each batch's settings.
+ *
+ * @param {object} [match]  AddDevice filter, e.g. { batchNumber: /^CC-2025-/ }
+ * @returns {Promise<object[]>} newest batch first
+ */
+async function batchSummaries(match = {}) {
+  const groups = await AddDevice.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { batchNumber: '$batchNumber', status: '$status', model: '$model' },
+        count: { $sum: 1 },
+        firstAt: { $min: '$date' },
+        lastAt: { $max: '$date' }
+      }
+    }
+  ]);
+
+  const batches = new Map();
+  for (const g of groups) {
+    const { batchNumber, status, model } = g._id;
+    const batch = batches.get(batchNumber) || { batchNumber, total: 0, byStatus: {}, byModel: {}, firstAt: g.firstAt, lastAt: g.lastAt };
+    batch.total += g.count;
+    batch.byStatus[status] = (batch.byStatus[status] || 0) + g.count;
+    batch.byModel[model] = (batch.byModel[model] || 0) + g.count;
+    if (g.firstAt < batch.firstAt) batch.firstAt = g.firstAt;
+    if (g.lastAt > batch.lastAt) batch.lastAt = g.lastAt;
+    batches.set(batchNumber, batch);
+  }
+
+  const settings = await ManufacturingBatch.find({ batchNumber: { $in: [...batches.keys()] } }).lean();
+  const settingsByBatch = Object.fromEntries(settings.map(s => [s.batchNumber, s]));
+
+  return [...batches.values()]
+    .map(b => ({
+      ...b,
+      firmwarePin: settingsByBatch[b.batchNumber]?.firmwarePin?.uuid ? settingsByBatch[b.batchNumber].firmwarePin : null,
+      recall: settingsByBatch[b.batchNumber]?.recall?.active ? settingsByBatch[b.batchNumber].recall : null
+    }))
+    .sort((a, b) => b.batchNumber.localeCompare(a.batchNumber));
+}
+
+/**
+ * Recall a batch: flag every registered unit in it and email each owner the units of theirs affected.
+ * @returns {Promise<{ flagged: number, ownersNotified: number }>}
+ */
+async function recallBatch(batchNumber, { by, reason }) {
+  const recalledAt = new Date();
+  await ManufacturingBatch.updateOne(
+    { batchNumber },
+    { $set: { recall: { active: true, reason, recalledBy: by, recalledAt } } },
+    { upsert: true }
+  );
+
+  const auids = (await AddDevice.find({ batchNumber, status: 'REGISTERED' }).select('auid').lean()).map(d => d.auid);
+  const devices = await registerNewDevice.find({ auid: { $in: auids } }).select('auid serial nickname userid').lean();
+  if (devices.length > 0) {
+    await registerNewDevice.updateMany(
+      { auid: { $in: devices.map(d => d.auid) } },
+      { $set: { recall: { batchNumber, reason, recalledAt } } }
+    );
+  }
+
+  const byOwner = {};
+  devices.forEach(d => (byOwner[d.userid] = byOwner[d.userid] || []).push(d));
+  const owners = await User.find({ userid: { $in: Object.keys(byOwner) } }).select('userid email username').lean();
+
+  let ownersNotified = 0;
+  for (const owner of owners) {
+    const list = byOwner[owner.userid].map(d => `<li>${escapeHtml(d.nickname)} (S/N ${escapeHtml(d.serial)})</li>`).join('');
+    const info = await sendEmail(owner.email, 'Important: a recall affects your CraftedClimate device', `
+      <p>Hi ${escapeHtml(owner.username)},</p>
+      <p>We have recalled manufacturing batch <strong>${escapeHtml(batchNumber)}</strong>, which includes:</p>
+      <ul>${list}</ul>
+      ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+      <p>Our team will contact you about next steps. You can see the affected devices in the <a href="${CONSOLE_URL}" target="_blank">dashboard</a>.</p>
+      <p>— The CraftedClimate Team</p>
+    `);
+    if (info) ownersNotified++;
+  }
+
+  console.warn(`⚠️ Batch ${batchNumber} recalled by ${by}: ${devices.length} registered units flagged, ${ownersNotified} owners notified`);
+  return { flagged: devices.length, ownersNotified };
+}
+
+/** End a recall and clear the flag on its units. @returns {Promise<number>} units cleared */
+async function liftRecall(batchNumber, by) {
+  await ManufacturingBatch.updateOne(
+    { batchNumber },
+    { $set: { 'recall.active': false, 'recall.liftedBy': by, 'recall.liftedAt': new Date() } }
+  );
+  const result = await registerNewDevice.updateMany({ 'recall.batchNumber': batchNumber }, { $unset: { recall: '' } });
+  return result.modifiedCount;
+}
+
+/**
+ * The firmware a unit's batch is pinned to, when it applies to the unit's model and, if given,
+ * to the hardware version the unit reports (a pin built for other hardware is ignored).
+ *
+ * @param {string} auid
+ * @param {{ hardwareVersion?: string }} [opts]
+ * @returns {Promise<{ batchNumber: string, firmware: object }|null>}
+ */
+async function pinnedFirmwareFor(auid, { hardwareVersion } = {}) {
+  const unit = await AddDevice.findOne({ auid }).select('batchNumber model').lean();
+  if (!unit) return null;
+
+  const batch = await ManufacturingBatch.findOne({ batchNumber: unit.batchNumber, 'firmwarePin.uuid': { $exists: true } }).lean();
+  if (!batch || batch.firmwarePin.model?.toLowerCase() !== unit.model?.toLowerCase()) return null;
+
+  const firmware = await OTAUpdate.findOne({ uuid: batch.firmwarePin.uuid }).lean();
+  if (!firmware || (hardwareVersion !== undefined && firmware.hardware_version !== hardwareVersion)) return null;
+  return { batchNumber: unit.batchNumber, firmware };
+}
+
+module.exports = {
+  batchSummaries,
+  recallBatch,
+  liftRecall,
+  pinnedFirmwareFor,
+};
@@ -0,0 +1,83 @@
+// utils/claimCode.js
+const crypto = require('crypto');
+const AddDevice = require('../model/devices/addDevice');
+
+// Claim codes look like "<serial>.<signature>": the signature is an HMAC over the serial and a
+// per-unit nonce, so a code can't be forged from a serial, and rotating the nonce voids old labels
+const claimSecret = () => process.env.CLAIM_CODE_SECRET || crypto
+  .createHmac('sha256', process.env.ACCESS_TOKEN_SECRET || '')
+  .update('device-claim-code')
+  .digest('hex');
+
+const newClaimNonce = () => crypto.randomBytes(16).toString('hex');
+
+const sign = (serial, nonce) => crypto
+  .createHmac('sha256', claimSecret())
+  .update(`${serial}:${nonce}`)
+  .digest()
+  .subarray(0, 12)
+  .toString('base64url');
+
+/** The claim code of a manufacturing record loaded with '+claim.nonce', or null once spent. */
+function claimCodeFor(device) {
+  const nonce = device?.claim?.nonce;
+  return nonce ? `${device.serial}.${sign(device.serial, nonce)}` : null;
+}
+
+/** Split a scanned or typed code. @returns {{ serial: string, signature: string }|null} */
+function parseClaimCode(code) {
+  const match = /^([A-Z0-9-]+)\.([A-Za-z0-9_-]{16})$/.exec(String(code || '').trim());
+  return match ? { serial: match[1], signature: match[2] } : null;
+}
+
+/**
+ * Find the manufacturing record a claim code belongs to.
+ * @returns {Promise<object|null>} the lean record (with claim.nonce), or null when the code is not valid
+ */
+async function findByClaimCode(code) {
+  const parsed = parseClaimCode(code);
+  if (!parsed) return null;
+
+  const device = await AddDevice.findOne({ serial: parsed.serial }).select('+claim.nonce').lean();
+  if (!device?.claim?.nonce) return null;
+
+  const expected = Buffer.from(sign(device.serial, device.claim.nonce));
+  const given = Buffer.from(parsed.signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? device : null;
+}
+
+/**
+ * Spend a unit's claim code. Conditional on the nonce so the same code can't be used twice.
+ * @returns {Promise<boolean>}
+ */
+async function consumeClaimCode(manufacturingId, nonce, userid) {
+  const result = await AddDevice.updateOne(
+    { manufacturingId, 'claim.nonce': nonce },
+    { $set: { 'claim.claimedAt': new Date(), 'claim.claimedBy': userid }, $unset: { 'claim.nonce': '' } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Issue a new code for a unit, voiding the old one (e.g. a leaked label).
+ * @returns {Promise<object|null>} the record with its new nonce, or null when not found
+ */
+function rotateClaimCode(manufacturingId, by) {
+  return AddDevice.findOneAndUpdate(
+    { manufacturingId },
+    {
+      $set: { 'claim.nonce': newClaimNonce(), 'claim.issuedAt': new Date(), 'claim.rotatedBy': by },
+      $unset: { 'claim.claimedAt': '', 'claim.claimedBy': '' }
+    },
+    { new: true }
+  ).select('+claim.nonce').lean();
+}
+
+module.exports = {
+  newClaimNonce,
+  claimCodeFor,
+  parseClaimCode,
+  findByClaimCode,
+  consumeClaimCode,
+  rotateClaimCode,
+};
@@ -0,0 +1,142 @@
+// utils/deviceOwnership.js
+const registerNewDevice = require('../model/devices/registerDevice');
+const DeviceTransfer = require('../model/devices/deviceTransferModel');
+const DecommissionedDevice = require('../model/devices/decommissionedDeviceModel');
+const Deployment = require('../model/deployment/deploymentModel');
+const AlertRule = require('../model/alerts/alertRuleModel');
+const { transitionDevice } = require('./manufacturingLifecycle');
+const { claimCodeFor } = require('./claimCode');
+const { invalidateAlertRules } = require('./alertEngine');
+
+// How long a transfer can be accepted
+const TRANSFER_TTL_HOURS = parseInt(process.env.DEVICE_TRANSFER_TTL_HOURS || '72', 10);
+
+/** 'pending' | 'accepted' | 'declined' | 'cancelled' | 'expired' */
+function transferStatus(transfer, now = new Date()) {
+  if (transfer.status === 'pending' && transfer.expiresAt <= now) return 'expired';
+  return transfer.status;
+}
+
+/** Filter matching transfers that can still be accepted. */
+const pendingTransferFilter = (now = new Date()) => ({
+  status: 'pending',
+  expiresAt: { $gt: now }
+});
+
+/** Take a device out of every deployment it belongs to. @returns {Promise<string[]>} their ids */
+async function detachFromDeployments(auid) {
+  const deployments = await Deployment.find({ devices: auid }).select('deploymentid').lean();
+  if (deployments.length > 0) {
+    await Deployment.updateMany({ devices: auid }, { $pull: { devices: auid } });
+  }
+  return deployments.map(d => d.deploymentid);
+}
+
+/**
+ * Switch off the device's single-device alert rules of everyone except `keepUserids` (the people
+ * who still have the device), and drop the cached rules so they stop firing right away.
+ */
+async function disableAlertRules(auid, keepUserids = []) {
+  await AlertRule.updateMany(
+    { scope: 'device', auid, userid: { $nin: keepUserids }, enabled: true },
+    { $set: { enabled: false } }
+  );
+  invalidateAlertRules(auid);
+}
+
+/**
+ * Hand a device over to the user accepting a transfer. The device leaves the previous
+ * owner's deployments, collaborators are dropped unless the transfer keeps them, and the
+ * alert rules of everyone who no longer has the device are switched off.
+ *
+ * @param {object} transfer  pending DeviceTransfer
+ * @param {string} recipientUserid
+ * @param {{ deploymentId?: string }} [options]  deployment of the recipient to add the device to
+ * @returns {Promise<{ device?: object, status?: number, message?: string }>}
+ */
+async function completeTransfer(transfer, recipientUserid, { deploymentId } = {}) {
+  const device = await registerNewDevice.findOne({ auid: transfer.auid });
+  if (!device || device.userid !== transfer.fromUserid) {
+    await DeviceTransfer.updateOne({ transferId: transfer.transferId }, { $set: { status: 'cancelled' } });
+    return { status: 410, message: 'The device is no longer owned by the sender' };
+  }
+
+  // claim first so a double click can't hand the device over twice
+  const claimed = await DeviceTransfer.findOneAndUpdate(
+    { transferId: transfer.transferId, ...pendingTransferFilter() },
+    { $set: { status: 'accepted', respondedBy: recipientUserid, respondedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return { status: 410, message: 'Transfer is no longer valid' };
+
+  const previousDeployments = await detachFromDeployments(device.auid);
+
+  device.userid = recipientUserid;
+  device.organization = transfer.toOrganizationId || undefined;
+  device.deployment = undefined;
+  device.availability = 'private';
+  device.collaborators = transfer.keepCollaborators
+    ? device.collaborators.filter(c => c.userid !== recipientUserid)
+    : [];
+
+  if (deploymentId) {
+    device.deployment = deploymentId;
+    await Deployment.updateOne({ deploymentid: deploymentId }, { $addToSet: { devices: device.auid } });
+  }
+  await device.save();
+  await disableAlertRules(device.auid, [recipientUserid, ...device.collaborators.map(c => c.userid)]);
+
+  // any other offer for this device is moot now
+  await DeviceTransfer.updateMany(
+    { auid: device.auid, status: 'pending', transferId: { $ne: transfer.transferId } },
+    { $set: { status: 'cancelled' } }
+  );
+
+  console.log(`🔁 Device ${device.auid} transferred from ${transfer.fromUserid} to ${recipientUserid}` +
+    (previousDeployments.length ? `, removed from ${previousDeployments.join(', ')}` : ''));
+  return { device };
+}
+
+/**
+ * Retire a registration: archive it, take the device out of its deployments, delete the
+ * registration and put the manufacturing record back to ASSIGNED with a new claim code, so the
+ * unit can be claimed again. Telemetry is left untouched.
+ *
+ * @param {object} device  registered device document
+ * @param {{ by: string, reason?: string }} details
+ * @returns {Promise<{ archived: object, claimCode: string|null }>} the archive entry and the unit's new claim code
+ */
+async function decommissionDevice(device, { by, reason }) {
+  const registration = typeof device.toObject === 'function' ? device.toObject() : device;
+  const deployments = await detachFromDeployments(registration.auid);
+
+  const archived = await DecommissionedDevice.create({
+    auid: registration.auid,
+    serial: registration.serial,
+    manufacturingId: registration.manufacturingId,
+    userid: registration.userid,
+    organization: registration.organization,
+    deployments,
+    registration,
+    reason,
+    decommissionedBy: by
+  });
+
+  await registerNewDevice.deleteOne({ auid: registration.auid });
+  const lifecycle = await transitionDevice(registration.manufacturingId, 'ASSIGNED', { by, note: reason || 'decommissioned', decommission: true });
+  if (lifecycle.status) console.warn(`⚠️ Manufacturing record of ${registration.auid} left as is: ${lifecycle.message}`);
+  const claimCode = lifecycle.device ? claimCodeFor(lifecycle.device) : null;
+  await disableAlertRules(registration.auid);
+  await DeviceTransfer.updateMany({ auid: registration.auid, status: 'pending' }, { $set: { status: 'cancelled' } });
+
+  console.log(`📦 Device ${registration.auid} decommissioned by ${by}`);
+  return { archived, claimCode };
+}
+
+module.exports = {
+  TRANSFER_TTL_HOURS,
+  transferStatus,
+  pendingTransferFilter,
+  completeTransfer,
+  decommissionDevice,
+};
@@ -22,13 +22,14 @@ const generateAUID = () => `GH-${nanoid21()}`;
 const generateSku = (model) => `CS-${model.toUpperCase()}`;
 
 
-const generateBatchNumber = async () => {
+// Pass a session to allocate inside a transaction, so an aborted batch doesn't use up a number
+const generateBatchNumber = async (session) => {
   const currentYear = new Date().getFullYear();
 
   const counter = await BatchCounter.findOneAndUpdate(
     { year: currentYear },
     { $inc: { index: 1 } },
-    { new: true, upsert: true } // Create if not exists
+    { new: true, upsert: true, ...(session && { session }) } // Create if not exists
   );
 
   const batchIndex = String(counter.index).padStart(4, '0');
@@ -41,6 +42,24 @@ const generateModelId = () => nanoid10();
 
 const generateFirmwareId = () => nanoid10();
 
+const generateAlertRuleId = () => `AR-${nanoid10()}`;
+
+const generateIncidentId = () => `INC-${nanoid10()}`;
+
+const generateWebhookId = () => `WH-${nanoid10()}`;
+
+const generateDeliveryId = () => `DLV-${nanoid21()}`;
+
+const generateOrganizationId = () => `ORG-${nanoid10()}`;
+
+const generateInvitationId = () => nanoid21();
+
+const generateSessionId = () => `SES-${nanoid21()}`;
+
+const generateApiKeyId = () => `AK-${nanoid10()}`;
+
+const generateTransferId = () => `TR-${nanoid21()}`;
+
 
 module.exports = {
   generateManufacturerId,
@@ -50,5 +69,14 @@ module.exports = {
   generateBatchNumber,
   generateUserId,
   generateModelId,
-  generateFirmwareId
+  generateFirmwareId,
+  generateAlertRuleId,
+  generateIncidentId,
+  generateWebhookId,
+  generateDeliveryId,
+  generateOrganizationId,
+  generateInvitationId,
+  generateSessionId,
+  generateApiKeyId,
+  generateTransferId
 };
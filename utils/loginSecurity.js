@@ -0,0 +1,150 @@
+// utils/loginSecurity.js
+const bcrypt = require('bcryptjs');
+const User = require('../model/user/userModel');
+const LoginEvent = require('../model/user/loginEventModel');
+const { sendEmail } = require('../config/mail/nodemailer');
+
+// Same answer for unknown email, wrong password and locked account, so none can be told apart
+const INVALID_LOGIN_MESSAGE = 'Invalid email or password';
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '5', 10);
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10);
+const KNOWN_IPS_LIMIT = 20;
+const CONSOLE_URL = process.env.CONSOLE_URL || 'https://console.craftedclimate.co';
+
+// Compared against when the email is unknown, so that case takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+/** 5, 10, 20, ... minutes for the 1st, 2nd, 3rd consecutive lockout, capped. */
+const lockoutMinutes = (previousLockouts) =>
+  Math.min(LOCKOUT_BASE_MINUTES * 2 ** previousLockouts, LOCKOUT_MAX_MINUTES);
+
+const isLocked = (user, now = new Date()) => Boolean(user?.loginSecurity?.lockedUntil && user.loginSecurity.lockedUntil > now);
+
+/** Compare a password, spending the same time whether or not the user exists. */
+const checkPassword = (user, password) => bcrypt.compare(String(password), user?.password || DUMMY_PASSWORD_HASH);
+
+/** Append to the user's login history. Never throws. */
+async function recordLoginEvent(user, req, outcome, { newIp = false } = {}) {
+  try {
+    await LoginEvent.create({
+      userid: user.userid,
+      outcome,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      newIp
+    });
+  } catch (err) {
+    console.error(`❌ Could not record login event for ${user.userid}:`, err.message);
+  }
+}
+
+async function notify(to, subject, html) {
+  try {
+    await sendEmail(to, subject, html);
+  } catch (err) {
+    console.error(`❌ Could not send "${subject}" to ${to}:`, err.message);
+  }
+}
+
+// user agents are caller-controlled
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const requestDetails = (req) => `
+  <ul>
+    <li><strong>IP address:</strong> ${escapeHtml(req.ip || 'unknown')}</li>
+    <li><strong>Device:</strong> ${escapeHtml(req.headers['user-agent'] || 'unknown')}</li>
+    <li><strong>Time:</strong> ${new Date().toUTCString()}</li>
+  </ul>`;
+
+/**
+ * Count a wrong password or second factor; both share one counter so 2FA codes can't be guessed
+ * by logging in again for fresh challenges. Reaching MAX_FAILED_ATTEMPTS locks the account, each
+ * consecutive lockout twice as long as the last, and emails the owner.
+ *
+ * @param {'invalid_credentials'|'two_factor_failed'} [outcome='invalid_credentials']
+ * @returns {Promise<{ locked: boolean, lockedUntil?: Date }>}
+ */
+async function registerFailedLogin(user, req, outcome = 'invalid_credentials') {
+  const now = new Date();
+  const updated = await User.findOneAndUpdate(
+    { userid: user.userid },
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true, projection: 'userid loginSecurity' }
+  ).lean();
+  await recordLoginEvent(user, req, outcome);
+
+  if (!updated || updated.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) return { locked: false };
+
+  const minutes = lockoutMinutes(updated.loginSecurity.lockouts || 0);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  // only the request that crosses the threshold locks and emails
+  const result = await User.updateOne(
+    { userid: user.userid, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_ATTEMPTS } },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': lockedUntil },
+      $inc: { 'loginSecurity.lockouts': 1 }
+    }
+  );
+  if (result.modifiedCount === 0) return { locked: true, lockedUntil };
+
+  console.warn(`🔒 Account ${user.userid} locked for ${minutes} min after ${MAX_FAILED_ATTEMPTS} failed logins`);
+  await notify(user.email, 'Your CraftedClimate account has been temporarily locked', `
+    <p>Hi ${user.username},</p>
+    <p>We locked your <strong>CraftedClimate</strong> account for ${minutes} minutes after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts. The latest came from:</p>
+    ${requestDetails(req)}
+    <p>If this was you, wait until ${lockedUntil.toUTCString()} and try again, or <a href="${CONSOLE_URL}/forgot-password" target="_blank">reset your password</a>.</p>
+    <p>If it wasn't you, we recommend resetting your password and turning on two-factor authentication.</p>
+    <p>— The CraftedClimate Team</p>
+  `);
+
+  return { locked: true, lockedUntil };
+}
+
+/** Clear failed attempts and any lockout (admin unlock). */
+const clearFailedLogins = (userid) => User.updateOne(
+  { userid },
+  { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockouts': 0 }, $unset: { 'loginSecurity.lockedUntil': '' } }
+);
+
+/**
+ * A login completed (after 2FA, if any). Clears lockout state, remembers the IP and
+ * emails the owner when it is one they have not logged in from before.
+ */
+async function registerSuccessfulLogin(user, req) {
+  const knownIps = user.loginSecurity?.knownIps || [];
+  const newIp = Boolean(req.ip) && !knownIps.includes(req.ip);
+
+  const update = {
+    $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockouts': 0 },
+    $unset: { 'loginSecurity.lockedUntil': '' }
+  };
+  if (newIp) update.$push = { 'loginSecurity.knownIps': { $each: [req.ip], $slice: -KNOWN_IPS_LIMIT } };
+  await User.updateOne({ userid: user.userid }, update);
+  await recordLoginEvent(user, req, 'success', { newIp });
+
+  // the very first login has nothing to compare against
+  if (newIp && knownIps.length > 0) {
+    await notify(user.email, 'New sign-in to your CraftedClimate account', `
+      <p>Hi ${user.username},</p>
+      <p>Your <strong>CraftedClimate</strong> account was just signed in to from a new location:</p>
+      ${requestDetails(req)}
+      <p>If this was you, there's nothing to do.</p>
+      <p>If it wasn't, <a href="${CONSOLE_URL}/forgot-password" target="_blank">reset your password</a> now and review your active sessions.</p>
+      <p>— The CraftedClimate Team</p>
+    `);
+  }
+}
+
+module.exports = {
+  INVALID_LOGIN_MESSAGE,
+  MAX_FAILED_ATTEMPTS,
+  isLocked,
+  checkPassword,
+  recordLoginEvent,
+  registerFailedLogin,
+  clearFailedLogins,
+  registerSuccessfulLogin,
+};
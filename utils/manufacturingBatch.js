@@ -0,0 +1,239 @@
+// utils/manufacturingBatch.js
+const QRCode = require('qrcode');
+const AddDevice = require('../model/devices/addDevice');
+const SensorModel = require('../model/devices/deviceModels');
+const { claimCodeFor } = require('./claimCode');
+
+const MAX_BULK_ROWS = parseInt(process.env.MANUFACTURING_MAX_BULK_ROWS || '1000', 10);
+const CONSOLE_URL = process.env.CONSOLE_URL || 'https://console.craftedclimate.co';
+const BULK_FIELDS = ['devid', 'mac', 'model', 'type'];
+
+/** Split CSV text into rows of cells (RFC 4180 quoting, \n or \r\n line ends). */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Device rows from CSV with a header line naming (at least) devid, mac, model, type.
+ * An optional datapoints column takes a ';'-separated list.
+ *
+ * @returns {{ rows?: object[], error?: string }}
+ */
+function parseDeviceCsv(text) {
+  const [header, ...lines] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) return { error: 'CSV is empty' };
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const missing = BULK_FIELDS.filter(f => !columns.includes(f));
+  if (missing.length) return { error: `CSV header is missing: ${missing.join(', ')}` };
+
+  const rows = lines.map(cells => {
+    const row = Object.fromEntries(columns.map((c, i) => [c, (cells[i] ?? '').trim()]));
+    if (row.datapoints !== undefined) row.datapoints = row.datapoints.split(';').map(d => d.trim()).filter(Boolean);
+    return row;
+  });
+  return { rows };
+}
+
+/** Upper-case, colon-separated MAC, or null when it isn't one. */
+function normalizeMac(mac) {
+  const hex = String(mac || '').replace(/[^0-9a-f]/gi, '');
+  if (hex.length !== 12 || !/^[0-9a-f:\-.]+$/i.test(String(mac).trim())) return null;
+  return hex.toUpperCase().match(/.{2}/g).join(':');
+}
+
+/**
+ * Check every row against sensor_models, against each other and against existing devids/MACs.
+ *
+ * @param {object[]} input  rows of { devid, mac, model, type, datapoints? }
+ * @returns {Promise<{ report: object[], valid: boolean, models: Map<string, object> }>}
+ *   report has one entry per row: { row, devid, mac, model, errors }
+ */
+async function validateBulkRows(input) {
+  const modelKeys = [...new Set(input.map(r => String(r?.model || '').trim().toLowerCase()).filter(Boolean))];
+  const models = new Map((await SensorModel.find({ model: { $in: modelKeys } }).lean()).map(m => [m.model, m]));
+
+  const rows = input.map((raw, index) => ({
+    row: index + 1,
+    devid: String(raw?.devid ?? '').trim(),
+    mac: normalizeMac(raw?.mac),
+    rawMac: String(raw?.mac ?? '').trim(),
+    model: String(raw?.model ?? '').trim().toLowerCase(),
+    type: String(raw?.type ?? '').trim(),
+    datapoints: Array.isArray(raw?.datapoints) ? raw.datapoints.map(String) : undefined
+  }));
+
+  const existing = await AddDevice.find({
+    $or: [
+      { devid: { $in: rows.map(r => r.devid).filter(Boolean) } },
+      { mac: { $in: rows.flatMap(r => [r.mac, r.rawMac]).filter(Boolean) } }
+    ]
+  }).select('devid mac').lean();
+  const takenDevids = new Set(existing.map(d => d.devid));
+  const takenMacs = new Set(existing.map(d => normalizeMac(d.mac) || d.mac));
+
+  const seenDevids = new Map();
+  const seenMacs = new Map();
+  const report = rows.map(r => {
+    const errors = [];
+    BULK_FIELDS.filter(f => !(f === 'mac' ? r.rawMac : r[f])).forEach(f => errors.push(`${f} is required`));
+    if (r.rawMac && !r.mac) errors.push(`mac "${r.rawMac}" is not a valid MAC address`);
+
+    const model = models.get(r.model);
+    if (r.model && !model) errors.push(`model "${r.model}" not found in device models`);
+    if (model && r.datapoints) {
+      const known = new Set((model.datapoints || []).map(dp => dp.key));
+      const unknown = r.datapoints.filter(d => !known.has(d));
+      if (unknown.length) errors.push(`datapoints not in model "${r.model}": ${unknown.join(', ')}`);
+    }
+
+    if (r.devid) {
+      if (takenDevids.has(r.devid)) errors.push(`devid "${r.devid}" already exists`);
+      if (seenDevids.has(r.devid)) errors.push(`devid "${r.devid}" repeats row ${seenDevids.get(r.devid)}`);
+      else seenDevids.set(r.devid, r.row);
+    }
+    if (r.mac) {
+      if (takenMacs.has(r.mac)) errors.push(`mac "${r.mac}" already exists`);
+      if (seenMacs.has(r.mac)) errors.push(`mac "${r.mac}" repeats row ${seenMacs.get(r.mac)}`);
+      else seenMacs.set(r.mac, r.row);
+    }
+
+    return { ...r, errors };
+  });
+
+  return { report, valid: report.every(r => r.errors.length === 0), models };
+}
+
+/**
+ * What a unit's QR label encodes: the console claim link with its claim code, or null once the code
+ * is spent (serial and AUID are not printed in its place; rotate the code to relabel the unit).
+ * Expects records loaded with '+claim.nonce'.
+ */
+function labelPayload(device) {
+  const claimCode = claimCodeFor(device);
+  return claimCode ? `${CONSOLE_URL}/devices/claim?${new URLSearchParams({ code: claimCode })}` : null;
+}
+
+/** Labels for a batch (records loaded with '+claim.nonce'), each with its QR code as a PNG data URL. */
+async function buildLabels(devices) {
+  return Promise.all(devices.map(async d => {
+    const payload = labelPayload(d);
+    return {
+      manufacturingId: d.manufacturingId,
+      serial: d.serial,
+      auid: d.auid,
+      model: d.model,
+      sku: d.sku,
+      mac: d.mac,
+      claimCode: claimCodeFor(d),
+      payload,
+      qrCode: payload ? await QRCode.toDataURL(payload, { margin: 1, width: 160 }) : null
+    };
+  }));
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/** Printable A4 sheet of labels, three per row. */
+function renderLabelSheet(batchNumber, labels) {
+  const cells = labels.map(l => `
+    <div class="label">
+      ${l.qrCode ? `<img src="${l.qrCode}" alt="QR ${escapeHtml(l.serial)}">` : '<div class="claimed">Claimed</div>'}
+      <div>
+        <strong>${escapeHtml(l.sku)}</strong>
+        <div>S/N ${escapeHtml(l.serial)}</div>
+        <div class="small">MAC ${escapeHtml(l.mac)}</div>
+        <div class="small">${escapeHtml(batchNumber)}</div>
+      </div>
+    </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Labels ${escapeHtml(batchNumber)}</title>
+  <style>
+    @page { size: A4; margin: 10mm; }
+    body { font-family: Arial, sans-serif; margin: 0; }
+    .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; }
+    .label { display: flex; align-items: center; gap: 3mm; border: 1px dashed #999; padding: 3mm; break-inside: avoid; font-size: 11px; }
+    .label img, .label .claimed { width: 28mm; height: 28mm; }
+    .label .claimed { display: flex; align-items: center; justify-content: center; border: 1px solid #999; color: #999; }
+    .small { font-size: 9px; color: #444; }
+  </style>
+</head>
+<body>
+  <div class="sheet">${cells}
+  </div>
+</body>
+</html>`;
+}
+
+const escapeCsv = (v) => {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * CSV of a batch's identifiers, one unit per line. Once claimed, claimCode is empty and claimStatus
+ * says so: label printers must not fall back to serial and AUID, which can't register a unit.
+ */
+function batchCsv(devices) {
+  const columns = ['batchNumber', 'manufacturingId', 'devid', 'mac', 'model', 'sku', 'serial', 'auid', 'status', 'claimCode', 'claimStatus'];
+  const cell = (d, c) => {
+    if (c === 'claimCode') return claimCodeFor(d);
+    if (c === 'claimStatus') return claimCodeFor(d) ? 'unclaimed' : 'claimed';
+    return d[c];
+  };
+  return [
+    columns.join(','),
+    ...devices.map(d => columns.map(c => escapeCsv(cell(d, c))).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  MAX_BULK_ROWS,
+  parseDeviceCsv,
+  normalizeMac,
+  validateBulkRows,
+  labelPayload,
+  buildLabels,
+  renderLabelSheet,
+  batchCsv,
+};
@@ -0,0 +1,103 @@
+// utils/manufacturingLifecycle.js
+const addDevice = require('../model/devices/addDevice');
+const { newClaimNonce } = require('./claimCode');
+
+/**
+ * Allowed moves of a manufacturing record:
+ *
+ *   MANUFACTURED → QA_PASSED → SHIPPED → ASSIGNED → REGISTERED → RETIRED | RMA
+ *
+ * plus the side exits: units can be retired before shipping, returned (RMA) once shipped,
+ * go back through QA after repair, and drop from REGISTERED to ASSIGNED when decommissioned
+ * so they can be registered again.
+ */
+const TRANSITIONS = {
+  MANUFACTURED: ['QA_PASSED', 'RETIRED'],
+  QA_PASSED: ['SHIPPED', 'RETIRED'],
+  SHIPPED: ['ASSIGNED', 'RMA'],
+  ASSIGNED: ['REGISTERED', 'RMA', 'RETIRED'],
+  REGISTERED: ['ASSIGNED', 'RETIRED', 'RMA'],
+  RMA: ['QA_PASSED', 'RETIRED'],
+  RETIRED: [],
+};
+
+const LIFECYCLE_STATES = Object.keys(TRANSITIONS);
+
+// A user can register a unit once it has shipped; SHIPPED units pass through ASSIGNED on the way
+const REGISTRABLE_STATES = ['SHIPPED', 'ASSIGNED'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a manufacturing record to a new state, recording who did it and when. The update is
+ * conditional on the state it was read in, so concurrent transitions can't both apply.
+ * REGISTERED → ASSIGNED is only taken by decommissioning (utils/deviceOwnership.js), which also
+ * removes the registration; the unit gets a new claim code (its old one was spent) and the returned
+ * record then carries claim.nonce.
+ *
+ * @param {string} manufacturingId
+ * @param {string} to
+ * @param {{ by: string, note?: string, decommission?: boolean }} details  by: userid (or 'system')
+ * @returns {Promise<{ device?: object, status?: number, message?: string, allowed?: string[] }>}
+ */
+async function transitionDevice(manufacturingId, to, { by, note, decommission = false } = {}) {
+  if (!LIFECYCLE_STATES.includes(to)) {
+    return { status: 400, message: `status must be one of ${LIFECYCLE_STATES.join(', ')}` };
+  }
+
+  const current = await addDevice.findOne({ manufacturingId }).select('status').lean();
+  if (!current) return { status: 404, message: 'Device not found' };
+
+  const from = current.status;
+  if (!canTransition(from, to)) {
+    return { status: 409, message: `Cannot move a device from ${from} to ${to}`, allowed: TRANSITIONS[from] || [] };
+  }
+
+  const reissueClaim = from === 'REGISTERED' && to === 'ASSIGNED';
+  if (reissueClaim && !decommission) {
+    return { status: 409, message: 'A registered device goes back to ASSIGNED only by being decommissioned', allowed: TRANSITIONS[from].filter(s => s !== 'ASSIGNED') };
+  }
+
+  const at = new Date();
+  const update = addDevice.findOneAndUpdate(
+    { manufacturingId, status: from },
+    {
+      $set: {
+        status: to,
+        statusChangedAt: at,
+        statusChangedBy: by,
+        ...(reissueClaim && { 'claim.nonce': newClaimNonce(), 'claim.issuedAt': at, 'claim.rotatedBy': by })
+      },
+      $push: { statusHistory: { from, to, by, note, at } },
+      ...(reissueClaim && { $unset: { 'claim.claimedAt': '', 'claim.claimedBy': '' } })
+    },
+    { new: true }
+  );
+  const device = await (reissueClaim ? update.select('+claim.nonce') : update);
+  if (!device) return { status: 409, message: 'The device changed state meanwhile, please retry' };
+
+  console.log(`🏭 ${manufacturingId}: ${from} → ${to} by ${by}`);
+  return { device };
+}
+
+/**
+ * Take a registrable record to REGISTERED, via ASSIGNED when it is still SHIPPED.
+ * @returns {Promise<{ device?: object, status?: number, message?: string }>}
+ */
+async function markRegistered(manufacturingId, by) {
+  const current = await addDevice.findOne({ manufacturingId }).select('status').lean();
+  if (current?.status === 'SHIPPED') {
+    const assigned = await transitionDevice(manufacturingId, 'ASSIGNED', { by, note: 'registration' });
+    if (assigned.status) return assigned;
+  }
+  return transitionDevice(manufacturingId, 'REGISTERED', { by });
+}
+
+module.exports = {
+  TRANSITIONS,
+  LIFECYCLE_STATES,
+  REGISTRABLE_STATES,
+  canTransition,
+  transitionDevice,
+  markRegistered,
+};
@@ -0,0 +1,78 @@
+// utils/migrations/normalizeContacts.js
+//
+// Rewrite every stored user contact into E.164 and record its country.
+//   node utils/migrations/normalizeContacts.js            apply
+//   node utils/migrations/normalizeContacts.js --dry-run  report only
+//
+// Numbers that don't parse, and every number of a group that normalizes to the same E.164
+// (whether or not one of them is stored that way already), are left untouched and listed
+// for manual follow-up.
+const mongoose = require('mongoose');
+const connectDB = require('../../config/database/mongodb');
+const User = require('../../model/user/userModel');
+const { normalizePhone, defaultPhoneCountryFor } = require('../phone');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await connectDB();
+
+  const users = await User.find({ contact: { $nin: [null, ''] } })
+    .select('userid contact contactCountry organization')
+    .lean();
+
+  // normalize everything first, so a collision is seen whichever user comes first
+  const invalid = [];
+  const byNumber = new Map(); // e164 → [{ user, phone }]
+  for (const user of users) {
+    const phone = normalizePhone(user.contact, await defaultPhoneCountryFor(user.organization));
+    if (phone.error) {
+      invalid.push({ userid: user.userid, contact: user.contact });
+      continue;
+    }
+    byNumber.set(phone.e164, [...(byNumber.get(phone.e164) || []), { user, phone }]);
+  }
+
+  // every member of a colliding group is left as is, including one already stored in E.164
+  const updates = [];
+  const duplicates = [];
+  for (const [e164, group] of byNumber) {
+    if (group.length > 1) {
+      group.forEach(({ user }) => duplicates.push({
+        userid: user.userid,
+        contact: user.contact,
+        e164,
+        sameAs: group.filter(g => g.user.userid !== user.userid).map(g => g.user.userid)
+      }));
+      continue;
+    }
+
+    const [{ user, phone }] = group;
+    if (phone.e164 !== user.contact || phone.country !== user.contactCountry) {
+      updates.push({ userid: user.userid, from: user.contact, contact: phone.e164, contactCountry: phone.country });
+    }
+  }
+
+  console.log(`📞 ${users.length} contacts checked: ${updates.length} to rewrite, ${invalid.length} invalid, ${duplicates.length} duplicates`);
+  updates.forEach(u => console.log(`   ${u.userid}: ${u.from} → ${u.contact} (${u.contactCountry})`));
+  invalid.forEach(u => console.warn(`⚠️ ${u.userid}: cannot parse "${u.contact}"`));
+  duplicates.forEach(u => console.warn(`⚠️ ${u.userid}: "${u.contact}" is ${u.e164}, also the number of ${u.sameAs.join(', ')}`));
+
+  if (!dryRun && updates.length > 0) {
+    const result = await User.bulkWrite(updates.map(u => ({
+      updateOne: {
+        filter: { userid: u.userid, contact: u.from },
+        update: { $set: { contact: u.contact, contactCountry: u.contactCountry } }
+      }
+    })));
+    console.log(`✅ Rewrote ${result.modifiedCount} contacts`);
+  } else if (dryRun) {
+    console.log('ℹ️ Dry run: nothing written');
+  }
+
+  await mongoose.disconnect();
+})().catch(async (err) => {
+  console.error('❌ Contact migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
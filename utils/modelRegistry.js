@@ -1,11 +1,222 @@
+// utils/modelRegistry.js
 const EnvTelemetry = require('../model/telemetry/envModel');
-// const GasTelemetry = require('../model/telemetry/gasTelemetry');
-// Add more models as needed...
+const GasSoloTelemetry = require('../model/telemetry/gasSoloModel');
+const AquaTelemetry = require('../model/telemetry/aquaModel');
+const { batteryPercentage } = require('./batteryPercentage');
+const { calculateAQI } = require('./aqiFunction');
+const SensorModel = require('../model/devices/deviceModels');
+const { getNum } = require('./telemetryNormalizers');
 
-const telemetryModels = {
-  env: EnvTelemetry,
-  // gas: GasTelemetry,
-  // terra: TerraTelemetry,
-};
+/**
+ * Telemetry model registry.
+ *
+ * A device family declares everything the ingest, flush and read paths need:
+ *
+ * @typedef {Object} TelemetryFamily
+ * @property {string}   key         Canonical model key (registerDevice.model / Redis metadata.model)
+ * @property {string[]} [aliases]   Other model names resolving to this family
+ * @property {string[]} [devmods]   `body.devmod` values routed here (case-insensitive)
+ * @property {string[]} [devids]    Devids routed here regardless of devmod
+ * @property {string}   [icon]      Log prefix used by the telemetry worker
+ * @property {Mongoose.Model|null} mongoModel  Model the flush pipeline persists to (null = cache only)
+ * @property {object[]} [datapoints] Default datapoint schema, overridden by sensor_models.datapoints
+ * @property {number}   [expectedIntervalSec] Normal reporting interval, overridden by sensor_models.expectedIntervalSec
+ * @property {(record: object, body: object) => object} [derive]        Extra computed fields
+ */
+
+// Reporting interval assumed for families that don't declare one
+const DEFAULT_EXPECTED_INTERVAL_SEC = parseInt(process.env.TELEMETRY_EXPECTED_INTERVAL_SEC || '600', 10);
+
+const families = new Map(); // key -> family
+const modelIndex = new Map(); // key/alias -> family
+const devmodIndex = new Map(); // DEVMOD -> family
+const devidIndex = new Map(); // devid -> family
+
+function registerTelemetryFamily(family) {
+  if (!family || !family.key) {
+    throw new Error('Telemetry family requires a key');
+  }
+
+  const key = family.key.toLowerCase();
+  if (families.has(key)) {
+    throw new Error(`Telemetry family "${key}" is already registered`);
+  }
+
+  const entry = {
+    aliases: [],
+    devmods: [],
+    devids: [],
+    icon: '📡',
+    mongoModel: null,
+    datapoints: [],
+    expectedIntervalSec: DEFAULT_EXPECTED_INTERVAL_SEC,
+    derive: () => ({}),
+    ...family,
+    key,
+  };
+
+  families.set(key, entry);
+  for (const name of [key, ...entry.aliases]) modelIndex.set(name.toLowerCase(), entry);
+  for (const devmod of entry.devmods) devmodIndex.set(devmod.toUpperCase(), entry);
+  for (const devid of entry.devids) devidIndex.set(String(devid), entry);
+
+  return entry;
+}
+
+/** Look up a family by model key or alias (case-insensitive). */
+function getTelemetryFamily(model) {
+  if (!model) return null;
+  return modelIndex.get(String(model).trim().toLowerCase()) || null;
+}
+
+/** Pick the family for a queued payload: explicit devid routes win over devmod. */
+function resolveTelemetryFamily({ devid, devmod } = {}) {
+  if (devid != null && devidIndex.has(String(devid))) return devidIndex.get(String(devid));
+  if (devmod) return devmodIndex.get(String(devmod).toUpperCase()) || null;
+  return null;
+}
+
+/**
+ * Fallback for devmods no built-in family claims: a `sensor_models` document whose
+ * model matches the devmod and that defines datapoints becomes a cache-only family,
+ * so a new model needs no handler code.
+ */
+async function loadSensorModelFamily(devmod) {
+  if (!devmod) return null;
+  const model = String(devmod).trim().toLowerCase();
+
+  const existing = getTelemetryFamily(model);
+  if (existing) return existing;
+
+  const doc = await SensorModel.findOne({ model, 'datapoints.0': { $exists: true } }).select('model').lean();
+  if (!doc) return null;
+
+  // another job may have registered it while we were waiting on Mongo
+  return getTelemetryFamily(doc.model) || registerTelemetryFamily({ key: doc.model, devmods: [String(devmod)] });
+}
 
-module.exports = telemetryModels;
+/** Mongo model for a model key/alias, or null when it is unknown or cache-only. */
+function getMongoModel(model) {
+  const family = getTelemetryFamily(model);
+  return family ? family.mongoModel : null;
+}
+
+/** Canonical keys of the families that persist to Mongo. */
+function listPersistedModels() {
+  return [...families.values()].filter(f => f.mongoModel).map(f => f.key);
+}
+
+// Mongo bookkeeping paths that are not telemetry columns
+const NON_COLUMN_PATHS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'towerInfo']);
+// Identity, timestamps and derived metrics are kept even when a device lists its datapoints
+const BASE_COLUMNS = new Set(['auid', 'transport_time', 'telem_time', 'aqi', 'battery', 'error']);
+
+/**
+ * Flat column list (schema declaration order) for a persisted family, e.g. for CSV export.
+ * When `datapoints` (a device's registered datapoints) is non-empty, sensor columns are
+ * limited to those.
+ */
+function getTelemetryColumns(family, datapoints = []) {
+  if (!family?.mongoModel) return [];
+  const columns = Object.keys(family.mongoModel.schema.paths).filter(p => !NON_COLUMN_PATHS.has(p));
+  if (!datapoints.length) return columns;
+
+  const wanted = new Set(datapoints);
+  return columns.filter(c => BASE_COLUMNS.has(c) || wanted.has(c));
+}
+
+/** Numeric telemetry fields of a persisted family (what aggregation can summarize). */
+function getTelemetryMetrics(family) {
+  if (!family?.mongoModel) return [];
+  const { paths } = family.mongoModel.schema;
+  return getTelemetryColumns(family).filter(p => paths[p].instance === 'Number');
+}
+
+function listTelemetryFamilies() {
+  return [...families.values()];
+}
+
+/* -------------------- built-in families -------------------- */
+
+// Shorthand for the default datapoint schemas below
+const dp = (key, unit, min, max, extra = {}) => ({ key, unit, type: 'number', min, max, ...extra });
+
+registerTelemetryFamily({
+  key: 'env',
+  aliases: ['environment', 'crowdsense-env'],
+  devmods: ['ENV'],
+  devids: ['2af0', '2af1', '2af2'], // Afriset units report without devmod
+  icon: '🌿',
+  mongoModel: EnvTelemetry,
+  datapoints: [
+    dp('temperature', '°C', -40, 85, { aliases: ['temp'] }),
+    dp('humidity', '%', 0, 100),
+    dp('pressure', 'hPa', 300, 1100),
+    dp('sound', 'dB', 0, 150),
+    dp('current', 'mA'),
+    dp('pm1', 'µg/m³', 0, 1000),
+    dp('pm2_5', 'µg/m³', 0, 1000),
+    dp('pm10', 'µg/m³', 0, 1000),
+    // v2-only fields → null when missing in v1
+    dp('pm1s', 'µg/m³', 0, 1000),
+    dp('pm2_5s', 'µg/m³', 0, 1000),
+    dp('pm10s', 'µg/m³', 0, 1000),
+    dp('lux', 'lx', 0, 200000),
+    dp('uv', 'index', 0, 20),
+  ],
+  derive: (record, body) => ({
+    battery: getNum(body.voltage, null) === null ? null : batteryPercentage(getNum(body.voltage)),
+    aqi: record.pm2_5 === null ? null : calculateAQI(record.pm2_5),
+  }),
+});
+
+registerTelemetryFamily({
+  key: 'gas-solo',
+  aliases: ['gassolo'],
+  devmods: ['GAS-SOLO'],
+  icon: '🧪',
+  mongoModel: GasSoloTelemetry,
+  datapoints: [
+    dp('temperature', '°C', -40, 85, { aliases: ['temp'] }),
+    dp('humidity', '%', 0, 100),
+    dp('pressure', 'hPa', 300, 1100),
+    dp('aqi', 'index', 0, 500),
+    dp('current', 'mA'),
+    dp('eco2_ppm', 'ppm', 0, 65000),
+    dp('tvoc_ppb', 'ppb', 0, 65000),
+    dp('voltage', 'V', 0, 6),
+  ],
+  derive: (record) => ({ battery: record.voltage === null ? null : batteryPercentage(record.voltage) }),
+});
+
+registerTelemetryFamily({
+  key: 'aqua',
+  devmods: ['AQUA'],
+  icon: '💧',
+  mongoModel: AquaTelemetry,
+  datapoints: [
+    dp('ec', 'µS/cm', 0, 200000),
+    dp('humidity', '%', 0, 100),
+    dp('temperature_water', '°C', -5, 60),
+    dp('temperature_ambient', '°C', -40, 85),
+    dp('pressure', 'hPa', 300, 1100),
+    dp('ph', 'pH', 0, 14),
+    dp('lux', 'lx', 0, 200000),
+    dp('turbidity', 'NTU', 0, 4000),
+    dp('voltage', 'V', 0, 6),
+    dp('current', 'mA'),
+  ],
+  derive: (record) => ({ battery: record.voltage === null ? null : batteryPercentage(record.voltage) }),
+});
+
+module.exports = {
+  registerTelemetryFamily,
+  getTelemetryFamily,
+  resolveTelemetryFamily,
+  loadSensorModelFamily,
+  getMongoModel,
+  listPersistedModels,
+  listTelemetryFamilies,
+  getTelemetryColumns,
+  getTelemetryMetrics,
+};
@@ -0,0 +1,71 @@
+// utils/organization.js
+const Organization = require('../model/organization/organizationModel');
+const User = require('../model/user/userModel');
+
+// How long an organization invitation can be accepted
+const INVITATION_TTL_HOURS = parseInt(process.env.ORG_INVITATION_TTL_HOURS || '72', 10);
+
+/** 'pending' | 'accepted' | 'revoked' | 'expired' */
+function invitationStatus(invitation, now = new Date()) {
+  if (invitation.accepted) return 'accepted';
+  if (invitation.revoked) return 'revoked';
+  if (invitation.expiresAt <= now) return 'expired';
+  return 'pending';
+}
+
+/** Filter matching invitations that can still be accepted. */
+const pendingInvitationFilter = (now = new Date()) => ({
+  accepted: false,
+  revoked: { $ne: true },
+  expiresAt: { $gt: now }
+});
+
+/**
+ * Add a user to an organization: collaborator entry on the organization, the
+ * organization and its deployments on the user. Idempotent.
+ *
+ * @param {string} organizationId
+ * @param {string} userid
+ * @param {'ADMIN'|'MODERATOR'} accessLevel
+ * @returns {Promise<object|null>} the organization, or null when it does not exist
+ */
+async function joinOrganization(organizationId, userid, accessLevel = 'MODERATOR') {
+  const organization = await Organization.findOne({ organizationId });
+  if (!organization) return null;
+
+  if (!organization.collaborators.some(c => c.userId === userid)) {
+    organization.collaborators.push({ userId: userid, accessLevel, permissions: [] });
+    await organization.save();
+  }
+
+  await User.updateOne(
+    { userid },
+    {
+      $addToSet: {
+        organization: organization.organizationId,
+        deployments: { $each: organization.deployments || [] }
+      }
+    }
+  );
+
+  return organization;
+}
+
+/** The user's collaborator entry in an organization, or undefined. */
+function findMember(organization, userid) {
+  return (organization?.collaborators || []).find(c => c.userId === userid);
+}
+
+/** Organization ADMIN, or a platform admin. */
+function isOrganizationAdmin(organization, user) {
+  return user?.role === 'admin' || findMember(organization, user?.userid)?.accessLevel === 'ADMIN';
+}
+
+module.exports = {
+  INVITATION_TTL_HOURS,
+  invitationStatus,
+  pendingInvitationFilter,
+  joinOrganization,
+  findMember,
+  isOrganizationAdmin,
+};
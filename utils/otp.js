@@ -0,0 +1,134 @@
+// utils/otp.js
+const crypto = require('crypto');
+const User = require('../model/user/userModel');
+const { sendSMS } = require('../config/sms/sms');
+const { sendEmail } = require('../config/mail/nodemailer');
+
+const OTP_CHANNELS = ['sms', 'email'];
+const OTP_TTL_MINUTES = 15;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_COOLDOWN_MS = 3 * 60 * 1000;
+
+const PURPOSES = {
+  verify: { sms: 'Your CraftedClimate OTP is', subject: 'Verify your CraftedClimate account', action: 'verify your account' },
+  reset_password: { sms: 'Your CraftedClimate OTP for password reset is', subject: 'Your CraftedClimate password reset code', action: 'reset your password' },
+};
+
+// Keyed so a leaked database can't be brute-forced over the 6-digit space without the server secret
+const hashOtp = (userid, code) => crypto
+  .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.ACCESS_TOKEN_SECRET || '')
+  .update(`${userid}:${String(code).trim()}`)
+  .digest('hex');
+
+/**
+ * Channel to deliver on: the requested one, else the user's preference, else SMS when
+ * there is a phone number. SMS falls back to email when the user has no contact.
+ */
+function resolveOtpChannel(user, requested) {
+  let channel = OTP_CHANNELS.includes(requested) ? requested : user.otpChannel;
+  if (!OTP_CHANNELS.includes(channel)) channel = user.contact ? 'sms' : 'email';
+  if (channel === 'sms' && !user.contact) channel = 'email';
+  return channel;
+}
+
+/** Partly hidden destination for responses, e.g. "2332****567" or "ab***@example.com". */
+function maskDestination(user, channel) {
+  if (channel === 'email') {
+    const [name, domain] = String(user.email).split('@');
+    return `${name.slice(0, 2)}***@${domain}`;
+  }
+  const contact = String(user.contact);
+  return `${contact.slice(0, 4)}****${contact.slice(-3)}`;
+}
+
+async function deliverOtp(user, code, purpose, channel) {
+  const text = PURPOSES[purpose];
+  if (channel === 'sms') {
+    return sendSMS(user.contact, `${text.sms} ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+  }
+
+  const emailContent = `
+    <p>Hi ${user.username},</p>
+    <p>Use this code to ${text.action} on <strong>CraftedClimate</strong>:</p>
+    <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+    <p>It expires in ${OTP_TTL_MINUTES} minutes. If you didn't request it, you can ignore this email.</p>
+    <p>— The CraftedClimate Team</p>
+  `;
+  const info = await sendEmail(user.email, text.subject, emailContent);
+  if (!info) throw new Error('Email delivery failed');
+  return info;
+}
+
+/**
+ * Generate, store (hashed) and send an OTP, replacing any pending one.
+ *
+ * @param {object} user  User document
+ * @param {'verify'|'reset_password'} purpose
+ * @param {string} [requestedChannel]  'sms' | 'email'
+ * @param {{ skipCooldown?: boolean }} [options]
+ * @returns {Promise<{ channel?: string, destination?: string, status?: number, message?: string }>}
+ */
+async function issueOtp(user, purpose, requestedChannel, { skipCooldown = false } = {}) {
+  const now = new Date();
+  const lastSent = user.oneTimePassword?.lastSentAt || new Date(0);
+  if (!skipCooldown && now - lastSent < OTP_RESEND_COOLDOWN_MS) {
+    return { status: 400, message: 'Please wait 3 minutes before requesting another OTP.' };
+  }
+
+  const channel = resolveOtpChannel(user, requestedChannel);
+  const code = String(crypto.randomInt(100000, 1000000));
+
+  user.oneTimePassword = {
+    hash: hashOtp(user.userid, code),
+    purpose,
+    channel,
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+    attempts: 0,
+    lastSentAt: now,
+  };
+  await user.save();
+
+  await deliverOtp(user, code, purpose, channel);
+  return { channel, destination: maskDestination(user, channel) };
+}
+
+/**
+ * Check an OTP for a purpose and spend it on success. Each check counts as an attempt;
+ * after OTP_MAX_ATTEMPTS the code is discarded and a new one must be requested.
+ *
+ * @returns {Promise<{ ok: true }|{ ok: false, message: string, attemptsRemaining?: number }>}
+ */
+async function verifyOtp(userid, purpose, code) {
+  const user = await User.findOneAndUpdate(
+    { userid, 'oneTimePassword.purpose': purpose },
+    { $inc: { 'oneTimePassword.attempts': 1 } },
+    { new: true }
+  ).select('+oneTimePassword.hash').lean();
+
+  const otp = user?.oneTimePassword;
+  if (!otp?.hash) return { ok: false, message: 'Invalid OTP' };
+
+  if (new Date() > otp.expiresAt) return { ok: false, message: 'Expired OTP' };
+
+  if (otp.attempts > OTP_MAX_ATTEMPTS) {
+    await User.updateOne({ userid, 'oneTimePassword.hash': otp.hash }, { $unset: { oneTimePassword: '' } });
+    return { ok: false, message: 'Too many invalid attempts. Please request a new OTP.' };
+  }
+
+  const expected = Buffer.from(otp.hash, 'hex');
+  const given = Buffer.from(hashOtp(userid, code), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, message: 'Invalid OTP', attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - otp.attempts, 0) };
+  }
+
+  // conditional on the hash so two concurrent checks can't both spend the same code
+  const spent = await User.updateOne({ userid, 'oneTimePassword.hash': otp.hash }, { $unset: { oneTimePassword: '' } });
+  return spent.modifiedCount === 1 ? { ok: true } : { ok: false, message: 'Invalid OTP' };
+}
+
+module.exports = {
+  OTP_CHANNELS,
+  resolveOtpChannel,
+  issueOtp,
+  verifyOtp,
+};
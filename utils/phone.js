@@ -0,0 +1,60 @@
+// utils/phone.js
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+const Organization = require('../model/organization/organizationModel');
+
+// Country assumed for numbers written without a country code (ISO 3166-1 alpha-2)
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'GH').toUpperCase();
+
+const isSupportedPhoneCountry = (country) => typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+
+/**
+ * Parse and validate a phone number into E.164.
+ *
+ * Accepts international numbers (+233…, 00233…), national numbers for the default country
+ * (024…), and the legacy stored form of country code + number without '+' (233…).
+ *
+ * @param {string} input
+ * @param {string} [defaultCountry]  ISO alpha-2 used for national numbers
+ * @returns {{ e164: string, country: string|undefined }|{ error: string }}
+ */
+function normalizePhone(input, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const raw = String(input ?? '').trim();
+  if (!raw) return { error: 'Phone number is empty' };
+
+  const country = isSupportedPhoneCountry(defaultCountry) ? defaultCountry.toUpperCase() : DEFAULT_PHONE_COUNTRY;
+  let candidate = raw.replace(/[\s\-().]/g, '');
+  if (candidate.startsWith('00')) candidate = `+${candidate.slice(2)}`;
+
+  const attempts = [parsePhoneNumberFromString(candidate, country)];
+  if (/^[1-9]\d+$/.test(candidate)) attempts.push(parsePhoneNumberFromString(`+${candidate}`));
+
+  const phone = attempts.find(p => p?.isValid());
+  if (!phone) return { error: `Invalid phone number: ${raw}` };
+  return { e164: phone.number, country: phone.country };
+}
+
+/**
+ * Default country for a user's numbers: the first of their organizations that sets one,
+ * else the deployment-wide DEFAULT_PHONE_COUNTRY.
+ *
+ * @param {string[]} organizationIds
+ * @returns {Promise<string>}
+ */
+async function defaultPhoneCountryFor(organizationIds = []) {
+  if (organizationIds.length === 0) return DEFAULT_PHONE_COUNTRY;
+  const orgs = await Organization.find({
+    organizationId: { $in: organizationIds },
+    defaultPhoneCountry: { $exists: true, $ne: null }
+  }).select('organizationId defaultPhoneCountry').lean();
+
+  const byId = Object.fromEntries(orgs.map(o => [o.organizationId, o.defaultPhoneCountry]));
+  const first = organizationIds.find(id => byId[id]);
+  return first ? byId[first] : DEFAULT_PHONE_COUNTRY;
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  isSupportedPhoneCountry,
+  normalizePhone,
+  defaultPhoneCountryFor,
+};
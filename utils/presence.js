@@ -0,0 +1,271 @@
+// utils/presence.js
+const registerNewDevice = require('../model/devices/registerDevice');
+const DeviceStatusEvent = require('../model/devices/deviceStatusEventModel');
+const { getExpectedIntervalSec } = require('./telemetryNormalizers');
+const { parseTimeParam } = require('./telemetryQuery');
+const { INTERVALS, floorToInterval } = require('./telemetryAggregation');
+const { TIERS, getTier, retentionCutoff } = require('./telemetryRollup');
+const { publishStatus } = require('../config/socket/socketio');
+
+// A device is offline once it has missed this many expected reports
+const MISSED_INTERVALS = parseFloat(process.env.PRESENCE_MISSED_INTERVALS || '3');
+// Consecutive readings further apart than this many expected intervals are logged as a gap
+const GAP_FACTOR = parseFloat(process.env.PRESENCE_GAP_FACTOR || '2');
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const PRESENCE_EVENTS = { $in: ['online', 'offline'] };
+
+async function recordTransition(auid, event, source, at, lastSeen) {
+  await DeviceStatusEvent.create({ auid, event, source, at, lastSeen });
+  publishStatus(auid, { auid, status: event, at, lastSeen });
+  console.log(`${event === 'online' ? '🟢' : '🔴'} ${auid} is ${event} (${source})`);
+}
+
+/**
+ * Log a gap event when this reading's telem_time is further from the device's previous
+ * one than expected. Out-of-order readings (older than the newest seen) are ignored.
+ */
+async function detectGap(auid, telemTime, intervalSec) {
+  const t = parseTimeParam(telemTime);
+  if (!t || t.getTime() <= 0 || t.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return;
+
+  const prev = await registerNewDevice.findOneAndUpdate(
+    { auid, $or: [{ lastTelemTime: { $lt: t } }, { lastTelemTime: null }] },
+    { $set: { lastTelemTime: t } },
+    { new: false, projection: { lastTelemTime: 1 } }
+  ).lean();
+  if (!prev?.lastTelemTime) return;
+
+  const gapMs = t - prev.lastTelemTime;
+  if (gapMs <= intervalSec * GAP_FACTOR * 1000) return;
+
+  await DeviceStatusEvent.create({
+    auid,
+    event: 'gap',
+    source: 'ingest',
+    at: prev.lastTelemTime,
+    gapStart: prev.lastTelemTime,
+    gapEnd: t,
+    gapSeconds: Math.round(gapMs / 1000),
+    expectedIntervalSec: intervalSec,
+  });
+  console.log(`🕳️ ${auid} reporting gap of ${Math.round(gapMs / 1000)}s before ${t.toISOString()}`);
+}
+
+/**
+ * Record that telemetry arrived for a device: refresh lastSeen and its offline deadline,
+ * flip it online (with a status event) if it wasn't already, and log any reporting gap.
+ *
+ * @param {object} family  Entry from utils/modelRegistry
+ * @param {string} auid
+ * @param {number|string|Date} [telemTime]  Reading's telem_time (epoch s/ms or ISO)
+ * @param {Date} [seenAt]
+ */
+async function markSeen(family, auid, telemTime, seenAt = new Date()) {
+  try {
+    const intervalSec = await getExpectedIntervalSec(family);
+    await detectGap(auid, telemTime, intervalSec);
+
+    const presenceExpiresAt = new Date(seenAt.getTime() + intervalSec * MISSED_INTERVALS * 1000);
+
+    // Common case: already online, just push the deadline out
+    const refreshed = await registerNewDevice.updateOne(
+      { auid, status: 'online' },
+      { $set: { lastSeen: seenAt, presenceExpiresAt } }
+    );
+    if (refreshed.matchedCount > 0) return;
+
+    const flipped = await registerNewDevice.updateOne(
+      { auid, status: { $ne: 'online' } },
+      { $set: { status: 'online', statusChangedAt: seenAt, lastSeen: seenAt, presenceExpiresAt } }
+    );
+    if (flipped.modifiedCount > 0) {
+      await recordTransition(auid, 'online', 'telemetry', seenAt, seenAt);
+    }
+  } catch (err) {
+    console.error(`❌ markSeen ${auid} error:`, err.message);
+  }
+}
+
+/** Flip every online device whose deadline has passed to offline. */
+async function sweepOffline(now = new Date()) {
+  const stale = await registerNewDevice
+    .find({ status: 'online', presenceExpiresAt: { $lte: now } })
+    .select('auid lastSeen')
+    .lean();
+
+  let flipped = 0;
+  for (const device of stale) {
+    try {
+      // re-check: a reading may have arrived since the find
+      const res = await registerNewDevice.updateOne(
+        { auid: device.auid, status: 'online', presenceExpiresAt: { $lte: now } },
+        { $set: { status: 'offline', statusChangedAt: now } }
+      );
+      if (res.modifiedCount === 0) continue;
+
+      // the device dropped after its last reading, not when we noticed
+      await recordTransition(device.auid, 'offline', 'timeout', device.lastSeen || now, device.lastSeen);
+      flipped++;
+    } catch (err) {
+      console.error(`❌ sweepOffline ${device.auid} error:`, err.message);
+    }
+  }
+
+  return flipped;
+}
+
+/**
+ * Online time of a device over [from, to], replayed from device_status_events.
+ * The state at `from` is taken from the last event before it (offline when there is none).
+ *
+ * @returns {{ onlineSeconds: number, rangeSeconds: number, uptimePct: number|null }}
+ */
+async function computeUptime(auid, from, to) {
+  const end = new Date(Math.min(to.getTime(), Date.now()));
+  const rangeMs = Math.max(end - from, 0);
+
+  const [before, events] = await Promise.all([
+    DeviceStatusEvent.findOne({ auid, event: PRESENCE_EVENTS, at: { $lt: from } }).sort({ at: -1 }).select('event').lean(),
+    DeviceStatusEvent.find({ auid, event: PRESENCE_EVENTS, at: { $gte: from, $lte: end } }).sort({ at: 1 }).select('event at').lean(),
+  ]);
+
+  let state = before?.event || 'offline';
+  let cursor = from;
+  let onlineMs = 0;
+  for (const e of events) {
+    if (state === 'online') onlineMs += e.at - cursor;
+    state = e.event;
+    cursor = e.at;
+  }
+  if (state === 'online') onlineMs += end - cursor;
+
+  return {
+    onlineSeconds: Math.round(onlineMs / 1000),
+    rangeSeconds: Math.round(rangeMs / 1000),
+    uptimePct: rangeMs > 0 ? Math.round((onlineMs / rangeMs) * 10000) / 100 : null,
+  };
+}
+
+/** Sort and merge overlapping [start, end] windows. */
+function mergeWindows(windows) {
+  const sorted = windows.filter(w => w.end > w.start).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const w of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && w.start <= last.end) {
+      if (w.end > last.end) last.end = w.end;
+      last.ongoing = last.ongoing || w.ongoing;
+    } else {
+      merged.push({ ...w });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Readings stored for a device in [from, end]. Raw readings only go back as far as the raw tier's
+ * retention, so an older start is counted from the finest rollup tier still covering it: its
+ * whole buckets up to the first bucket boundary inside raw retention, raw readings after that.
+ */
+async function countReadings(family, auid, from, end) {
+  const rawCutoff = retentionCutoff(getTier('raw'));
+  if (!rawCutoff || from >= rawCutoff) {
+    return family.mongoModel.countDocuments({ auid, transport_time: { $gte: from, $lte: end } });
+  }
+
+  const rollupTiers = TIERS.filter(t => t.rollupModel);
+  const tier = rollupTiers.find(t => {
+    const cutoff = retentionCutoff(t);
+    return !cutoff || from >= cutoff;
+  }) || rollupTiers[rollupTiers.length - 1];
+  const nextBoundary = floorToInterval(rawCutoff, tier.interval).getTime() + INTERVALS[tier.interval].ms;
+  const split = new Date(Math.min(nextBoundary, end.getTime()));
+
+  const [rolled] = await tier.rollupModel.aggregate([
+    { $match: { auid, bucket: { $gte: from, $lt: split } } },
+    { $group: { _id: null, count: { $sum: '$count' } } },
+  ]);
+  const raw = split < end
+    ? await family.mongoModel.countDocuments({ auid, transport_time: { $gte: split, $lte: end } })
+    : 0;
+  return (rolled?.count || 0) + raw;
+}
+
+/**
+ * Connectivity report for one device over [from, to]: outage windows (offline periods from
+ * presence transitions merged with telem_time gaps), total downtime, longest gap, and data
+ * completeness (readings stored vs. readings expected at the model's reporting interval).
+ *
+ * @param {object|null} family  Telemetry family of the device (for interval and stored readings)
+ * @param {string} auid
+ * @param {Date} from
+ * @param {Date} to
+ */
+async function buildConnectivityReport(family, auid, from, to) {
+  const end = new Date(Math.min(to.getTime(), Date.now()));
+  const rangeMs = Math.max(end - from, 0);
+  const intervalSec = family ? await getExpectedIntervalSec(family) : null;
+
+  const [before, transitions, gaps] = await Promise.all([
+    DeviceStatusEvent.findOne({ auid, event: PRESENCE_EVENTS, at: { $lt: from } }).sort({ at: -1 }).select('event').lean(),
+    DeviceStatusEvent.find({ auid, event: PRESENCE_EVENTS, at: { $gte: from, $lte: end } }).sort({ at: 1 }).lean(),
+    DeviceStatusEvent.find({ auid, event: 'gap', gapStart: { $lt: end }, gapEnd: { $gt: from } }).lean(),
+  ]);
+
+  const windows = [];
+  let offlineSince = before?.event === 'offline' ? from : null;
+  for (const e of transitions) {
+    if (e.event === 'offline' && !offlineSince) offlineSince = e.at;
+    if (e.event === 'online' && offlineSince) {
+      windows.push({ start: offlineSince, end: e.at, ongoing: false });
+      offlineSince = null;
+    }
+  }
+  if (offlineSince) windows.push({ start: offlineSince, end, ongoing: true });
+  for (const g of gaps) windows.push({ start: g.gapStart, end: g.gapEnd, ongoing: false });
+
+  const outages = mergeWindows(windows.map(w => ({
+    start: new Date(Math.max(w.start, from)),
+    end: new Date(Math.min(w.end, end)),
+    ongoing: w.ongoing,
+  }))).map(w => ({ ...w, durationSeconds: Math.round((w.end - w.start) / 1000) }));
+
+  const totalDowntimeSeconds = outages.reduce((sum, w) => sum + w.durationSeconds, 0);
+  const longestGap = outages.reduce((max, w) => (!max || w.durationSeconds > max.durationSeconds ? w : max), null);
+
+  let readings = null;
+  let expectedReadings = null;
+  let completenessPct = null;
+  if (family?.mongoModel && intervalSec) {
+    readings = await countReadings(family, auid, from, end);
+    expectedReadings = Math.floor(rangeMs / 1000 / intervalSec);
+    completenessPct = expectedReadings > 0
+      ? Math.min(100, Math.round((readings / expectedReadings) * 10000) / 100)
+      : null;
+  }
+
+  return {
+    auid,
+    start: from,
+    end,
+    expectedIntervalSec: intervalSec,
+    rangeSeconds: Math.round(rangeMs / 1000),
+    outageCount: outages.length,
+    totalDowntimeSeconds,
+    uptimePct: rangeMs > 0 ? Math.round((1 - (totalDowntimeSeconds * 1000) / rangeMs) * 10000) / 100 : null,
+    longestGapSeconds: longestGap ? longestGap.durationSeconds : 0,
+    longestGap,
+    readings,
+    expectedReadings,
+    completenessPct,
+    outages,
+  };
+}
+
+module.exports = {
+  markSeen,
+  sweepOffline,
+  computeUptime,
+  buildConnectivityReport,
+};
@@ -0,0 +1,198 @@
+// utils/session.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../model/user/sessionModel');
+const User = require('../model/user/userModel');
+const { client: redisClient } = require('../config/redis/redis');
+const { generateSessionId } = require('./idGenerator');
+
+const ACCESS_TOKEN_TTL_SEC = parseInt(process.env.ACCESS_TOKEN_TTL_SEC || '3600', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Access tokens of a revoked session are refused until they would have expired anyway
+const revokedKey = (sessionId) => `revoked_session:${sessionId}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user._id,
+      role: user.role,
+      userid: user.userid,
+      email: user.email,
+      username: user.username,
+      sid: sessionId,
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SEC }
+  );
+}
+
+function signRefreshToken(user, sessionId, tokenId) {
+  return jwt.sign(
+    { userid: user.userid, sid: sessionId, jti: tokenId },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+}
+
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent'],
+});
+
+/**
+ * Start a session for a user who just authenticated.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string }>}
+ */
+async function createSession(user, req, deviceName) {
+  const sessionId = generateSessionId();
+  const tokenId = crypto.randomUUID();
+  const refreshToken = signRefreshToken(user, sessionId, tokenId);
+
+  await Session.create({
+    sessionId,
+    userid: user.userid,
+    tokenHash: hashToken(refreshToken),
+    tokenId,
+    deviceName,
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { accessToken: signAccessToken(user, sessionId), refreshToken, sessionId };
+}
+
+/** Start a session and build the response body returned on a completed login. */
+async function startLogin(user, req, deviceName) {
+  const { accessToken, refreshToken, sessionId } = await createSession(user, req, deviceName);
+  return {
+    accessToken,
+    refreshToken,
+    sessionId,
+    userid: user.userid,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+  };
+}
+
+/**
+ * Revoke sessions matching a filter and block their outstanding access tokens.
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeWhere(filter, reason, revokedBy) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('sessionId').lean();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(s => s.sessionId);
+  await Session.updateMany(
+    { sessionId: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+
+  for (const id of ids) {
+    try {
+      await redisClient.set(revokedKey(id), reason, { EX: ACCESS_TOKEN_TTL_SEC });
+    } catch (err) {
+      console.error(`❌ Could not mark session ${id} revoked in Redis:`, err.message);
+    }
+  }
+  return ids.length;
+}
+
+const revokeSession = (sessionId, reason, revokedBy) => revokeWhere({ sessionId }, reason, revokedBy);
+
+/** Revoke every session of a user, optionally keeping one (e.g. the caller's own). */
+const revokeUserSessions = (userid, reason, revokedBy, exceptSessionId) =>
+  revokeWhere(
+    exceptSessionId ? { userid, sessionId: { $ne: exceptSessionId } } : { userid },
+    reason,
+    revokedBy
+  );
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair. The presented token is
+ * spent; presenting a spent token again revokes the whole session (token family).
+ *
+ * @returns {Promise<{ accessToken?: string, refreshToken?: string, sessionId?: string, status?: number, message?: string }>}
+ */
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    return { status: 401, message: 'Invalid or expired refresh token' };
+  }
+  if (!decoded.sid) return { status: 401, message: 'Invalid or expired refresh token' };
+
+  const user = await User.findOne({ userid: decoded.userid });
+  if (!user) {
+    await revokeSession(decoded.sid, 'user_deleted');
+    return { status: 401, message: 'Session has ended. Please log in again.' };
+  }
+
+  const tokenId = crypto.randomUUID();
+  const newRefreshToken = signRefreshToken(user, decoded.sid, tokenId);
+
+  // swap the hash atomically so two concurrent refreshes with the same token can't both succeed
+  const session = await Session.findOneAndUpdate(
+    { sessionId: decoded.sid, tokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashToken(newRefreshToken), tokenId, lastUsedAt: new Date(), ...clientInfo(req) },
+      $inc: { rotations: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findOne({ sessionId: decoded.sid }).lean();
+    if (!existing || existing.revokedAt || existing.expiresAt <= new Date()) {
+      return { status: 401, message: 'Session has ended. Please log in again.' };
+    }
+
+    // a validly signed token for this session that is no longer current: it was already used
+    await revokeSession(existing.sessionId, 'reuse');
+    console.warn(`🚨 Refresh token reuse on session ${existing.sessionId} (user ${existing.userid}) — session revoked`);
+    return { status: 401, message: 'Refresh token reuse detected. The session has been revoked; please log in again.' };
+  }
+
+  return {
+    accessToken: signAccessToken(user, session.sessionId),
+    refreshToken: newRefreshToken,
+    sessionId: session.sessionId,
+  };
+}
+
+/** Session id a refresh token belongs to (signature checked, expiry ignored), or null. */
+function sessionIdFromRefreshToken(refreshToken) {
+  try {
+    return jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET, { ignoreExpiration: true }).sid || null;
+  } catch {
+    return null;
+  }
+}
+
+/** True when the session behind an access token has been revoked. Fails open if Redis is down. */
+async function isSessionRevoked(sessionId) {
+  if (!sessionId) return false;
+  try {
+    return Boolean(await redisClient.get(revokedKey(sessionId)));
+  } catch (err) {
+    console.error('❌ Session revocation check failed:', err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SEC,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  startLogin,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  sessionIdFromRefreshToken,
+  isSessionRevoked,
+};
@@ -0,0 +1,168 @@
+// utils/telemetryAggregation.js
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Supported bucket sizes. `offset` aligns buckets on epoch time:
+ * epoch day 0 was a Thursday, so weekly buckets are shifted 4 days to start on Monday.
+ */
+const INTERVALS = {
+  '1m': { ms: MINUTE, offset: 0 },
+  '5m': { ms: 5 * MINUTE, offset: 0 },
+  '1h': { ms: HOUR, offset: 0 },
+  '1d': { ms: DAY, offset: 0 },
+  '1w': { ms: 7 * DAY, offset: 4 * DAY },
+};
+
+const MAX_BUCKETS = parseInt(process.env.TELEMETRY_MAX_BUCKETS || '5000', 10);
+
+/** Start of the bucket containing `date` (JS counterpart of bucketExpression). */
+function floorToInterval(date, interval) {
+  const { ms, offset } = INTERVALS[interval];
+  const t = new Date(date).getTime();
+  return new Date(t - ((((t - offset) % ms) + ms) % ms));
+}
+
+/**
+ * Bucket start for a date field, computed arithmetically instead of with $dateTrunc
+ * so the pipeline also runs on Cosmos DB's Mongo API.
+ */
+function bucketExpression(interval, field = '$transport_time') {
+  const { ms, offset } = INTERVALS[interval];
+  const t = { $toLong: field };
+  return {
+    $toDate: {
+      $subtract: [t, { $mod: [{ $subtract: [t, offset] }, ms] }]
+    }
+  };
+}
+
+/**
+ * Aggregation pipeline returning one document per bucket:
+ * `{ _id: <bucket Date>, count, <dp>__min, <dp>__max, <dp>__sum, <dp>__avg, <dp>__last, <dp>__count }`
+ * `count` counts readings; `<dp>__count` only those where the datapoint is not null.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.auids
+ * @param {object} [opts.timeFilter]  `transport_time` range, e.g. { $gte, $lte }
+ * @param {string} opts.interval      Key of INTERVALS
+ * @param {string[]} opts.datapoints  Numeric fields to summarize
+ */
+function buildBucketPipeline({ auids, timeFilter, interval, datapoints }) {
+  const match = { auid: auids.length === 1 ? auids[0] : { $in: auids } };
+  if (timeFilter) match.transport_time = timeFilter;
+
+  const group = { _id: bucketExpression(interval), count: { $sum: 1 } };
+  for (const dp of datapoints) {
+    group[`${dp}__min`] = { $min: `$${dp}` };
+    group[`${dp}__max`] = { $max: `$${dp}` };
+    group[`${dp}__sum`] = { $sum: `$${dp}` };
+    group[`${dp}__avg`] = { $avg: `$${dp}` };
+    group[`${dp}__last`] = { $last: `$${dp}` };
+    group[`${dp}__count`] = { $sum: { $cond: [{ $eq: [{ $ifNull: [`$${dp}`, null] }, null] }, 0, 1] } };
+  }
+
+  return [
+    { $match: match },
+    { $sort: { transport_time: 1 } }, // makes $last the latest reading in each bucket
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+/**
+ * Same bucket rows as buildBucketPipeline, but read from a rollup collection
+ * (model/telemetry/rollupModel) whose buckets are no coarser than `interval`.
+ * Averages are re-weighted by each datapoint's count in formatBuckets.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.auids
+ * @param {object} [opts.bucketFilter]  `bucket` range
+ * @param {string} opts.interval
+ * @param {string[]} opts.datapoints
+ */
+function buildRollupBucketPipeline({ auids, bucketFilter, interval, datapoints }) {
+  const match = { auid: auids.length === 1 ? auids[0] : { $in: auids } };
+  if (bucketFilter) match.bucket = bucketFilter;
+
+  const group = { _id: bucketExpression(interval, '$bucket'), count: { $sum: '$count' } };
+  for (const dp of datapoints) {
+    group[`${dp}__min`] = { $min: `$values.${dp}.min` };
+    group[`${dp}__max`] = { $max: `$values.${dp}.max` };
+    group[`${dp}__sum`] = { $sum: `$values.${dp}.sum` };
+    group[`${dp}__last`] = { $last: `$values.${dp}.last` };
+    // rollups written before per-datapoint counts fall back to the bucket's reading count
+    group[`${dp}__count`] = { $sum: { $ifNull: [`$values.${dp}.count`, '$count'] } };
+  }
+
+  return [
+    { $match: match },
+    { $sort: { bucket: 1 } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+/**
+ * Combine bucket rows from consecutive sources (e.g. a rollup tier followed by raw
+ * readings newer than its watermark). Rows sharing a bucket are merged; `later` wins `last`.
+ */
+function mergeBucketRows(earlier, later, datapoints) {
+  const byTime = new Map(earlier.map(r => [new Date(r._id).getTime(), { ...r }]));
+
+  for (const row of later) {
+    const key = new Date(row._id).getTime();
+    const prev = byTime.get(key);
+    if (!prev) { byTime.set(key, row); continue; }
+
+    const merged = { _id: prev._id, count: (prev.count || 0) + (row.count || 0) };
+    for (const dp of datapoints) {
+      const pick = (fn, a, b) => (a == null ? b : b == null ? a : fn(a, b));
+      merged[`${dp}__min`] = pick(Math.min, prev[`${dp}__min`], row[`${dp}__min`]);
+      merged[`${dp}__max`] = pick(Math.max, prev[`${dp}__max`], row[`${dp}__max`]);
+      merged[`${dp}__sum`] = (prev[`${dp}__sum`] || 0) + (row[`${dp}__sum`] || 0);
+      merged[`${dp}__last`] = row[`${dp}__last`] ?? prev[`${dp}__last`];
+      merged[`${dp}__count`] = (prev[`${dp}__count`] ?? prev.count ?? 0) + (row[`${dp}__count`] ?? row.count ?? 0);
+    }
+    byTime.set(key, merged);
+  }
+
+  return [...byTime.values()].sort((a, b) => new Date(a._id) - new Date(b._id));
+}
+
+/** Reshape `$group` output into `{ time, count, values: { dp: { min, max, avg, last } } }`. */
+function formatBuckets(rows, datapoints) {
+  return rows.map((row) => {
+    const values = {};
+    for (const dp of datapoints) {
+      const sum = row[`${dp}__sum`];
+      const n = row[`${dp}__count`] ?? row.count;
+      const avg = row[`${dp}__avg`] ?? (n && typeof sum === 'number' ? sum / n : null);
+      values[dp] = {
+        min: row[`${dp}__min`] ?? null,
+        max: row[`${dp}__max`] ?? null,
+        avg: typeof avg === 'number' ? Math.round(avg * 1000) / 1000 : null,
+        last: row[`${dp}__last`] ?? null,
+      };
+    }
+    return { time: row._id, count: row.count, values };
+  });
+}
+
+/** Number of buckets a [from, to] range spans at the given interval. */
+function countBuckets(from, to, interval) {
+  return Math.ceil((to.getTime() - from.getTime()) / INTERVALS[interval].ms) || 1;
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  floorToInterval,
+  buildBucketPipeline,
+  buildRollupBucketPipeline,
+  mergeBucketRows,
+  formatBuckets,
+  countBuckets,
+};
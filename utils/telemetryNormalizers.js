@@ -0,0 +1,130 @@
+// utils/telemetryNormalizers.js
+const SensorModel = require('../model/devices/deviceModels');
+
+// Notehub tower metadata copied onto the record when present
+const TOWER_FIELDS = [
+  "tower_when", "tower_lat", "tower_lon", "tower_country",
+  "tower_location", "tower_timezone", "tower_id"
+];
+
+// How long a sensor_models datapoint schema is reused before re-reading Mongo
+const SCHEMA_CACHE_TTL_MS = parseInt(process.env.SENSOR_SCHEMA_CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+const schemaCache = new Map(); // model -> { expiresAt, datapoints, expectedIntervalSec }
+
+// Parse numbers safely (works for v1 and v2 payloads)
+const getNum = (val, def = 0) => {
+  const n = parseFloat(val);
+  return isNaN(n) ? def : n;
+};
+
+function pickTowerInfo(messageObj) {
+  const towerInfo = {};
+  for (const f of TOWER_FIELDS) {
+    if (messageObj[f] !== undefined) towerInfo[f] = messageObj[f];
+  }
+  return Object.keys(towerInfo).length > 0 ? towerInfo : undefined;
+}
+
+/**
+ * Parse one raw value against its datapoint definition.
+ * A missing value takes the datapoint's defaultValue when the schema sets one. Unparsable or
+ * out-of-range values always become null, so a bad reading is never stored (or alerted on) as a real one.
+ *
+ * @returns {{ value: any, issue?: string }}
+ */
+function parseDatapoint(raw, dp) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: dp.defaultValue ?? null };
+  }
+
+  if (dp.type === 'string') return { value: String(raw) };
+
+  let n = parseFloat(raw);
+  if (isNaN(n)) return { value: null, issue: `${dp.key}: not a number (${raw})` };
+  if (dp.type === 'integer') n = Math.round(n);
+
+  if ((typeof dp.min === 'number' && n < dp.min) || (typeof dp.max === 'number' && n > dp.max)) {
+    return { value: null, issue: `${dp.key}: ${n} outside [${dp.min ?? '-∞'}, ${dp.max ?? '∞'}]` };
+  }
+
+  return { value: n };
+}
+
+/**
+ * Turn a raw Notehub-style message into a validated record using a datapoint schema.
+ * Each datapoint is read from its own key or the first alias present in `body`.
+ *
+ * @param {object} messageObj  Queued job data ({ body, when, ... })
+ * @param {Array<{key: string, aliases?: string[], type?: string, min?: number, max?: number, defaultValue?: any}>} datapoints
+ * @returns {{ record: object, issues: string[] }}
+ */
+function normalizeTelemetry(messageObj, datapoints = []) {
+  const body = messageObj.body || {};
+  const issues = [];
+
+  const record = {
+    transport_time: isNaN(messageObj.when) ? 0 : +messageObj.when,
+    telem_time: isNaN(body.ts) ? (isNaN(messageObj.when) ? 0 : +messageObj.when) : +body.ts,
+  };
+
+  for (const dp of datapoints) {
+    const source = [dp.key, ...(dp.aliases || [])].find(k => body[k] !== undefined);
+    const { value, issue } = parseDatapoint(source ? body[source] : undefined, dp);
+    record[dp.key] = value;
+    if (issue) issues.push(issue);
+  }
+
+  record.error = body.err || "0000";
+
+  return { record, issues };
+}
+
+/** Cached per-model settings from `sensor_models`: datapoint schema and reporting interval. */
+async function getSensorModelSettings(family) {
+  const cached = schemaCache.get(family.key);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  let doc = null;
+  try {
+    doc = await SensorModel.findOne({ model: family.key }).select('datapoints expectedIntervalSec').lean();
+  } catch (err) {
+    console.warn(`⚠️ Could not load sensor model settings for ${family.key}:`, err.message);
+  }
+
+  const entry = {
+    expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS,
+    datapoints: doc?.datapoints?.length ? doc.datapoints : (family.datapoints || []),
+    expectedIntervalSec: doc?.expectedIntervalSec || family.expectedIntervalSec,
+  };
+  schemaCache.set(family.key, entry);
+  return entry;
+}
+
+/**
+ * Datapoint schema for a telemetry family: the `sensor_models` document wins when it
+ * defines datapoints, otherwise the family's built-in defaults are used.
+ */
+async function getDatapointSchema(family) {
+  return (await getSensorModelSettings(family)).datapoints;
+}
+
+/** Expected seconds between reports: `sensor_models.expectedIntervalSec`, else the family default. */
+async function getExpectedIntervalSec(family) {
+  return (await getSensorModelSettings(family)).expectedIntervalSec;
+}
+
+/** Drop cached sensor model settings (e.g. after the model's datapoints or interval were edited). */
+function invalidateDatapointSchema(model) {
+  if (model) schemaCache.delete(String(model).toLowerCase());
+  else schemaCache.clear();
+}
+
+module.exports = {
+  getNum,
+  pickTowerInfo,
+  parseDatapoint,
+  normalizeTelemetry,
+  getDatapointSchema,
+  getExpectedIntervalSec,
+  invalidateDatapointSchema,
+};
@@ -0,0 +1,80 @@
+// utils/telemetryQuery.js
+const mongoose = require('mongoose');
+
+/**
+ * Parse a `start`/`end` query value: ISO string, epoch seconds or epoch milliseconds.
+ * @returns {Date|null|undefined} undefined when absent, null when unparsable
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  let d;
+  if (isNaN(value)) {
+    d = new Date(value);
+  } else {
+    const n = Number(value);
+    d = new Date(n < 1e12 ? n * 1000 : n); // seconds → ms
+  }
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Build a `transport_time` range filter from `start`/`end` query params.
+ * @returns {{ filter?: object, error?: string }}
+ */
+function buildTimeRange({ start, end } = {}) {
+  const from = parseTimeParam(start);
+  const to = parseTimeParam(end);
+
+  if (from === null) return { error: `Invalid start '${start}'` };
+  if (to === null) return { error: `Invalid end '${end}'` };
+  if (from && to && from > to) return { error: 'start must be before end' };
+
+  if (!from && !to) return { filter: undefined, from, to };
+
+  const filter = {};
+  if (from) filter.$gte = from;
+  if (to) filter.$lte = to;
+  return { filter, from, to };
+}
+
+/** Opaque page cursor: the (transport_time, _id) of the last row returned. */
+function encodeCursor(doc) {
+  const payload = { t: new Date(doc.transport_time).toISOString(), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/** @returns {{ t: Date, id: ObjectId }|null} */
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const time = new Date(t);
+    if (Number.isNaN(time.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { t: time, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Filter selecting rows strictly after the cursor in (transport_time, _id) order.
+ * @param {{ t: Date, id: ObjectId }} cursor
+ * @param {1|-1} direction  -1 for newest → oldest
+ */
+function cursorFilter(cursor, direction) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { transport_time: { [op]: cursor.t } },
+      { transport_time: cursor.t, _id: { [op]: cursor.id } }
+    ]
+  };
+}
+
+module.exports = {
+  parseTimeParam,
+  buildTimeRange,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+};
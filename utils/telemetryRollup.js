@@ -0,0 +1,66 @@
+// utils/telemetryRollup.js
+const { HourlyRollup, DailyRollup, RollupState } = require('../model/telemetry/rollupModel');
+const { INTERVALS } = require('./telemetryAggregation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention in days; empty or 0 keeps the tier forever
+const retentionDays = (name, def) => {
+  const n = parseInt(process.env[name] ?? def, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Storage tiers, finest first. `interval` is the bucket size (null = raw readings).
+ * Rollup tiers are built from raw readings by cron/rollupCron.js.
+ */
+const TIERS = [
+  { name: 'raw', interval: null, rollupModel: null, retentionDays: retentionDays('TELEMETRY_RETENTION_RAW_DAYS', '30') },
+  { name: 'hourly', interval: '1h', rollupModel: HourlyRollup, retentionDays: retentionDays('TELEMETRY_RETENTION_HOURLY_DAYS', '365') },
+  { name: 'daily', interval: '1d', rollupModel: DailyRollup, retentionDays: retentionDays('TELEMETRY_RETENTION_DAILY_DAYS', '') },
+];
+
+const getTier = (name) => TIERS.find(t => t.name === name) || null;
+
+/** Oldest timestamp a tier still holds, or null when it is kept forever. */
+function retentionCutoff(tier, now = new Date()) {
+  return tier.retentionDays ? new Date(now.getTime() - tier.retentionDays * DAY_MS) : null;
+}
+
+/** Watermarks per tier for a model: { hourly: Date, daily: Date } */
+async function getRolledUntil(model) {
+  const states = await RollupState.find({ model }).lean();
+  return Object.fromEntries(states.map(s => [s.tier, s.rolledUntil]));
+}
+
+/**
+ * Coarsest tier that can answer a bucketed query:
+ *  - its buckets must divide the requested interval (hourly can serve 1h/1d/1w, not 5m);
+ *  - its retention should reach back to `from`, otherwise a finer tier is only used
+ *    if it does.
+ * Raw always qualifies on resolution, so the result is never null.
+ *
+ * @param {{ interval: string, from: Date, now?: Date }} opts
+ */
+function selectTier({ interval, from, now = new Date() }) {
+  const requested = INTERVALS[interval];
+  const byResolution = TIERS.filter(t => {
+    if (!t.interval) return true;
+    const { ms } = INTERVALS[t.interval];
+    return requested.ms % ms === 0 && requested.offset % ms === 0;
+  });
+
+  const coarsestFirst = [...byResolution].reverse();
+  return coarsestFirst.find(t => {
+    const cutoff = retentionCutoff(t, now);
+    return !cutoff || from >= cutoff;
+  }) || coarsestFirst[0];
+}
+
+module.exports = {
+  TIERS,
+  getTier,
+  retentionCutoff,
+  getRolledUntil,
+  selectTier,
+};
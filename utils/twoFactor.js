@@ -0,0 +1,275 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../model/user/userModel');
+const Organization = require('../model/organization/organizationModel');
+const { client: redisClient } = require('../config/redis/redis');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SEC = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CraftedClimate';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SEC = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SEC || '300', 10);
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Challenge tokens and stored secrets use keys derived from the access token secret unless set explicitly,
+// so a challenge token can never pass as an access token
+const deriveKey = (label) => crypto
+  .createHmac('sha256', process.env.ACCESS_TOKEN_SECRET || '')
+  .update(label)
+  .digest();
+
+const encryptionKey = () => (process.env.TWO_FACTOR_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest()
+  : deriveKey('two-factor-secret'));
+
+const challengeSecret = () => process.env.TWO_FACTOR_CHALLENGE_SECRET || deriveKey('two-factor-challenge').toString('hex');
+
+/** AES-256-GCM encrypt a TOTP secret for storage: iv:tag:ciphertext (hex). */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('hex')).join(':');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = String(stored).split(':').map(h => Buffer.from(h, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/** A new base32 TOTP secret (160 bits). */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SEC);
+
+/** The TOTP code for a base32 secret at a time step. */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against a secret within the drift window.
+ * @returns {number|null} the matching time step, or null
+ */
+function matchTotp(secret, code, now = Date.now()) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = totpCode(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step + drift;
+  }
+  return null;
+}
+
+/**
+ * Verify a code against the user's enabled secret and mark its time step used, so
+ * the same code cannot be replayed.
+ *
+ * @param {string} userid
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function useTotpCode(userid, code) {
+  const user = await User.findOne({ userid }).select('+twoFactor.secret').lean();
+  if (!user?.twoFactor?.secret) return false;
+
+  const step = matchTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { userid, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/** otpauth:// provisioning URI for authenticator apps. */
+function otpauthUrl(accountName, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SEC)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/** PNG data URL of the provisioning QR code. */
+const qrCodeDataUrl = (url) => QRCode.toDataURL(url);
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Fresh single-use recovery codes. The plain codes are shown to the user once; only hashes are stored.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/** Spend a recovery code. @returns {Promise<boolean>} */
+async function consumeRecoveryCode(userid, code) {
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { userid, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Short-lived token proving the password step passed.
+ * purpose 'login' → finish with a TOTP/recovery code; 'setup' → enrol first (2FA required by an organization).
+ */
+function signChallengeToken(user, purpose) {
+  return jwt.sign(
+    { userid: user.userid, purpose, jti: crypto.randomUUID() },
+    challengeSecret(),
+    { expiresIn: CHALLENGE_TTL_SEC }
+  );
+}
+
+/** Decoded challenge token for the purpose, or null. */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(String(token), challengeSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+const challengeKey = (jti) => `2fa_challenge:${jti}`;
+
+// Challenge state lives only in Redis: when it can't be read or written, challenges fail closed
+// (callers answer 503) instead of allowing replays or unlimited attempts.
+function challengeStoreUnavailable(action, err) {
+  console.error(`❌ ${action}:`, err.message);
+  const error = new Error('Two-factor verification is temporarily unavailable. Please try again shortly.');
+  error.status = 503;
+  return error;
+}
+
+/**
+ * Count a wrong code against a challenge.
+ * @returns {Promise<boolean>} true once the challenge has used up its attempts
+ * @throws {Error} with status 503 when Redis is unavailable
+ */
+async function recordChallengeFailure(jti) {
+  try {
+    const attempts = await redisClient.incr(`${challengeKey(jti)}:attempts`);
+    await redisClient.expire(`${challengeKey(jti)}:attempts`, CHALLENGE_TTL_SEC);
+    return attempts >= CHALLENGE_MAX_ATTEMPTS;
+  } catch (err) {
+    throw challengeStoreUnavailable('Could not record 2FA challenge attempt', err);
+  }
+}
+
+/** True when the challenge is spent or out of attempts. @throws {Error} with status 503 when Redis is unavailable */
+async function isChallengeClosed(jti) {
+  try {
+    const [spent, attempts] = await Promise.all([
+      redisClient.get(challengeKey(jti)),
+      redisClient.get(`${challengeKey(jti)}:attempts`)
+    ]);
+    return Boolean(spent) || Number(attempts) >= CHALLENGE_MAX_ATTEMPTS;
+  } catch (err) {
+    throw challengeStoreUnavailable('2FA challenge check failed', err);
+  }
+}
+
+/**
+ * Mark a challenge used.
+ * @returns {Promise<boolean>} false if it was already spent
+ * @throws {Error} with status 503 when Redis is unavailable
+ */
+async function spendChallenge(jti) {
+  try {
+    return Boolean(await redisClient.set(challengeKey(jti), '1', { NX: true, EX: CHALLENGE_TTL_SEC }));
+  } catch (err) {
+    throw challengeStoreUnavailable('Could not spend 2FA challenge', err);
+  }
+}
+
+/** Organizations the user belongs to that require two-factor authentication. */
+const organizationsRequiringTwoFactor = (userid) => Organization
+  .find({ 'collaborators.userId': userid, requireTwoFactor: true })
+  .select('organizationId name')
+  .lean();
+
+module.exports = {
+  CHALLENGE_TTL_SEC,
+  encryptSecret,
+  decryptSecret,
+  generateTotpSecret,
+  totpCode,
+  matchTotp,
+  useTotpCode,
+  otpauthUrl,
+  qrCodeDataUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  signChallengeToken,
+  verifyChallengeToken,
+  recordChallengeFailure,
+  isChallengeClosed,
+  spendChallenge,
+  organizationsRequiringTwoFactor,
+};